@@ -1,5 +1,77 @@
 import React, { useState, useEffect, useRef } from 'react';
 
+// Map a server call entry (status + outcome) onto the lead's display status/label
+function describeCall(entry, lead) {
+    let status = entry.status || lead.status;
+    // human friendly labels
+    if (status === 'in-progress') status = 'In Call';
+    if (status === 'completed') status = 'Called';
+    if (status === 'no-answer') status = 'No Answer';
+    if (status === 'busy') status = 'Busy';
+    if (status === 'failed') status = 'Failed';
+    if (status === 'ringing') status = 'Ringing';
+
+    // Automatically detect outcome from backend
+    let label = lead.label;
+    if (entry.outcome && entry.outcome.type) {
+        label = entry.outcome.type;
+        if (entry.outcome.type === 'scheduled' && entry.outcome.details) {
+            status = `📅 ${entry.outcome.details}`;
+        } else if (entry.outcome.type === 'hangup') {
+            status = '📞 Hung Up';
+        } else if (entry.outcome.type === 'irrelevant') {
+            status = '❌ Not Relevant';
+        } else if (entry.outcome.type === 'voicemail') {
+            status = '📼 Voicemail';
+        } else if (entry.outcome.type === 'callback') {
+            status = `🔁 ${entry.outcome.details || 'Call back'}`;
+        } else if (entry.outcome.type === 'transfer') {
+            const connected = entry.outcome.transferConnected;
+            status = connected === null || connected === undefined ? '🤝 Transferring…' : connected ? '🤝 Transferred' : '🤝 Transfer failed';
+        } else if (entry.outcome.type === 'no-response') {
+            status = '🔇 No Response';
+        }
+    }
+    return { status, label };
+}
+
+// A stored lead plus its display status/label from the call it points at
+function withCallStatus(lead, calls) {
+    const base = { ...lead, status: 'Pending' };
+    // Leads whose dial attempt failed have a callStatus but no call entry
+    const entry = (lead.callSid && calls[lead.callSid]) || (lead.callStatus ? { status: lead.callStatus } : null);
+    return entry ? { ...base, ...describeCall(entry, base), takeover: entry.takeover || null } : base;
+}
+
+// Apply one live conversation event (lead speech or agent reply) to a call's transcript
+function addConversationEvent(conversations, type, data) {
+    if (!data.callSid) return conversations;
+    const current = conversations[data.callSid] || { turns: [], interim: '' };
+    const next = type === 'transcript' && !data.isFinal
+        ? { ...current, interim: data.text }
+        : { turns: [...current.turns, { role: type === 'agent' ? 'model' : 'user', text: data.text }], interim: type === 'agent' ? current.interim : '' };
+    return { ...conversations, [data.callSid]: next };
+}
+
+// Lead status text including the campaign's retry state, if any
+function leadStatusText(lead, campaign) {
+    const item = campaign && campaign.queue.find(i => i.leadId === lead.id);
+    const attempts = (lead.attempts || []).length;
+    if ((item && item.state === 'exhausted') || lead.dialState === 'exhausted') {
+        return `⛔ Exhausted (${attempts} attempt${attempts === 1 ? '' : 's'})`;
+    }
+    if (lead.dialState === 'do-not-call') return '🚫 Do Not Call';
+    if (item && item.state === 'pending' && item.deferred === 'calling-window') {
+        const at = new Date(item.nextAttemptAt).toLocaleString([], { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+        return `⏰ Outside calling hours · ${at}`;
+    }
+    if (item && item.state === 'pending' && item.nextAttemptAt) {
+        const at = new Date(item.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `${lead.status} · retry ${item.attempts + 1} at ${at}`;
+    }
+    return lead.status;
+}
+
 function GlobalStyles() {
     return (
         <style>{`
@@ -10,202 +82,656 @@ function GlobalStyles() {
     );
 }
 
+// Campaign states in which the server may still dial or finish a call
+const ACTIVE_CAMPAIGN_STATES = ['running', 'paused'];
+
+// Lead CSV columns, in the order used when the CSV has no header row
+const LEAD_COLUMNS = ['name', 'company', 'title', 'phone', 'timezone', 'notes'];
+
+// Dashboard dial settings -> campaign `settings` accepted by the server
+function toCampaignSettings({ concurrency, callsPerMinute, maxAttempts, windowStart, windowEnd, scriptId }) {
+    return {
+        concurrency,
+        callsPerMinute,
+        scriptId,
+        retryPolicy: { maxAttempts },
+        callingWindow: { start: windowStart, end: windowEnd }
+    };
+}
+
+async function postJson(url, body, method = 'POST', headers = {}) {
+    const resp = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body || {})
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!resp.ok) throw new Error(data.error || `Request to ${url} failed`);
+    return data;
+}
+
+// Editable fields of a call script (see server/scripts.js)
+const EMPTY_SCRIPT = {
+    name: '', agentName: '', company: '', pitch: '', objectionGuidance: '', greeting: '', reprompt: '', finalReprompt: '',
+    closings: { booked: '', declined: '', callback: '', transfer: '', noResponse: '' }, voice: {}, voicemailMessage: ''
+};
+
+// Edit call scripts. Saving creates a new version on the server; calls record
+// the version they were dialed with.
+function ScriptEditor({ scripts, onSaved, logLine }) {
+    const [selectedId, setSelectedId] = useState('default');
+    const [draft, setDraft] = useState(EMPTY_SCRIPT);
+    const selected = scripts.find(s => s.id === selectedId) || null;
+
+    useEffect(() => {
+        setDraft(selected ? { ...EMPTY_SCRIPT, ...selected, closings: { ...selected.closings }, voice: { ...selected.voice } } : EMPTY_SCRIPT);
+    }, [selectedId, selected && selected.version]);
+
+    const set = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+    const setNested = (group, key, value) => setDraft(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+
+    const save = async () => {
+        const { name, agentName, company, pitch, objectionGuidance, greeting, reprompt, finalReprompt, closings, voice, voicemailMessage } = draft;
+        // Blank closings are left out so the server keeps the current (or default) text
+        const filledClosings = Object.fromEntries(Object.entries(closings).filter(([, text]) => text && text.trim()));
+        const body = { name, agentName, company, pitch, objectionGuidance, greeting, reprompt, finalReprompt, closings: filledClosings, voice, voicemailMessage };
+        try {
+            const saved = selected ? await postJson(`/scripts/${selected.id}`, body, 'PUT') : await postJson('/scripts', body);
+            logLine(`Saved script "${saved.name}" (version ${saved.version})`);
+            setSelectedId(saved.id);
+            onSaved();
+        } catch (err) {
+            logLine(`Could not save script: ${err.message || err}`);
+        }
+    };
+
+    const field = { width: '100%', marginTop: 2, fontSize: 13 };
+    return (
+        <div style={{ marginTop: 20, padding: 12, border: '1px solid #ddd', background: '#fff' }}>
+            <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+                <h2 style={{ margin: 0, flex: 1 }}>Call Script</h2>
+                <select value={selectedId} onChange={e => setSelectedId(e.target.value)}>
+                    {scripts.map(s => <option key={s.id} value={s.id}>{s.name} (v{s.version})</option>)}
+                    <option value="">+ New script</option>
+                </select>
+            </div>
+            {selected && (
+                <div style={{ fontSize: 12, color: '#666', marginTop: 4 }}>
+                    Version {selected.version} · saved {new Date(selected.updatedAt).toLocaleString()} · calls keep the version they were dialed with
+                </div>
+            )}
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                <label style={{ flex: 1, fontSize: 13 }}>Script name<input value={draft.name} onChange={e => set('name', e.target.value)} style={field} /></label>
+                <label style={{ flex: 1, fontSize: 13 }}>Agent name<input value={draft.agentName} onChange={e => set('agentName', e.target.value)} style={field} /></label>
+                <label style={{ flex: 1, fontSize: 13 }}>Company<input value={draft.company} onChange={e => set('company', e.target.value)} style={field} /></label>
+            </div>
+            <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>
+                Greeting <span style={{ color: '#666' }}>- variables: {'{name} {firstName} {company} {title} {agentName} {agentCompany} {availability}'}</span>
+                <textarea rows={3} value={draft.greeting} onChange={e => set('greeting', e.target.value)} style={field} />
+            </label>
+            <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>Pitch (key points)<textarea rows={3} value={draft.pitch} onChange={e => set('pitch', e.target.value)} style={field} /></label>
+            <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>Objection guidance<textarea rows={3} value={draft.objectionGuidance} onChange={e => set('objectionGuidance', e.target.value)} style={field} /></label>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                {['booked', 'declined', 'callback', 'transfer', 'noResponse'].map(key => (
+                    <label key={key} style={{ flex: 1, fontSize: 13 }}>Closing ({key})<input value={draft.closings[key] || ''} onChange={e => setNested('closings', key, e.target.value)} style={field} /></label>
+                ))}
+            </div>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                <label style={{ flex: 1, fontSize: 13 }}>Reprompt when the lead is silent <span style={{ color: '#666' }}>(empty = default)</span><input value={draft.reprompt || ''} onChange={e => set('reprompt', e.target.value)} style={field} /></label>
+                <label style={{ flex: 1, fontSize: 13 }}>Second reprompt<input value={draft.finalReprompt || ''} onChange={e => set('finalReprompt', e.target.value)} style={field} /></label>
+            </div>
+            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                <label style={{ flex: 2, fontSize: 13 }}>Voice name <span style={{ color: '#666' }}>(empty = server default)</span><input value={draft.voice.name || ''} onChange={e => setNested('voice', 'name', e.target.value)} placeholder="en-US-Neural2-D" style={field} /></label>
+                <label style={{ flex: 1, fontSize: 13 }}>Gender
+                    <select value={draft.voice.gender || ''} onChange={e => setNested('voice', 'gender', e.target.value)} style={field}>
+                        <option value="">Default</option><option value="MALE">Male</option><option value="FEMALE">Female</option><option value="NEUTRAL">Neutral</option>
+                    </select>
+                </label>
+                <label style={{ flex: 1, fontSize: 13 }}>Speaking rate<input type="number" step={0.05} min={0.25} max={4} value={draft.voice.speakingRate || ''} onChange={e => setNested('voice', 'speakingRate', e.target.value)} placeholder="1.0" style={field} /></label>
+            </div>
+            <label style={{ display: 'block', fontSize: 13, marginTop: 8 }}>Voicemail message <span style={{ color: '#666' }}>(empty = server default)</span><textarea rows={2} value={draft.voicemailMessage} onChange={e => set('voicemailMessage', e.target.value)} style={field} /></label>
+            <button onClick={save} style={{ marginTop: 8 }}>{selected ? `Save as version ${selected.version + 1}` : 'Create script'}</button>
+        </div>
+    );
+}
+
+// G.711 mu-law byte -> sample in [-1, 1] (monitor audio is raw 8 kHz mu-law)
+const MU_LAW_TABLE = Float32Array.from({ length: 256 }, (_, byte) => {
+    const u = ~byte & 0xff;
+    const magnitude = ((((u & 0x0f) << 3) + 0x84) << ((u >> 4) & 0x07)) - 0x84;
+    return ((u & 0x80) ? -magnitude : magnitude) / 32768;
+});
+
+// Listen in on a live call, whisper guidance to the agent or take over.
+// Audio arrives from /monitor as binary frames: a track byte (0 = lead,
+// 1 = agent) followed by mu-law samples; each track is queued back to back.
+// Everything needs SUPERVISOR_ACCESS_TOKEN, kept in this browser only; the
+// socket gets it as its first message.
+function SupervisorPanel({ lead, onClose, logLine }) {
+    const [token, setToken] = useState(() => localStorage.getItem('supervisorToken') || '');
+    const [listening, setListening] = useState(false);
+    const [whisper, setWhisper] = useState('');
+    const [whispers, setWhispers] = useState([]);
+    const [phone, setPhone] = useState('');
+    const audioRef = useRef(null);
+    const callSid = lead.callSid;
+
+    const stopListening = () => {
+        const audio = audioRef.current;
+        audioRef.current = null;
+        setListening(false);
+        if (!audio) return;
+        audio.ws.close();
+        audio.ctx.close().catch(() => { });
+    };
+
+    const saveToken = (value) => {
+        setToken(value);
+        localStorage.setItem('supervisorToken', value);
+    };
+    const authHeaders = { Authorization: `Bearer ${token}` };
+
+    const startListening = () => {
+        const ctx = new AudioContext();
+        const ws = new WebSocket(`${window.location.protocol === 'https:' ? 'wss' : 'ws'}://${window.location.host}/monitor?callSid=${encodeURIComponent(callSid)}`);
+        ws.binaryType = 'arraybuffer';
+        ws.onopen = () => ws.send(token);
+        const playhead = [0, 0];
+        ws.onmessage = (e) => {
+            const bytes = new Uint8Array(e.data);
+            const track = bytes[0];
+            const buffer = ctx.createBuffer(1, bytes.length - 1, 8000);
+            const samples = buffer.getChannelData(0);
+            for (let i = 1; i < bytes.length; i++) samples[i - 1] = MU_LAW_TABLE[bytes[i]];
+            const source = ctx.createBufferSource();
+            source.buffer = buffer;
+            source.connect(ctx.destination);
+            // A small lead-in absorbs network jitter; after a gap, start fresh
+            const at = Math.max(playhead[track], ctx.currentTime + 0.15);
+            source.start(at);
+            playhead[track] = at + buffer.duration;
+        };
+        ws.onclose = (e) => {
+            if (audioRef.current && audioRef.current.ws === ws) {
+                if (e.reason) logLine(`Stopped listening: ${e.reason}`);
+                stopListening();
+            }
+        };
+        audioRef.current = { ctx, ws };
+        setListening(true);
+    };
+
+    // Stop the audio when the panel closes or the call ends
+    useEffect(() => stopListening, [callSid]);
+
+    const sendWhisper = async () => {
+        if (!whisper.trim()) return;
+        try {
+            const result = await postJson(`/calls/${callSid}/whisper`, { text: whisper }, 'POST', authHeaders);
+            setWhispers(result.whispers);
+            setWhisper('');
+        } catch (err) {
+            logLine(`Could not whisper: ${err.message || err}`);
+        }
+    };
+
+    const takeOver = async () => {
+        try {
+            await postJson(`/calls/${callSid}/takeover`, { phone: phone.trim() || undefined }, 'POST', authHeaders);
+            logLine(`Took over the call with ${lead.name} - your phone will ring`);
+        } catch (err) {
+            logLine(`Could not take over: ${err.message || err}`);
+        }
+    };
+
+    const takeover = lead.takeover;
+    return (
+        <div style={{ marginTop: 12, padding: 12, border: '1px solid #ddd', background: '#fff' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <strong style={{ flex: 1 }}>Supervising {lead.name}</strong>
+                <input type="password" value={token} onChange={e => saveToken(e.target.value)} placeholder="Supervisor access token" style={{ width: 180 }} />
+                <button onClick={listening ? stopListening : startListening} disabled={!token && !listening}>{listening ? 'Stop listening' : 'Listen'}</button>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {takeover ? (
+                <div style={{ fontSize: 13, marginTop: 8 }}>
+                    Taken over · {takeover.connected === null ? 'dialing your phone…' : takeover.connected ? 'connected' : `not connected (${takeover.status})`}
+                </div>
+            ) : (
+                <>
+                    <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                        <input value={whisper} onChange={e => setWhisper(e.target.value)} onKeyDown={e => e.key === 'Enter' && sendWhisper()} placeholder="Whisper to the agent, e.g. offer a 30-minute slot" style={{ flex: 1 }} />
+                        <button onClick={sendWhisper} disabled={!token}>Whisper</button>
+                    </div>
+                    {whispers.map((w, i) => <div key={i} style={{ fontSize: 12, color: '#666', marginTop: 2 }}>🤫 {w.text}</div>)}
+                    <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                        <input value={phone} onChange={e => setPhone(e.target.value)} placeholder="Your phone, one of SUPERVISOR_PHONE (empty = the first)" style={{ flex: 1 }} />
+                        <button onClick={takeOver} disabled={!token}>Take over</button>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
+
+// Labels a call's outcome can be corrected to (CALL_LABELS in server/outcomes.js)
+const OUTCOME_LABELS = ['scheduled', 'callback', 'irrelevant', 'hangup', 'voicemail', 'no-response', 'transfer'];
+
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }) : '');
+const formatDateTime = (iso) => (iso ? new Date(iso).toLocaleString([], { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '');
+const formatSeconds = (s) => (s == null ? '–' : s < 60 ? `${Math.round(s)}s` : `${Math.floor(s / 60)}m ${Math.round(s % 60)}s`);
+
+// Play a call's recording. The download needs the access token as a bearer
+// header, so the file is fetched into a Blob instead of pointing <audio> at
+// the URL.
+function RecordingPlayer({ callSid, recording, token, logLine }) {
+    const [url, setUrl] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    // Free the Blob when the call changes or the panel closes
+    useEffect(() => () => { if (url) URL.revokeObjectURL(url); }, [url]);
+    useEffect(() => setUrl(null), [callSid]);
+
+    if (!recording) return <div style={{ fontSize: 12, color: '#666' }}>Not recorded</div>;
+    if (recording.deletedAt) return <div style={{ fontSize: 12, color: '#666' }}>Recording deleted {formatDateTime(recording.deletedAt)} (retention)</div>;
+    if (recording.status !== 'completed') return <div style={{ fontSize: 12, color: '#666' }}>Recording…</div>;
+
+    const load = async () => {
+        setLoading(true);
+        try {
+            const resp = await fetch(`/calls/${callSid}/recording`, { headers: { Authorization: `Bearer ${token}` }, cache: 'no-store' });
+            if (!resp.ok) {
+                const data = await resp.json().catch(() => ({}));
+                throw new Error(data.error || `status ${resp.status}`);
+            }
+            setUrl(URL.createObjectURL(await resp.blob()));
+        } catch (err) {
+            logLine(`Could not load the recording: ${err.message || err}`);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (url) {
+        return (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <audio controls src={url} style={{ flex: 1 }} />
+                <a href={url} download={`${callSid}.wav`} style={{ fontSize: 12 }}>Save</a>
+            </div>
+        );
+    }
+    return (
+        <div style={{ display: 'flex', gap: 8, fontSize: 13 }}>
+            <span style={{ alignSelf: 'center' }}>🎙️ {formatSeconds(recording.durationSeconds)}</span>
+            <button onClick={load} disabled={!token || loading}>{loading ? 'Loading…' : 'Play recording'}</button>
+        </div>
+    );
+}
+
+// One call as a chat: the lead on the left, the agent on the right
+function TranscriptTimeline({ turns }) {
+    if (!turns.length) return <div style={{ fontSize: 12, color: '#666' }}>Nothing was said on this call.</div>;
+    return (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, maxHeight: 360, overflowY: 'auto', padding: 8, background: '#f9fafb', border: '1px solid #eee' }}>
+            {turns.map((turn, i) => {
+                const agent = turn.speaker === 'agent';
+                const meta = [formatTime(turn.at)];
+                if (turn.confidence != null) meta.push(`${Math.round(turn.confidence * 100)}% sure`);
+                if (turn.latencyMs != null) meta.push(`replied in ${(turn.latencyMs / 1000).toFixed(1)}s`);
+                return (
+                    <div key={i} style={{ alignSelf: agent ? 'flex-end' : 'flex-start', maxWidth: '80%' }}>
+                        <div style={{ padding: '6px 10px', borderRadius: 10, fontSize: 13, background: agent ? '#dbeafe' : '#fff', border: '1px solid #e5e7eb' }}>
+                            {turn.interrupted ? (
+                                <>
+                                    {turn.heardText}<span style={{ color: '#9ca3af', textDecoration: 'line-through' }}>{turn.text.slice((turn.heardText || '').length)}</span>
+                                </>
+                            ) : turn.text}
+                        </div>
+                        <div style={{ fontSize: 11, color: '#666', textAlign: agent ? 'right' : 'left', marginTop: 2 }}>
+                            {agent ? 'Agent' : 'Lead'} · {meta.join(' · ')}{turn.interrupted && ' · cut off'}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+// Everything about a lead's calls: each attempt, its conversation, outcome,
+// recording, and a way to correct the outcome by hand. The conversation and
+// the recording need RECORDING_ACCESS_TOKEN, kept in this browser only.
+function CallDetailPanel({ lead, call, liveTurns, onClose, logLine }) {
+    const attempts = [...(lead.attempts || [])].reverse();
+    const [selectedSid, setSelectedSid] = useState(lead.callSid || (attempts[0] && attempts[0].callSid) || null);
+    const [detail, setDetail] = useState(null);
+    const [error, setError] = useState(null);
+    const [correction, setCorrection] = useState({ type: '', details: '' });
+    const [token, setToken] = useState(() => localStorage.getItem('recordingToken') || '');
+    const [tokenInput, setTokenInput] = useState(token);
+
+    const unlock = () => {
+        localStorage.setItem('recordingToken', tokenInput);
+        setToken(tokenInput);
+    };
+
+    const load = async () => {
+        if (!selectedSid) return;
+        try {
+            const headers = token ? { Authorization: `Bearer ${token}` } : {};
+            const resp = await fetch(`/calls/${selectedSid}`, { headers, cache: 'no-store' });
+            const data = await resp.json().catch(() => ({}));
+            if (!resp.ok) throw new Error(data.error || `status ${resp.status}`);
+            setDetail(data);
+            setError(null);
+        } catch (err) {
+            setDetail(null);
+            setError(err.message || String(err));
+        }
+    };
+
+    // Reload as the lead's current call moves on (status, outcome, new turns)
+    const live = selectedSid === lead.callSid && call ? `${call.status}|${call.outcome && call.outcome.type}|${call.recording && call.recording.status}|${liveTurns}` : '';
+    useEffect(() => { load(); }, [selectedSid, live, token]);
+    useEffect(() => {
+        const outcome = detail && detail.outcome;
+        setCorrection({ type: outcome ? outcome.type : '', details: (outcome && outcome.details) || '' });
+    }, [detail && detail.sid, detail && detail.outcome && detail.outcome.correctedAt]);
+
+    const saveCorrection = async () => {
+        try {
+            const outcome = await postJson(`/calls/${selectedSid}/outcome`, correction, 'PATCH');
+            logLine(`${lead.name}: outcome corrected to ${outcome.type}`);
+            load();
+        } catch (err) {
+            logLine(`Could not correct the outcome: ${err.message || err}`);
+        }
+    };
+
+    const outcome = detail && detail.outcome;
+    return (
+        <div style={{ marginTop: 12, padding: 12, border: '1px solid #ddd', background: '#fff' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <strong style={{ flex: 1 }}>{lead.name} · {lead.company}</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {!attempts.length && <div style={{ fontSize: 13, color: '#666', marginTop: 8 }}>Not called yet.</div>}
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginTop: 8 }}>
+                {attempts.map((a, i) => (
+                    <button key={a.callSid} onClick={() => setSelectedSid(a.callSid)} style={{ fontSize: 12, fontWeight: a.callSid === selectedSid ? 700 : 400 }}>
+                        #{attempts.length - i} · {formatDateTime(a.startedAt)} · {(a.outcome && a.outcome.type) || a.status}
+                    </button>
+                ))}
+            </div>
+            {error && <div style={{ fontSize: 13, color: '#b91c1c', marginTop: 8 }}>Could not load this call: {error}</div>}
+            {(error || (detail && !detail.transcript)) && (
+                <div style={{ display: 'flex', gap: 8, marginTop: 8, fontSize: 13 }}>
+                    <input type="password" value={tokenInput} onChange={e => setTokenInput(e.target.value)} onKeyDown={e => e.key === 'Enter' && unlock()} placeholder="Recording access token (for the conversation and recording)" style={{ flex: 1 }} />
+                    <button onClick={unlock}>Unlock</button>
+                </div>
+            )}
+            {detail && (
+                <>
+                    <div style={{ fontSize: 13, marginTop: 8 }}>
+                        <div>
+                            <strong>{outcome ? outcome.type : 'No outcome'}</strong>
+                            {outcome && outcome.details && ` · ${outcome.details}`}
+                            {outcome && outcome.source === 'manual' && <span style={{ color: '#666' }}> (corrected{outcome.correctedFrom ? ` from ${outcome.correctedFrom}` : ''})</span>}
+                        </div>
+                        {outcome && outcome.meetingStart && <div>📅 Meeting: {formatDateTime(outcome.meetingStart)}{outcome.durationMinutes ? ` · ${outcome.durationMinutes} min` : ''}</div>}
+                        {outcome && outcome.callbackAt && <div>🔁 Call back: {formatDateTime(outcome.callbackAt)}</div>}
+                        {outcome && outcome.summary && <div style={{ color: '#666' }}>{outcome.summary}</div>}
+                        <div style={{ fontSize: 12, color: '#666', marginTop: 4 }}>
+                            {detail.statusHistory.map(h => `${h.status} ${formatTime(h.at)}`).join(' → ')}
+                        </div>
+                        <div style={{ fontSize: 12, color: '#666' }}>
+                            Ringing {formatSeconds(detail.durations.ringingSeconds)} · talk {formatSeconds(detail.durations.talkSeconds)} · AI {formatSeconds(detail.durations.aiSeconds)}
+                            {detail.hangupReason && ` · ended: ${detail.hangupReason}`}
+                        </div>
+                    </div>
+                    <div style={{ display: 'flex', gap: 8, marginTop: 8, fontSize: 13 }}>
+                        <select value={correction.type} onChange={e => setCorrection(prev => ({ ...prev, type: e.target.value }))}>
+                            <option value="" disabled>Outcome…</option>
+                            {OUTCOME_LABELS.map(label => <option key={label} value={label}>{label}</option>)}
+                        </select>
+                        <input value={correction.details} onChange={e => setCorrection(prev => ({ ...prev, details: e.target.value }))} placeholder="Details (optional)" style={{ flex: 1 }} />
+                        <button onClick={saveCorrection} disabled={!correction.type}>Correct outcome</button>
+                    </div>
+                    <div style={{ marginTop: 8 }}>
+                        <RecordingPlayer callSid={detail.sid} recording={detail.recording} token={token} logLine={logLine} />
+                    </div>
+                    {detail.transcript && (
+                        <div style={{ marginTop: 8 }}>
+                            <TranscriptTimeline turns={detail.transcript} />
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
 export default function SingleFileComponent() {
-    const [leads, setLeads] = useState([]);
+    // Server state, kept current by the /events stream
+    const [storedLeads, setStoredLeads] = useState([]);
+    const [calls, setCalls] = useState({});
+    const [conversations, setConversations] = useState({});
+    const [connection, setConnection] = useState('connecting');
+    const [supervisedSid, setSupervisedSid] = useState(null);
+    const [detailLeadId, setDetailLeadId] = useState(null);
     const [leadCsv, setLeadCsv] = useState(
         //         `Example: John Doe,Acme Inc,VP of Engineering,+1555123456
         // Jane Smith,Beta Corp,CTO,+1555789012`
         'John Doe,Acme Inc,VP of Engineering,+972533364168'
     );
-    const [currentLeadId, setCurrentLeadId] = useState(null);
-    const [isDialing, setIsDialing] = useState(false);
-    const [isCallActive, setIsCallActive] = useState(false);
+    const [campaign, setCampaign] = useState(null);
+    const [dialSettings, setDialSettings] = useState({ concurrency: 1, callsPerMinute: 0, maxAttempts: 3, windowStart: '09:00', windowEnd: '20:00', scriptId: 'default' });
     const [callLog, setCallLog] = useState([]);
-    const [agentStatus, setAgentStatus] = useState('Offline');
-    const [allCallsEnded, setAllCallsEnded] = useState(false);
+    const [scripts, setScripts] = useState([]);
+
+    const logLine = (line) => setCallLog(prev => [...prev, line]);
+
+    const leads = storedLeads.map(l => withCallStatus(l, calls));
+    const leadsRef = useRef(leads);
+    leadsRef.current = leads;
 
-    const callTimeoutRef = useRef(null);
-    const prevLeadsRef = useRef([]);
+    // The server owns the dial queue; derive what the dashboard shows from it
+    const isDialing = !!campaign && campaign.status === 'running';
+    const activeLeads = campaign ? leads.filter(l => (campaign.activeLeadIds || []).includes(l.id)) : [];
+    const isCallActive = activeLeads.length > 0;
+    // The panel closes by itself once the supervised call is over
+    const supervisedLead = activeLeads.find(l => l.callSid && l.callSid === supervisedSid) || null;
+    const detailLead = leads.find(l => l.id === detailLeadId) || null;
+    const agentStatus = !campaign || !ACTIVE_CAMPAIGN_STATES.includes(campaign.status)
+        ? 'Offline'
+        : campaign.status === 'paused' ? 'Paused' : (isCallActive ? `${activeLeads.length} active call${activeLeads.length > 1 ? 's' : ''}` : 'Dialing');
 
+    const loadScripts = async () => {
+        const resp = await fetch('/scripts', { cache: 'no-store' });
+        if (resp.ok) setScripts(await resp.json());
+    };
+
+    useEffect(() => {
+        loadScripts().catch(err => console.error('Failed to load scripts', err));
+    }, []);
+
+    // Live updates. Each (re)connect starts with a snapshot that replaces the
+    // local state, so nothing missed while disconnected lingers. EventSource
+    // retries on its own; if it gives up (server down, proxy error) we open a
+    // new one with backoff.
     useEffect(() => {
+        let source = null;
+        let retryTimer = null;
+        let retryDelay = 1000;
+        let closed = false;
+        const on = (type, handler) => source.addEventListener(type, (e) => {
+            try {
+                handler(JSON.parse(e.data));
+            } catch (err) {
+                console.error(`Bad ${type} event`, err);
+            }
+        });
+
+        const connect = () => {
+            source = new EventSource('/events');
+            source.onopen = () => {
+                retryDelay = 1000;
+                setConnection('live');
+            };
+            source.onerror = () => {
+                if (closed) return;
+                setConnection('reconnecting');
+                if (source.readyState !== EventSource.CLOSED) return;
+                source.close();
+                retryTimer = setTimeout(connect, retryDelay);
+                retryDelay = Math.min(retryDelay * 2, 30000);
+            };
+            on('snapshot', (snap) => {
+                setStoredLeads(snap.leads);
+                setCalls(Object.fromEntries(snap.calls.map(c => [c.sid, c])));
+                setConversations(Object.fromEntries(snap.live.filter(l => l.callSid).map(l => [l.callSid, { turns: l.turns, interim: '' }])));
+                // Keep showing the campaign we had; otherwise pick up the most recent unfinished one
+                setCampaign(prev => (prev && snap.campaigns.find(c => c.id === prev.id))
+                    || snap.campaigns.filter(c => ACTIVE_CAMPAIGN_STATES.includes(c.status)).pop()
+                    || null);
+            });
+            on('lead', (lead) => setStoredLeads(prev => {
+                const rest = prev.filter(l => l.id !== lead.id);
+                return [...rest, lead].sort((a, b) => (a.position || 0) - (b.position || 0));
+            }));
+            on('lead-removed', ({ id }) => setStoredLeads(prev => prev.filter(l => l.id !== id)));
+            on('call', (call) => setCalls(prev => ({ ...prev, [call.sid]: call })));
+            on('campaign', (c) => setCampaign(prev => {
+                if (!prev || prev.id === c.id) return c;
+                // A new campaign replaces a finished one, never a running one
+                return ACTIVE_CAMPAIGN_STATES.includes(c.status) && !ACTIVE_CAMPAIGN_STATES.includes(prev.status) ? c : prev;
+            }));
+            on('outcome', ({ leadId, outcome }) => {
+                const lead = leadsRef.current.find(l => l.id === leadId);
+                logLine(`${lead ? lead.name : 'Call'}: ${outcome.type}${outcome.details ? ` - ${outcome.details}` : ''}`);
+            });
+            on('transcript', (data) => setConversations(prev => addConversationEvent(prev, 'transcript', data)));
+            on('agent', (data) => setConversations(prev => addConversationEvent(prev, 'agent', data)));
+        };
+
+        connect();
         return () => {
-            if (callTimeoutRef.current) clearTimeout(callTimeoutRef.current);
+            closed = true;
+            clearTimeout(retryTimer);
+            if (source) source.close();
         };
     }, []);
 
-    const handleLoadLeads = () => {
+    // Log each newly dialed lead and notify once the campaign is done
+    const loggedLeadsRef = useRef(new Set());
+    useEffect(() => {
+        activeLeads.forEach(lead => {
+            if (loggedLeadsRef.current.has(lead.id)) return;
+            loggedLeadsRef.current.add(lead.id);
+            logLine(`Calling ${lead.name} at ${lead.phone}`);
+        });
+    }, [activeLeads.map(l => l.id).join(',')]);
+
+    useEffect(() => {
+        if (!campaign || campaign.status !== 'completed') return;
+        logLine('All calls ended');
+        try {
+            if (window && window.Notification) {
+                if (Notification.permission === 'granted') new Notification('All calls ended');
+                else if (Notification.permission !== 'denied') Notification.requestPermission().then(p => { if (p === 'granted') new Notification('All calls ended'); });
+            }
+        } catch (e) { }
+    }, [campaign && campaign.status]);
+
+    const handleLoadLeads = async () => {
         const csvText = (leadCsv || '').trim();
         if (!csvText) return;
-        const parsed = csvText.split('\n').map((row, i) => {
-            const [name, company, title, phone] = row.split(',');
+        const rows = csvText.split('\n').filter(row => row.trim()).map(row => row.split(',').map(cell => cell.trim()));
+        // A header row (with "name" and "phone") maps columns by name, and any
+        // column that isn't a lead field becomes a custom field. Without one the
+        // columns are Name,Company,Title,Phone[,TimeZone].
+        const header = rows[0].map(cell => cell.toLowerCase());
+        const hasHeader = header.includes('name') && header.includes('phone');
+        const columns = hasHeader ? header : LEAD_COLUMNS.slice(0, 5);
+        const parsed = (hasHeader ? rows.slice(1) : rows).map((cells) => {
+            const lead = { customFields: {} };
+            cells.forEach((value, i) => {
+                if (!columns[i] || !value) return;
+                if (LEAD_COLUMNS.includes(columns[i])) lead[columns[i]] = value;
+                else lead.customFields[rows[0][i]] = value;
+            });
             return {
-                id: i,
-                name: name?.trim() || 'Unknown',
-                company: company?.trim() || 'Unknown',
-                title: title?.trim() || 'Unknown',
-                phone: phone?.trim() || 'Unknown',
-                status: 'Pending',
-                notes: '',
-                label: null // null, 'scheduled', 'hangup', or 'irrelevant'
+                ...lead,
+                name: lead.name || 'Unknown',
+                company: lead.company || 'Unknown',
+                title: lead.title || 'Unknown',
+                phone: lead.phone || 'Unknown',
+                notes: lead.notes || ''
             };
         });
-        setLeads(parsed);
+        try {
+            const saved = await postJson('/leads', { leads: parsed });
+            // label: null, 'scheduled', 'callback', 'hangup', 'irrelevant' or 'voicemail'
+            setStoredLeads(saved);
+            setCampaign(null);
+        } catch (err) {
+            console.error('Load leads error', err);
+            logLine(`Could not save leads: ${err.message || err}`);
+        }
     };
 
-    const handleToggleDialer = () => {
-        if (isDialing) {
-            setIsDialing(false);
-            if (callTimeoutRef.current) clearTimeout(callTimeoutRef.current);
-            setAgentStatus('Offline');
-        } else {
-            setIsDialing(true);
-            callNextLead();
+    const campaignAction = async (action) => {
+        try {
+            setCampaign(await postJson(`/campaigns/${campaign.id}/${action}`));
+        } catch (err) {
+            console.error(`Campaign ${action} error`, err);
+            logLine(`Could not ${action} campaign: ${err.message || err}`);
         }
     };
 
-    const callNextLead = () => {
-        const next = leads.find(l => l.status === 'Pending');
-        if (!next) { setIsDialing(false); return; }
-        setCurrentLeadId(next.id);
-        setLeads(prev => prev.map(p => p.id === next.id ? { ...p, status: 'Dialing...' } : p));
-        startCall(next);
+    const handleStartCampaign = async () => {
+        const pending = leads.filter(l => l.status === 'Pending');
+        if (!pending.length) return logLine('No pending leads to call');
+        try {
+            const created = await postJson('/campaigns', { leadIds: pending.map(l => l.id), settings: toCampaignSettings(dialSettings) });
+            setCampaign(await postJson(`/campaigns/${created.id}/start`));
+        } catch (err) {
+            console.error('Start campaign error', err);
+            logLine(`Could not start campaign: ${err.message || err}`);
+        }
     };
 
-    const startCall = (lead) => {
-        setAgentStatus('Dialing');
-        setIsCallActive(true);
-        setAllCallsEnded(false);
-        setCallLog(prev => [...prev, `Calling ${lead.name} at ${lead.phone}`]);
-
-        fetch('/start-call', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ name: lead.name, phone: lead.phone, leadId: lead.id })
-        }).then(async (resp) => {
-            if (!resp.ok) {
-                const err = await resp.json().catch(() => ({}));
-                throw new Error(err.error || 'Failed to start call');
-            }
-            const data = await resp.json();
-            setAgentStatus('Ringing');
-            setLeads(prev => prev.map(p => p.id === lead.id ? { ...p, status: 'Ringing', callSid: data.callSid } : p));
-            // After Twilio answers, the live websocket media stream will drive AI/TTS on the server.
-        }).catch((err) => {
-            console.error('Start call error', err);
-            setStatusMessage(String(err.message || err));
-            setAgentStatus('Offline');
-            setIsCallActive(false);
-            setLeads(prev => prev.map(p => p.id === lead.id ? { ...p, status: 'Call Failed', notes: String(err.message || err) } : p));
-            // Continue dialing next lead if auto-dialer was active
-            if (isDialing) callTimeoutRef.current = setTimeout(callNextLead, 2500);
-        });
+    const endCall = async (lead) => {
+        if (!lead || !lead.callSid) return;
+        try {
+            await postJson(`/calls/${lead.callSid}/hangup`);
+            logLine(`Ended call with ${lead.name}`);
+        } catch (err) {
+            console.error('End call error', err);
+            logLine(`Could not end call: ${err.message || err}`);
+        }
     };
 
-    // Poll call statuses from server when we have active callSids
-    useEffect(() => {
-        let timer = null;
-        const shouldPoll = leads.some(l => l.callSid && !['Called', 'Call Failed', 'Failed', 'No Answer', 'Busy', '📅', '📞', '❌'].some(term => l.status.includes(term)));
-        if (shouldPoll) {
-            const poll = async () => {
-                try {
-                    const resp = await fetch('/calls-status', { cache: 'no-store' });
-                    if (!resp.ok) return;
-                    const data = await resp.json();
-
-                    // Build updated leads array from current state (prev) so we can detect transitions
-                    setLeads(prev => {
-                        const updated = prev.map(l => {
-                            if (!l.callSid) return l;
-                            const entry = data.find(d => d.sid === l.callSid);
-                            if (!entry) return l;
-
-                            let status = entry.status || l.status;
-                            // human friendly labels
-                            if (status === 'in-progress') status = 'In Call';
-                            if (status === 'completed') status = 'Called';
-                            if (status === 'no-answer') status = 'No Answer';
-                            if (status === 'busy') status = 'Busy';
-                            if (status === 'failed') status = 'Failed';
-                            if (status === 'ringing') status = 'Ringing';
-
-                            // Automatically detect outcome from backend
-                            let label = l.label;
-                            if (entry.outcome && entry.outcome.type) {
-                                label = entry.outcome.type;
-                                if (entry.outcome.type === 'scheduled' && entry.outcome.details) {
-                                    status = `📅 ${entry.outcome.details}`;
-                                } else if (entry.outcome.type === 'hangup') {
-                                    status = '📞 Hung Up';
-                                } else if (entry.outcome.type === 'irrelevant') {
-                                    status = '❌ Not Relevant';
-                                }
-                            }
-
-                            return { ...l, status, label };
-                        });
-
-                        // detect transitions from prev -> updated: if current lead got a label newly, advance
-                        try {
-                            const prevLeads = prevLeadsRef.current || prev;
-                            for (let i = 0; i < updated.length; i++) {
-                                const p = prevLeads[i];
-                                const u = updated[i];
-                                if (!p || !u) continue;
-                                const previouslyLabel = p.label;
-                                const nowLabel = u.label;
-                                // If label transitioned from falsy -> truthy on the current lead, advance
-                                if ((!previouslyLabel) && nowLabel && isDialing && u.id === currentLeadId) {
-                                    console.log('Auto-advance: detected label on current lead, scheduling next...');
-                                    if (callTimeoutRef.current) clearTimeout(callTimeoutRef.current);
-                                    setTimeout(() => {
-                                        // clear call active state then advance
-                                        setIsCallActive(false);
-                                        setCurrentLeadId(null);
-                                        callNextLead();
-                                    }, 1500);
-                                    break;
-                                }
-                            }
-                        } catch (e) { }
-
-                        // store for next poll
-                        prevLeadsRef.current = updated.map(l => ({ id: l.id, label: l.label }));
-
-                        return updated;
-                    });
-
-                    // If no active (non-terminal) calls remain, notify and stop dialer
-                    const activeCalls = data.filter(d => !['completed', 'no-answer', 'busy', 'failed', 'canceled'].includes(d.status));
-                    if (activeCalls.length === 0 && leads.some(l => l.callSid)) {
-                        setStatusMessage('All calls ended');
-                        setIsDialing(false);
-                        setAgentStatus('Offline');
-                        setAllCallsEnded(true);
-                        try {
-                            if (window && window.Notification) {
-                                if (Notification.permission === 'granted') new Notification('All calls ended');
-                                else if (Notification.permission !== 'denied') Notification.requestPermission().then(p => { if (p === 'granted') new Notification('All calls ended'); });
-                            }
-                        } catch (e) { }
-                    }
-                } catch (err) {
-                    // ignore polling errors for now
-                }
-            }
-
-            poll();
-            timer = setInterval(poll, 2000);
+    const handleSettingChange = async (key, value) => {
+        const next = { ...dialSettings, [key]: typeof dialSettings[key] === 'number' ? Number(value) : value };
+        setDialSettings(next);
+        if (!campaign || !ACTIVE_CAMPAIGN_STATES.includes(campaign.status)) return;
+        try {
+            const resp = await fetch(`/campaigns/${campaign.id}/settings`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(toCampaignSettings(next))
+            });
+            const data = await resp.json();
+            if (!resp.ok) throw new Error(data.error || 'Failed to update settings');
+            setCampaign(data);
+        } catch (err) {
+            logLine(`Could not update dial settings: ${err.message || err}`);
         }
-        return () => { if (timer) clearInterval(timer); };
-    }, [leads, isDialing, currentLeadId]);
-
-    const endCall = () => {
-        setIsCallActive(false);
-        setAgentStatus('Offline');
-        setCurrentLeadId(null);
-        if (isDialing) callTimeoutRef.current = setTimeout(callNextLead, 2500);
     };
 
+    const campaignActive = !!campaign && ACTIVE_CAMPAIGN_STATES.includes(campaign.status);
+    const progress = campaign && campaign.progress;
+
     return (
         <>
             <GlobalStyles />
@@ -215,26 +741,65 @@ export default function SingleFileComponent() {
                     <div style={{ flex: 1 }}>
                         <h2>Leads</h2>
                         <textarea rows={6} value={leadCsv} onChange={e => setLeadCsv(e.target.value)} style={{ width: '100%' }} />
-                        <button onClick={handleLoadLeads} style={{ marginTop: 8 }}>Load Leads</button>
+                        <button onClick={handleLoadLeads} disabled={campaignActive} style={{ marginTop: 8 }}>Load Leads</button>
                         <div id="lead-list-container" style={{ marginTop: 12 }}>
                             {leads.map(l => (
-                                <div key={l.id} style={{ padding: 8, border: '1px solid #ddd', marginBottom: 8, background: l.label === 'scheduled' ? '#d1fae5' : l.label === 'hangup' ? '#fee2e2' : l.label === 'irrelevant' ? '#e5e7eb' : '#fff' }}>
-                                    <div><strong>{l.name}</strong> <span style={{ float: 'right' }}>{l.status}</span></div>
+                                <div key={l.id} onClick={() => setDetailLeadId(l.id)} title="Show calls" style={{ padding: 8, cursor: 'pointer', border: l.id === detailLeadId ? '1px solid #2563eb' : '1px solid #ddd', marginBottom: 8, background: l.label === 'scheduled' ? '#d1fae5' : l.label === 'hangup' ? '#fee2e2' : l.label === 'irrelevant' ? '#e5e7eb' : l.label === 'voicemail' ? '#fef3c7' : l.label === 'callback' ? '#dbeafe' : l.label === 'transfer' ? '#ede9fe' : l.label === 'no-response' ? '#f3f4f6' : '#fff' }}>
+                                    <div><strong>{l.name}</strong> <span style={{ float: 'right' }}>{leadStatusText(l, campaign)}</span></div>
                                     <div style={{ fontSize: 12, color: '#666' }}>{l.title} at {l.company}</div>
-                                    <div style={{ fontFamily: 'monospace', fontSize: 12 }}>{l.phone}</div>
+                                    <div style={{ fontFamily: 'monospace', fontSize: 12 }}>{l.phone} <span style={{ color: '#666' }}>· {l.timezone}{l.timezoneSource === 'manual' ? ' (set)' : ''}</span></div>
+                                    {l.customFields && Object.keys(l.customFields).length > 0 && <div style={{ fontSize: 12, color: '#666' }}>{Object.entries(l.customFields).map(([k, v]) => `${k}: ${v}`).join(' · ')}</div>}
+                                    {activeLeads.includes(l) && conversations[l.callSid] && (
+                                        <div style={{ fontSize: 12, marginTop: 6, borderTop: '1px solid #eee', paddingTop: 4 }}>
+                                            {conversations[l.callSid].turns.slice(-4).map((t, i) => (
+                                                <div key={i}><strong>{t.role === 'model' ? 'Agent' : 'Lead'}:</strong> {t.text}</div>
+                                            ))}
+                                            {conversations[l.callSid].interim && <div style={{ color: '#666', fontStyle: 'italic' }}>Lead: {conversations[l.callSid].interim}…</div>}
+                                        </div>
+                                    )}
                                 </div>
                             ))}
                         </div>
-                        <button onClick={handleToggleDialer} style={{ width: '100%', marginTop: 8 }}>{isDialing ? 'Stop Dialing' : 'Start Dialing'}</button>
+                        <div style={{ display: 'flex', gap: 12, marginTop: 8, fontSize: 13 }}>
+                            <label>Parallel calls <input type="number" min={1} value={dialSettings.concurrency} onChange={e => handleSettingChange('concurrency', e.target.value)} style={{ width: 50 }} /></label>
+                            <label>Calls/min (0 = no limit) <input type="number" min={0} value={dialSettings.callsPerMinute} onChange={e => handleSettingChange('callsPerMinute', e.target.value)} style={{ width: 50 }} /></label>
+                            <label>Max attempts <input type="number" min={1} value={dialSettings.maxAttempts} onChange={e => handleSettingChange('maxAttempts', e.target.value)} style={{ width: 50 }} /></label>
+                        </div>
+                        <div style={{ display: 'flex', gap: 12, marginTop: 4, fontSize: 13 }}>
+                            <label>Call between <input type="time" value={dialSettings.windowStart} onChange={e => handleSettingChange('windowStart', e.target.value)} /></label>
+                            <label>and <input type="time" value={dialSettings.windowEnd} onChange={e => handleSettingChange('windowEnd', e.target.value)} /></label>
+                            <span style={{ color: '#666' }}>(lead's local time, weekdays)</span>
+                        </div>
+                        <div style={{ display: 'flex', gap: 12, marginTop: 4, fontSize: 13 }}>
+                            <label>Script <select value={dialSettings.scriptId} onChange={e => handleSettingChange('scriptId', e.target.value)}>
+                                {scripts.map(s => <option key={s.id} value={s.id}>{s.name} (v{s.version})</option>)}
+                            </select></label>
+                        </div>
+                        {!campaignActive && (
+                            <button onClick={handleStartCampaign} style={{ width: '100%', marginTop: 8 }}>Start Dialing</button>
+                        )}
+                        {campaignActive && (
+                            <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                                <button onClick={() => campaignAction(isDialing ? 'pause' : 'resume')} style={{ flex: 1 }}>{isDialing ? 'Pause Dialing' : 'Resume Dialing'}</button>
+                                <button onClick={() => campaignAction('stop')} style={{ flex: 1 }}>Stop Dialing</button>
+                            </div>
+                        )}
                     </div>
 
                     <div style={{ flex: 1 }}>
                         <h2>Call Log</h2>
                         <div style={{ background: '#111', color: '#fff', padding: 12, borderRadius: 8 }}>
                             <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
-                                <div style={{ fontWeight: 600 }}>Status: {agentStatus}</div>
+                                <div style={{ fontWeight: 600 }}>Status: {agentStatus}{connection !== 'live' && <span style={{ fontWeight: 400, color: '#fbbf24' }}> · {connection === 'connecting' ? 'connecting…' : 'reconnecting…'}</span>}</div>
                                 <div style={{ width: 12, height: 12, borderRadius: 6, background: isCallActive ? '#10b981' : '#6b7280' }} />
                             </div>
+                            {progress && (
+                                <div style={{ fontSize: 12, marginTop: 6, color: '#d1d5db' }}>
+                                    Campaign {campaign.status}: {progress.done + progress.failed}/{progress.total} called
+                                    {Object.entries(progress.labels).map(([label, n]) => ` · ${label} ${n}`).join('')}
+                                    {progress.effectiveConcurrency < campaign.settings.concurrency && ` · slowed to ${progress.effectiveConcurrency} parallel (AI latency)`}
+                                </div>
+                            )}
                         </div>
 
                         <div id="call-log" style={{ marginTop: 12, height: 300, overflowY: 'auto', padding: 8, border: '1px solid #eee', background: '#fff' }}>
@@ -246,10 +811,28 @@ export default function SingleFileComponent() {
                         </div>
 
                         <div style={{ marginTop: 8 }}>
-                            <button onClick={endCall} disabled={!isCallActive || allCallsEnded} style={{ width: '100%' }}>End Current Call</button>
+                            {activeLeads.map(lead => (
+                                <div key={lead.id} style={{ display: 'flex', gap: 4, marginBottom: 4 }}>
+                                    <button onClick={() => endCall(lead)} style={{ flex: 1 }}>End Call with {lead.name}</button>
+                                    {lead.callSid && <button onClick={() => setSupervisedSid(lead.callSid)}>Supervise</button>}
+                                </div>
+                            ))}
+                            {!isCallActive && <button disabled style={{ width: '100%' }}>End Current Call</button>}
                         </div>
+                        {supervisedLead && <SupervisorPanel key={supervisedLead.callSid} lead={supervisedLead} onClose={() => setSupervisedSid(null)} logLine={logLine} />}
+                        {detailLead && (
+                            <CallDetailPanel
+                                key={`${detailLead.id}|${detailLead.callSid}`}
+                                lead={detailLead}
+                                call={detailLead.callSid ? calls[detailLead.callSid] : null}
+                                liveTurns={detailLead.callSid && conversations[detailLead.callSid] ? conversations[detailLead.callSid].turns.length : 0}
+                                onClose={() => setDetailLeadId(null)}
+                                logLine={logLine}
+                            />
+                        )}
                     </div>
                 </div>
+                <ScriptEditor scripts={scripts} onSaved={loadScripts} logLine={logLine} />
             </div>
         </>
     );
@@ -0,0 +1,67 @@
+const fetch = require('node-fetch');
+const config = require('../config');
+const ics = require('./ics');
+
+// CalDAV calendar collection (Nextcloud, iCloud, Fastmail, Radicale, ...).
+// One calendar-query REPORT asks the server for the events in the window with
+// recurrences already expanded. The password can come from an environment
+// variable so it doesn't have to sit in the account-manager file.
+//
+// source: { type: 'caldav', url, username, password | passwordEnv }
+
+function queryBody(from, to) {
+    const start = ics.formatUtc(from);
+    const end = ics.formatUtc(to);
+    return `<?xml version="1.0" encoding="utf-8" ?>
+<C:calendar-query xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">
+  <D:prop>
+    <C:calendar-data><C:expand start="${start}" end="${end}"/></C:calendar-data>
+  </D:prop>
+  <C:filter>
+    <C:comp-filter name="VCALENDAR">
+      <C:comp-filter name="VEVENT">
+        <C:time-range start="${start}" end="${end}"/>
+      </C:comp-filter>
+    </C:comp-filter>
+  </C:filter>
+</C:calendar-query>`;
+}
+
+function xmlUnescape(str) {
+    return str
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, n) => String.fromCharCode(Number(n)))
+        .replace(/&#x([0-9a-f]+);/gi, (m, n) => String.fromCharCode(parseInt(n, 16)))
+        .replace(/&amp;/g, '&');
+}
+
+// The calendar-data element of each response in the multistatus body,
+// whatever namespace prefix the server picked
+function calendarData(xml) {
+    const re = /<(?:[\w-]+:)?calendar-data\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?calendar-data>/g;
+    const out = [];
+    let m;
+    while ((m = re.exec(xml))) out.push(xmlUnescape(m[1]));
+    return out;
+}
+
+async function fetchBusy(source, { from, to, timezone }) {
+    if (!source.url) throw new Error('caldav calendar source needs a url');
+    const headers = { 'Content-Type': 'application/xml; charset=utf-8', Depth: '1' };
+    const password = source.passwordEnv ? process.env[source.passwordEnv] : source.password;
+    if (source.username) headers.Authorization = `Basic ${Buffer.from(`${source.username}:${password || ''}`).toString('base64')}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.CALENDAR_FETCH_TIMEOUT_MS);
+    try {
+        const resp = await fetch(source.url, { method: 'REPORT', headers, body: queryBody(from, to), signal: controller.signal });
+        if (resp.status !== 207 && !resp.ok) throw new Error(`CalDAV REPORT returned ${resp.status}`);
+        const events = calendarData(await resp.text()).flatMap(data => ics.parse(data, timezone));
+        return ics.busyIntervals(events, from, to);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { name: 'caldav', fetchBusy };
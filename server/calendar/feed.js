@@ -0,0 +1,25 @@
+const fetch = require('node-fetch');
+const config = require('../config');
+const ics = require('./ics');
+
+// Published ICS feed (Google Calendar "secret address in iCal format",
+// Outlook "publish calendar", ...). webcal:// URLs are fetched over https.
+//
+// source: { type: 'ics', url }
+
+async function fetchBusy(source, { from, to, timezone }) {
+    if (!source.url) throw new Error('ics calendar source needs a url');
+    const url = source.url.replace(/^webcal:\/\//i, 'https://');
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.CALENDAR_FETCH_TIMEOUT_MS);
+    try {
+        const resp = await fetch(url, { headers: { Accept: 'text/calendar' }, signal: controller.signal });
+        if (!resp.ok) throw new Error(`ICS feed returned ${resp.status}`);
+        return ics.busyIntervals(ics.parse(await resp.text(), timezone), from, to);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+module.exports = { name: 'ics', fetchBusy };
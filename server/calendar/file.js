@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+const ics = require('./ics');
+
+// Local stand-in for a real calendar: an .ics file, or a JSON file with busy
+// blocks ([{ start, end }] or { busy: [{ start, end }] }, ISO 8601 times).
+// Relative paths are resolved against the account-manager file. The file is
+// read on every refresh, so editing it changes availability without a restart.
+//
+// source: { type: 'file', path }
+
+async function fetchBusy(source, { from, to, timezone, baseDir }) {
+    if (!source.path) throw new Error('file calendar source needs a path');
+    const file = path.resolve(baseDir || process.cwd(), source.path);
+    const text = await fs.promises.readFile(file, 'utf8');
+
+    if (/\.json$/i.test(file)) {
+        const data = JSON.parse(text);
+        const blocks = Array.isArray(data) ? data : (data.busy || []);
+        return blocks
+            .map(b => ({ start: new Date(b.start), end: new Date(b.end) }))
+            .filter(b => !isNaN(b.start) && !isNaN(b.end) && b.start < to && b.end > from);
+    }
+    return ics.busyIntervals(ics.parse(text, timezone), from, to);
+}
+
+module.exports = { name: 'file', fetchBusy };
@@ -0,0 +1,284 @@
+const compliance = require('../compliance');
+
+// Just enough iCalendar (RFC 5545) for availability and invitations.
+//
+// parse() reads the VEVENTs of a calendar (ICS feed, CalDAV calendar-data or
+// a local .ics file) and busyIntervals() expands them into busy time between
+// two instants. Recurring events are expanded for DAILY, WEEKLY, MONTHLY and
+// YEARLY rules (INTERVAL, COUNT, UNTIL, weekly BYDAY) with EXDATE and
+// RECURRENCE-ID overrides. Cancelled and transparent ("free") events are not
+// busy time.
+//
+// buildInvite() writes a METHOD:REQUEST calendar with one event, which mail
+// clients and calendar apps import as a meeting invitation.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 5000;
+const WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+// "NAME;PARAM=a;PARAM2=b:value" -> { name, params, value }
+function parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) { colon = i; break; }
+    }
+    if (colon < 0) return null;
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(p => {
+        const eq = p.indexOf('=');
+        if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DATE or DATE-TIME value -> { date, allDay }. Floating times and unknown
+// TZIDs (e.g. Windows zone names) are read in `defaultTz`.
+function parseDate(value, params, defaultTz) {
+    const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(String(value).trim());
+    if (!m) return null;
+    const [, y, mo, d, h, mi, s, utc] = m;
+    if (h === undefined || params.VALUE === 'DATE') {
+        const tz = compliance.isValidTimeZone(params.TZID) ? params.TZID : defaultTz;
+        return { date: compliance.zonedTimeToUtc(+y, +mo, +d, 0, 0, tz), allDay: true, tz };
+    }
+    if (utc) return { date: new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +(s || 0))), allDay: false, tz: defaultTz };
+    const tz = compliance.isValidTimeZone(params.TZID) ? params.TZID : defaultTz;
+    const date = compliance.zonedTimeToUtc(+y, +mo, +d, +h, +mi, tz);
+    return { date: new Date(date.getTime() + (+(s || 0)) * 1000), allDay: false, tz };
+}
+
+// ISO 8601 duration (P1W, PT30M, P1DT2H, ...) in milliseconds
+function parseDuration(value) {
+    const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!m) return null;
+    const [, sign, w, d, h, mi, s] = m;
+    const ms = ((+(w || 0) * 7 + +(d || 0)) * 24 * 3600 + +(h || 0) * 3600 + +(mi || 0) * 60 + +(s || 0)) * 1000;
+    return sign === '-' ? -ms : ms;
+}
+
+// Events of an iCalendar document. `defaultTz` applies to floating times.
+function parse(text, defaultTz) {
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event = null;
+    let nested = 0; // VALARM and friends inside a VEVENT
+
+    lines.forEach(raw => {
+        const line = parseLine(raw);
+        if (!line) return;
+        const value = line.value.trim().toUpperCase();
+        if (line.name === 'BEGIN') {
+            if (value === 'VEVENT' && !event) event = { exdates: [] };
+            else if (event) nested++;
+            return;
+        }
+        if (line.name === 'END') {
+            if (event && nested) nested--;
+            else if (event && value === 'VEVENT') {
+                if (event.start) events.push(finishEvent(event));
+                event = null;
+            }
+            return;
+        }
+        if (!event || nested) return;
+
+        switch (line.name) {
+            case 'UID': event.uid = line.value; break;
+            case 'SUMMARY': event.summary = unescapeText(line.value); break;
+            case 'STATUS': event.status = value; break;
+            case 'TRANSP': event.transp = value; break;
+            case 'RRULE': event.rrule = parseRrule(line.value); break;
+            case 'DURATION': event.duration = parseDuration(line.value); break;
+            case 'DTSTART': {
+                const start = parseDate(line.value, line.params, defaultTz);
+                if (start) Object.assign(event, { start: start.date, allDay: start.allDay, tz: start.tz });
+                break;
+            }
+            case 'DTEND': {
+                const end = parseDate(line.value, line.params, defaultTz);
+                if (end) event.end = end.date;
+                break;
+            }
+            case 'EXDATE':
+                line.value.split(',').forEach(v => {
+                    const ex = parseDate(v, line.params, defaultTz);
+                    if (ex) event.exdates.push(ex.date.getTime());
+                });
+                break;
+            case 'RECURRENCE-ID': {
+                const rid = parseDate(line.value, line.params, defaultTz);
+                if (rid) event.recurrenceId = rid.date.getTime();
+                break;
+            }
+            default:
+                break;
+        }
+    });
+    return events;
+}
+
+function finishEvent(event) {
+    if (!event.end) {
+        const length = event.duration != null ? event.duration : (event.allDay ? DAY_MS : 0);
+        event.end = new Date(event.start.getTime() + length);
+    }
+    delete event.duration;
+    return event;
+}
+
+function parseRrule(value) {
+    const rule = {};
+    value.split(';').forEach(part => {
+        const [k, v] = part.split('=');
+        if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+    });
+    const until = rule.UNTIL ? parseDate(rule.UNTIL, {}, 'UTC') : null;
+    return {
+        freq: rule.FREQ,
+        interval: Math.max(1, Number(rule.INTERVAL) || 1),
+        count: rule.COUNT ? Number(rule.COUNT) : null,
+        until: until ? until.date : null,
+        byDay: rule.BYDAY ? rule.BYDAY.split(',').map(d => WEEKDAYS[d.slice(-2)]).filter(d => d !== undefined).sort() : null
+    };
+}
+
+// Calendar date `offset` days after { year, month, day }
+function addDays(day, offset) {
+    const d = new Date(Date.UTC(day.year, day.month - 1, day.day + offset));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(), weekday: d.getUTCDay() };
+}
+
+function validDay(year, month, day) {
+    const d = new Date(Date.UTC(year, month - 1, day));
+    return d.getUTCMonth() === month - 1 ? { year: d.getUTCFullYear(), month, day, weekday: d.getUTCDay() } : null;
+}
+
+// Candidate days of the n-th recurrence period
+function periodDays(rule, base, n) {
+    const step = n * rule.interval;
+    switch (rule.freq) {
+        case 'DAILY':
+            return [addDays(base, step)];
+        case 'WEEKLY': {
+            const sunday = addDays(base, step * 7 - base.weekday);
+            return (rule.byDay || [base.weekday]).map(wd => addDays(sunday, wd));
+        }
+        case 'MONTHLY': {
+            const months = base.month - 1 + step;
+            return [validDay(base.year + Math.floor(months / 12), (months % 12) + 1, base.day)].filter(Boolean);
+        }
+        case 'YEARLY':
+            return [validDay(base.year + step, base.month, base.day)].filter(Boolean);
+        default:
+            return null;
+    }
+}
+
+// Start times of a recurring event that begin before `to`, in its own zone so
+// a 9:00 meeting stays at 9:00 across DST changes
+function expand(event, to) {
+    const rule = event.rrule;
+    const base = compliance.localParts(event.allDay ? new Date(event.start.getTime() + 12 * 3600 * 1000) : event.start, event.tz);
+    const clock = event.allDay ? { hour: 0, minute: 0 } : base;
+    const starts = [];
+    let count = 0;
+    for (let n = 0; n < MAX_OCCURRENCES; n++) {
+        const days = periodDays(rule, base, n);
+        if (!days) return [event.start]; // unsupported FREQ: the first occurrence only
+        for (const day of days) {
+            const start = compliance.zonedTimeToUtc(day.year, day.month, day.day, clock.hour, clock.minute, event.tz);
+            if (start < event.start) continue;
+            if (rule.until && start > rule.until) return starts;
+            if (rule.count && ++count > rule.count) return starts;
+            if (start >= to) return starts;
+            starts.push(start);
+        }
+    }
+    return starts;
+}
+
+// Busy [{ start, end }] between `from` and `to`, sorted by start
+function busyIntervals(events, from, to) {
+    const overridden = new Set(events.filter(e => e.recurrenceId != null).map(e => `${e.uid}|${e.recurrenceId}`));
+    const busy = [];
+    events.forEach(event => {
+        if (event.status === 'CANCELLED' || event.transp === 'TRANSPARENT') return;
+        const length = event.end.getTime() - event.start.getTime();
+        const starts = event.rrule && event.recurrenceId == null ? expand(event, to) : [event.start];
+        starts.forEach(start => {
+            const t = start.getTime();
+            if (event.exdates.includes(t)) return;
+            if (event.rrule && event.recurrenceId == null && overridden.has(`${event.uid}|${t}`)) return;
+            if (t < to.getTime() && t + length > from.getTime()) busy.push({ start, end: new Date(t + length) });
+        });
+    });
+    return busy.sort((a, b) => a.start - b.start);
+}
+
+function escapeText(str) {
+    return String(str == null ? '' : str).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(str) {
+    return String(str).replace(/\\n/gi, '\n').replace(/\\([\\;,])/g, '$1');
+}
+
+// 20261020T180000Z
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets are folded onto continuation lines
+function fold(line) {
+    const parts = [];
+    let rest = Buffer.from(line, 'utf8');
+    let limit = 75;
+    while (rest.length > limit) {
+        let cut = limit;
+        while (cut > 0 && (rest[cut] & 0xc0) === 0x80) cut--; // don't split a UTF-8 sequence
+        parts.push(rest.slice(0, cut).toString('utf8'));
+        rest = rest.slice(cut);
+        limit = 74; // the leading space counts
+    }
+    parts.push(rest.toString('utf8'));
+    return parts.join('\r\n ');
+}
+
+function mailto(person, extra) {
+    const params = [person.name ? `CN=${JSON.stringify(String(person.name).replace(/"/g, "'"))}` : null, ...extra].filter(Boolean);
+    return `${params.length ? ';' + params.join(';') : ''}:mailto:${person.email}`;
+}
+
+// Invitation for one meeting.
+// { uid, start, end, summary, description, organizer: { name, email },
+//   attendees: [{ name, email }], status, sequence, now }
+function buildInvite({ uid, start, end, summary, description = '', location = '', organizer, attendees = [], status = 'CONFIRMED', sequence = 0, now = new Date() }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Alta//Sales Call Scheduler//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${status === 'CANCELLED' ? 'CANCEL' : 'REQUEST'}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${formatUtc(now)}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(summary)}`,
+        description ? `DESCRIPTION:${escapeText(description)}` : null,
+        location ? `LOCATION:${escapeText(location)}` : null,
+        organizer && organizer.email ? `ORGANIZER${mailto(organizer, [])}` : null,
+        ...attendees.filter(a => a && a.email).map(a => `ATTENDEE${mailto(a, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=TRUE'])}`),
+        `STATUS:${status}`,
+        `SEQUENCE:${sequence}`,
+        'TRANSP:OPAQUE',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, busyIntervals, buildInvite, formatUtc };
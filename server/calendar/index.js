@@ -0,0 +1,346 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const store = require('../store');
+const compliance = require('../compliance');
+const outcomes = require('../outcomes');
+const ics = require('./ics');
+
+// Account-manager calendars.
+//
+// CALENDAR_MANAGERS_FILE lists the account managers the agent books for, each
+// with working hours and a calendar source:
+//   [{ id, name, email, timezone,
+//      workingHours: { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] },
+//      source: { type: 'ics' | 'caldav' | 'file', ... } }]
+// Each source module exports fetchBusy(source, { from, to, timezone, baseDir })
+// and resolves to busy [{ start, end }]. Busy time is cached for
+// CALENDAR_CACHE_SECONDS; if a refresh fails the last good copy is used, and a
+// manager whose calendar was never read is treated as unavailable.
+//
+// A slot is open when it starts at least CALENDAR_MIN_NOTICE_MINUTES from now,
+// falls inside the lead's calling window and some manager's working hours, and
+// overlaps neither that manager's events nor a hold. Holds live in store.holds:
+// 'held' while a lead is considering a time during the call (expires after
+// CALENDAR_HOLD_MINUTES), 'booked' once the call ends with a scheduled
+// meeting, 'released' when given up. Without a managers file the calendar is
+// off and the agent asks for a time as before.
+
+const SOURCES = {
+    ics: () => require('./feed'),
+    caldav: () => require('./caldav'),
+    file: () => require('./file')
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Throws for an unknown source type so a typo fails at startup
+function getSource(type) {
+    const load = SOURCES[type];
+    if (!load) throw new Error(`Unknown calendar source type '${type}' (expected one of: ${Object.keys(SOURCES).join(', ')})`);
+    return load();
+}
+
+let managers = null;
+let managersDir = process.cwd();
+
+// Read and validate CALENDAR_MANAGERS_FILE. Throws on a bad file.
+function loadManagers(file = config.CALENDAR_MANAGERS_FILE) {
+    if (!file) {
+        managers = [];
+        return managers;
+    }
+    const resolved = path.resolve(__dirname, '..', file);
+    const list = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    if (!Array.isArray(list)) throw new Error(`${file} must contain an array of account managers`);
+    const timeRe = /^([01]\d|2[0-3]):[0-5]\d$/;
+    managers = list.map((m, i) => {
+        const label = `account manager ${m && m.id ? `'${m.id}'` : `#${i + 1}`}`;
+        if (!m || !m.id || !m.name || !m.email) throw new Error(`${label} needs an id, name and email`);
+        const timezone = m.timezone || config.DEFAULT_LEAD_TIMEZONE;
+        if (!compliance.isValidTimeZone(timezone)) throw new Error(`${label} has an invalid timezone '${timezone}'`);
+        const hours = Object.assign({ start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }, m.workingHours);
+        if (!timeRe.test(hours.start) || !timeRe.test(hours.end)) throw new Error(`${label}: workingHours start/end must be HH:MM`);
+        if (!m.source || !m.source.type) throw new Error(`${label} needs a calendar source`);
+        getSource(m.source.type);
+        return { id: String(m.id), name: m.name, email: m.email, timezone, workingHours: hours, source: m.source };
+    });
+    managersDir = path.dirname(resolved);
+    return managers;
+}
+
+function getManagers() {
+    return managers || loadManagers();
+}
+
+function isEnabled() {
+    return getManagers().length > 0;
+}
+
+// Manager details that are safe to show in the dashboard (no credentials)
+function publicManager(m) {
+    return { id: m.id, name: m.name, email: m.email, timezone: m.timezone, workingHours: m.workingHours, source: m.source.type };
+}
+
+// --- Busy time ---
+
+const busyCache = new Map(); // manager id -> { fetchedAt, from, to, busy }
+const busyPending = new Map(); // manager id -> Promise
+
+async function fetchManagerBusy(manager, now) {
+    const from = new Date(now.getTime() - DAY_MS);
+    const to = new Date(now.getTime() + (config.CALENDAR_HORIZON_DAYS + 1) * DAY_MS);
+    const busy = await getSource(manager.source.type).fetchBusy(manager.source, { from, to, timezone: manager.timezone, baseDir: managersDir });
+    busyCache.set(manager.id, { fetchedAt: Date.now(), from, to, busy });
+    console.log(`[CALENDAR] ${manager.id}: ${busy.length} busy block(s) from ${manager.source.type} calendar`);
+    return busy;
+}
+
+// Busy blocks for one manager, or null when the calendar can't be read
+async function managerBusy(manager, now) {
+    const cached = busyCache.get(manager.id);
+    const horizonEnd = now.getTime() + config.CALENDAR_HORIZON_DAYS * DAY_MS;
+    const fresh = cached && Date.now() - cached.fetchedAt < config.CALENDAR_CACHE_SECONDS * 1000 &&
+        cached.from <= now && cached.to.getTime() >= horizonEnd;
+    if (fresh) return cached.busy;
+
+    if (!busyPending.has(manager.id)) {
+        busyPending.set(manager.id, fetchManagerBusy(manager, now).finally(() => busyPending.delete(manager.id)));
+    }
+    try {
+        return await busyPending.get(manager.id);
+    } catch (err) {
+        console.error(`[CALENDAR] could not read calendar for ${manager.id}:`, err && err.message ? err.message : err);
+        return cached ? cached.busy : null;
+    }
+}
+
+// Read every manager's calendar (startup warm-up and GET /calendar/slots?refresh=1)
+async function refresh(now = new Date()) {
+    busyCache.clear();
+    await Promise.all(getManagers().map(m => managerBusy(m, now)));
+}
+
+// Holds that block time at `now`; a call's own tentative holds don't block it
+function blockingHolds(now, callSid) {
+    return store.holds.list(h =>
+        (h.status === 'booked' || (h.status === 'held' && new Date(h.expiresAt) > now)) &&
+        !(h.status === 'held' && callSid && h.callSid === callSid));
+}
+
+async function loadAvailability(now, callSid) {
+    const list = getManagers();
+    const busy = await Promise.all(list.map(m => managerBusy(m, now)));
+    const holds = blockingHolds(now, callSid);
+    return list.map((manager, i) => ({
+        manager,
+        busy: busy[i],
+        holds: holds.filter(h => h.managerId === manager.id).map(h => ({ start: new Date(h.start), end: new Date(h.end) })),
+        booked: holds.filter(h => h.managerId === manager.id && h.status === 'booked').length
+    }));
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+function inWorkingHours(manager, start, end) {
+    const first = compliance.localParts(start, manager.timezone);
+    const last = compliance.localParts(new Date(end.getTime() - MINUTE_MS), manager.timezone);
+    if (first.date !== last.date || !manager.workingHours.days.includes(first.weekday)) return false;
+    return first.hour * 60 + first.minute >= toMinutes(manager.workingHours.start) &&
+        last.hour * 60 + last.minute < toMinutes(manager.workingHours.end);
+}
+
+// The lead should be reachable for the whole meeting
+function inLeadHours(timezone, start, end) {
+    return compliance.isCallableNow(timezone, compliance.DEFAULT_WINDOW, start) &&
+        compliance.isCallableNow(timezone, compliance.DEFAULT_WINDOW, new Date(end.getTime() - MINUTE_MS));
+}
+
+function overlaps(blocks, start, end) {
+    return blocks.some(b => b.start < end && b.end > start);
+}
+
+// The free manager with the fewest booked meetings, or null
+function freeManager(availability, start, end) {
+    const free = availability.filter(a =>
+        a.busy && inWorkingHours(a.manager, start, end) && !overlaps(a.busy, start, end) && !overlaps(a.holds, start, end));
+    if (!free.length) return null;
+    return free.reduce((best, a) => (a.booked < best.booked ? a : best)).manager;
+}
+
+// "tomorrow at 2 PM", "Thursday at 10:30 AM", "Monday, October 26 at 9 AM"
+function spokenTime(date, timezone, now = new Date()) {
+    const day = compliance.localParts(date, timezone);
+    const today = compliance.localParts(now, timezone);
+    const diff = Math.round((Date.UTC(day.year, day.month - 1, day.day) - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS);
+    const fmt = (opts) => new Intl.DateTimeFormat('en-US', Object.assign({ timeZone: timezone }, opts)).format(date);
+    const dayText = diff === 0 ? 'today' : diff === 1 ? 'tomorrow'
+        : diff < 7 ? fmt({ weekday: 'long' }) : fmt({ weekday: 'long', month: 'long', day: 'numeric' });
+    const clock = fmt({ hour: 'numeric', minute: day.minute ? '2-digit' : undefined }).replace(/ /g, ' ');
+    return `${dayText} at ${clock}`;
+}
+
+function describeSlot(start, end, manager, timezone, now) {
+    return {
+        start: compliance.toZonedIso(start, timezone),
+        end: compliance.toZonedIso(end, timezone),
+        managerId: manager.id,
+        managerName: manager.name,
+        label: outcomes.formatMeeting(start, timezone),
+        spoken: spokenTime(start, timezone, now)
+    };
+}
+
+function earliestStart(now) {
+    const stepMs = config.CALENDAR_SLOT_STEP_MINUTES * MINUTE_MS;
+    return Math.ceil((now.getTime() + config.CALENDAR_MIN_NOTICE_MINUTES * MINUTE_MS) / stepMs) * stepMs;
+}
+
+// A short, spread-out list of open slots for a lead: the first opening on
+// each day, then more on the same days at least an hour apart.
+// `day` (YYYY-MM-DD in the lead's zone) limits the search to one day.
+// Resolves to [{ start, end, managerId, managerName, label, spoken }].
+async function findOpenSlots({ timezone, count = config.CALENDAR_OFFER_COUNT, day = null, callSid = null, now = new Date() } = {}) {
+    if (!isEnabled()) return [];
+    const tz = timezone || config.DEFAULT_LEAD_TIMEZONE;
+    const availability = await loadAvailability(now, callSid);
+    const lengthMs = config.CALENDAR_SLOT_MINUTES * MINUTE_MS;
+    const stepMs = config.CALENDAR_SLOT_STEP_MINUTES * MINUTE_MS;
+    const horizon = now.getTime() + config.CALENDAR_HORIZON_DAYS * DAY_MS;
+
+    const open = [];
+    for (let t = earliestStart(now); t + lengthMs <= horizon; t += stepMs) {
+        const start = new Date(t);
+        const end = new Date(t + lengthMs);
+        const localDay = compliance.localParts(start, tz).date;
+        if (day && localDay !== day) continue;
+        if (!inLeadHours(tz, start, end)) continue;
+        const manager = freeManager(availability, start, end);
+        if (manager) open.push({ start, end, manager, localDay });
+    }
+
+    const picked = [];
+    const seenDays = new Set();
+    open.forEach(slot => {
+        if (picked.length < count && !seenDays.has(slot.localDay)) {
+            seenDays.add(slot.localDay);
+            picked.push(slot);
+        }
+    });
+    open.forEach(slot => {
+        if (picked.length < count && !picked.some(p => Math.abs(p.start - slot.start) < 60 * MINUTE_MS)) picked.push(slot);
+    });
+    return picked
+        .sort((a, b) => a.start - b.start)
+        .map(s => describeSlot(s.start, s.end, s.manager, tz, now));
+}
+
+// Can a meeting start at `start`? Resolves to { available, manager, reason }
+// with reason 'too-soon' | 'too-far' | 'outside-hours' | 'busy'.
+async function checkSlot(start, { durationMinutes = config.CALENDAR_SLOT_MINUTES, timezone, callSid = null, now = new Date() } = {}) {
+    const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+    const tz = timezone || config.DEFAULT_LEAD_TIMEZONE;
+    if (start.getTime() < now.getTime() + config.CALENDAR_MIN_NOTICE_MINUTES * MINUTE_MS) return { available: false, manager: null, reason: 'too-soon' };
+    if (end.getTime() > now.getTime() + config.CALENDAR_HORIZON_DAYS * DAY_MS) return { available: false, manager: null, reason: 'too-far' };
+    if (!inLeadHours(tz, start, end)) return { available: false, manager: null, reason: 'outside-hours' };
+    const manager = freeManager(await loadAvailability(now, callSid), start, end);
+    return manager ? { available: true, manager, reason: null } : { available: false, manager: null, reason: 'busy' };
+}
+
+// Tentatively reserve a time for a live call. A call holds at most one time:
+// holding a new one releases the previous hold.
+// Resolves to { hold, manager } or { hold: null, reason }.
+async function placeHold({ start, durationMinutes = config.CALENDAR_SLOT_MINUTES, callSid, leadId = null, timezone, now = new Date() }) {
+    const check = await checkSlot(start, { durationMinutes, timezone, callSid, now });
+    if (!check.available) return { hold: null, reason: check.reason };
+
+    const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+    const expiresAt = new Date(now.getTime() + config.CALENDAR_HOLD_MINUTES * MINUTE_MS).toISOString();
+    const mine = store.holds.list(h => h.callSid === callSid && h.status === 'held');
+    const same = mine.find(h => h.start === start.toISOString() && h.end === end.toISOString() && h.managerId === check.manager.id);
+    mine.filter(h => h !== same).forEach(h => store.holds.update(h.id, { status: 'released', releasedReason: 'replaced' }));
+
+    const hold = same
+        ? store.holds.update(same.id, { expiresAt })
+        : store.holds.upsert({ managerId: check.manager.id, start: start.toISOString(), end: end.toISOString(), callSid, leadId, status: 'held', expiresAt });
+    console.log(`[CALENDAR] hold ${hold.id} for call ${callSid}: ${check.manager.id} at ${hold.start}`);
+    return { hold, manager: check.manager };
+}
+
+// Book the meeting of a 'scheduled' outcome: confirm (or place) the hold for
+// its time and write the invitation.
+// Resolves to { status: 'booked', hold, manager, invite } or { status: 'unavailable', reason }.
+async function book({ callSid, leadId = null, lead = {}, outcome, now = new Date() }) {
+    const start = outcome.meetingStart ? new Date(outcome.meetingStart) : null;
+    if (!start || isNaN(start)) return { status: 'unavailable', reason: 'no-time' };
+    const durationMinutes = outcome.durationMinutes || config.CALENDAR_SLOT_MINUTES;
+    const placed = await placeHold({ start, durationMinutes, callSid, leadId, timezone: lead.timezone, now });
+    if (!placed.hold) return { status: 'unavailable', reason: placed.reason };
+
+    const { hold, manager } = placed;
+    const attendees = [{ name: manager.name, email: manager.email }];
+    if (outcome.attendeeEmail) attendees.push({ name: lead.name, email: outcome.attendeeEmail });
+    const description = [
+        `${durationMinutes}-minute Alta demo booked by phone.`,
+        `Lead: ${lead.name || 'unknown'}`,
+        lead.company ? `Company: ${lead.company}` : null,
+        lead.phone ? `Phone: ${lead.phone}` : null,
+        outcome.summary ? `Call summary: ${outcome.summary}` : null
+    ].filter(Boolean).join('\n');
+    const invite = {
+        filename: `alta-demo-${hold.start.slice(0, 10)}.ics`,
+        url: `/calendar/holds/${hold.id}/invite.ics`,
+        ics: ics.buildInvite({
+            uid: `${hold.id}@alta-call-scheduler`,
+            start: new Date(hold.start),
+            end: new Date(hold.end),
+            summary: `Alta demo with ${lead.name || 'lead'}`,
+            description,
+            organizer: { name: manager.name, email: manager.email },
+            attendees,
+            now
+        })
+    };
+    const booked = store.holds.update(hold.id, { status: 'booked', expiresAt: null, leadName: lead.name || null, attendeeEmail: outcome.attendeeEmail || null, invite });
+    console.log(`[CALENDAR] booked ${booked.id}: ${manager.id} at ${booked.start} for call ${callSid}`);
+    return { status: 'booked', hold: booked, manager, invite };
+}
+
+// A call ended: give up any time it was still only holding
+function releaseHolds(callSid) {
+    store.holds.list(h => h.callSid === callSid && h.status === 'held')
+        .forEach(h => store.holds.update(h.id, { status: 'released', releasedReason: 'call-ended' }));
+}
+
+// Cancel a hold or booked meeting from the dashboard; null if unknown
+function releaseHold(id) {
+    const hold = store.holds.get(id);
+    if (!hold) return null;
+    return store.holds.update(id, { status: 'released', releasedReason: 'manual' });
+}
+
+function listHolds() {
+    return store.holds.list().sort((a, b) => a.start.localeCompare(b.start));
+}
+
+module.exports = {
+    SOURCES,
+    getSource,
+    loadManagers,
+    getManagers,
+    isEnabled,
+    publicManager,
+    refresh,
+    findOpenSlots,
+    checkSlot,
+    placeHold,
+    book,
+    releaseHolds,
+    releaseHold,
+    listHolds,
+    spokenTime
+};
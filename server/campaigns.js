@@ -0,0 +1,448 @@
+const config = require('./config');
+const store = require('./store');
+const metrics = require('./metrics');
+const compliance = require('./compliance');
+const scripts = require('./scripts');
+
+// Server-side campaign dialer.
+//
+// A campaign owns an ordered queue of lead ids and dials them through the
+// injected `placeCall(lead)` (the same Twilio call creation used by /start-call).
+// It advances when a call reaches a terminal Twilio status or an outcome is
+// detected, so closing the dashboard no longer stops dialing. The injected
+// `refreshCallStatus(callSid)` asks Twilio for a call's status when its
+// terminal status callback seems lost. Campaign state is
+// persisted in store.campaigns, so a running campaign picks up where it left
+// off after a restart.
+//
+// settings.concurrency calls run side by side (each gets its own media-stream
+// session), settings.callsPerMinute caps how fast new calls are started, and
+// the effective concurrency is reduced while LLM/TTS latency is above
+// PIPELINE_LATENCY_TARGET_MS (back-pressure).
+//
+// Calls that end as no-answer, busy or failed are retried according to
+// settings.retryPolicy: up to maxAttempts dials per lead, waiting at least
+// minDelayMinutes (or the per-status delay if longer) between attempts. A lead
+// that runs out of attempts ends in the 'exhausted' state.
+//
+// settings.callingWindow ({ start, end, blockedDays, holidays }) is checked in
+// each lead's local time zone before dialing; leads outside their window are
+// deferred (nextAttemptAt = when the window opens), never skipped.
+//
+// settings.scriptId picks the call script (see scripts.js). Each dial uses the
+// script's latest version at that moment and the call records which one.
+//
+// Campaign status: 'draft' -> 'running' <-> 'paused' -> 'stopped' | 'completed'
+// Queue item state: 'pending' -> 'dialing' -> 'done' | 'failed' | 'exhausted'
+//                               (back to 'pending' with nextAttemptAt on retry)
+
+const TERMINAL_CALL_STATUSES = ['completed', 'no-answer', 'busy', 'failed', 'canceled'];
+// Call results that are worth dialing again
+const RETRYABLE_CALL_STATUSES = ['no-answer', 'busy', 'failed'];
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    minDelayMinutes: 5,
+    delayMinutes: { 'no-answer': 60, busy: 15, failed: 30 }
+};
+
+// Pause between one call finishing and the next one being dialed
+const ADVANCE_DELAY_MS = 1500;
+// How often running campaigns are checked (restart recovery, lost callbacks,
+// back-pressure easing off)
+const TICK_MS = 5000;
+// Give up on a call that never reports a terminal status. A call last reported
+// as live (a long conversation, a supervisor takeover) may still be going, so
+// past CALL_TIMEOUT_MS its status is fetched from Twilio every
+// STATUS_CHECK_INTERVAL_MS instead (a lost 'completed' callback then finishes
+// the attempt as usual). Past MAX_CALL_MS (Twilio's 4-hour call limit plus a
+// margin) the attempt is closed whatever the stored status says. A timeout
+// ends the attempt as 'timed-out', which is not retried since the lead may
+// well have been reached.
+const CALL_TIMEOUT_MS = 10 * 60 * 1000;
+const STATUS_CHECK_INTERVAL_MS = 60 * 1000;
+const MAX_CALL_MS = (4 * 60 + 10) * 60 * 1000;
+const LIVE_CALL_STATUSES = ['in-progress'];
+
+class CampaignError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CampaignError';
+        this.statusCode = statusCode;
+    }
+}
+
+function normalizeRetryPolicy(input, current) {
+    const policy = JSON.parse(JSON.stringify(current || DEFAULT_RETRY_POLICY));
+    if (!input) return policy;
+    if (input.maxAttempts !== undefined) {
+        const n = Number(input.maxAttempts);
+        if (!Number.isInteger(n) || n < 1) throw new CampaignError('retryPolicy.maxAttempts must be a positive integer');
+        policy.maxAttempts = n;
+    }
+    const minutes = (value, field) => {
+        const n = Number(value);
+        if (!Number.isFinite(n) || n < 0) throw new CampaignError(`retryPolicy.${field} must be a number of minutes >= 0`);
+        return n;
+    };
+    if (input.minDelayMinutes !== undefined) policy.minDelayMinutes = minutes(input.minDelayMinutes, 'minDelayMinutes');
+    Object.entries(input.delayMinutes || {}).forEach(([status, value]) => {
+        if (!RETRYABLE_CALL_STATUSES.includes(status)) {
+            throw new CampaignError(`retryPolicy.delayMinutes only supports ${RETRYABLE_CALL_STATUSES.join(', ')}`);
+        }
+        policy.delayMinutes[status] = minutes(value, `delayMinutes.${status}`);
+    });
+    return policy;
+}
+
+// Validate user-supplied settings and fill in defaults
+function normalizeSettings(input = {}, current = {}) {
+    const settings = Object.assign({ concurrency: 1, callsPerMinute: 0, scriptId: scripts.DEFAULT_SCRIPT_ID }, current);
+    settings.retryPolicy = normalizeRetryPolicy(input.retryPolicy, current.retryPolicy);
+    try {
+        settings.callingWindow = compliance.normalizeWindow(input.callingWindow, current.callingWindow);
+    } catch (err) {
+        throw new CampaignError(err.message);
+    }
+    if (input.concurrency !== undefined) {
+        const n = Number(input.concurrency);
+        if (!Number.isInteger(n) || n < 1 || n > config.MAX_CONCURRENT_CALLS) {
+            throw new CampaignError(`concurrency must be an integer between 1 and ${config.MAX_CONCURRENT_CALLS}`);
+        }
+        settings.concurrency = n;
+    }
+    if (input.scriptId !== undefined) {
+        try {
+            settings.scriptId = scripts.get(String(input.scriptId || scripts.DEFAULT_SCRIPT_ID)).id;
+        } catch (err) {
+            throw new CampaignError(`Unknown script '${input.scriptId}'`);
+        }
+    }
+    if (input.callsPerMinute !== undefined) {
+        const n = Number(input.callsPerMinute);
+        if (!Number.isFinite(n) || n < 0) throw new CampaignError('callsPerMinute must be 0 (unlimited) or a positive number');
+        settings.callsPerMinute = n;
+    }
+    return settings;
+}
+
+// Scale concurrency down while the AI pipeline is slower than the target.
+// Never drops below one call so a campaign can't stall completely.
+function effectiveConcurrency(settings) {
+    const target = config.PIPELINE_LATENCY_TARGET_MS;
+    const { llmMs, ttsMs } = metrics.snapshot();
+    const latency = (llmMs || 0) + (ttsMs || 0);
+    if (!target || latency <= target) return settings.concurrency;
+    return Math.max(1, Math.floor(settings.concurrency * target / latency));
+}
+
+function createCampaignEngine({ placeCall, refreshCallStatus }) {
+    // Campaigns currently inside advance(), to prevent double-dialing
+    const advancing = new Set();
+    const advanceTimers = new Map();
+    // callSid -> time its status was last fetched from Twilio (see tick)
+    const statusChecks = new Map();
+    // campaignId -> time of the last dial, for callsPerMinute pacing
+    const lastDialAt = new Map();
+
+    // Milliseconds until the pacing limit allows another dial (0 = now).
+    // Dials are spread evenly: one every 60s / callsPerMinute.
+    function pacingDelay(id, settings) {
+        if (!settings.callsPerMinute) return 0;
+        const minGapMs = 60 * 1000 / settings.callsPerMinute;
+        const last = lastDialAt.get(id);
+        if (!last) return 0;
+        return Math.max(0, Math.ceil(minGapMs - (Date.now() - last)));
+    }
+
+    function getOrThrow(id) {
+        const campaign = store.campaigns.get(id);
+        if (!campaign) throw new CampaignError('Campaign not found', 404);
+        return campaign;
+    }
+
+    function progress(campaign) {
+        const counts = { total: campaign.queue.length, pending: 0, dialing: 0, done: 0, failed: 0, exhausted: 0, effectiveConcurrency: effectiveConcurrency(campaign.settings) };
+        const labels = {};
+        campaign.queue.forEach(item => {
+            counts[item.state] = (counts[item.state] || 0) + 1;
+            const label = item.result && item.result.outcome && item.result.outcome.type;
+            if (label) labels[label] = (labels[label] || 0) + 1;
+        });
+        return Object.assign(counts, { labels });
+    }
+
+    function view(campaign) {
+        return Object.assign({}, campaign, { progress: progress(campaign), pipeline: metrics.snapshot() });
+    }
+
+    function create({ name, leadIds, settings } = {}) {
+        const ids = Array.isArray(leadIds) && leadIds.length
+            ? leadIds.map(String)
+            : store.leads.list().sort((a, b) => (a.position || 0) - (b.position || 0)).map(l => l.id);
+        const unknown = ids.filter(id => !store.leads.has(id));
+        if (unknown.length) throw new CampaignError(`Unknown lead ids: ${unknown.join(', ')}`);
+        if (!ids.length) throw new CampaignError('Campaign has no leads');
+
+        const campaign = store.campaigns.upsert({
+            name: name || `Campaign ${new Date().toISOString()}`,
+            status: 'draft',
+            settings: normalizeSettings(settings),
+            activeLeadIds: [],
+            queue: ids.map(leadId => ({ leadId, state: 'pending', callSid: null, startedAt: null, result: null, attempts: 0, nextAttemptAt: null })),
+            startedAt: null,
+            finishedAt: null
+        });
+        console.log('[CAMPAIGN] created', campaign.id, 'with', ids.length, 'leads');
+        return view(campaign);
+    }
+
+    function setStatus(id, allowedFrom, status) {
+        const campaign = getOrThrow(id);
+        if (!allowedFrom.includes(campaign.status)) {
+            throw new CampaignError(`Cannot change campaign from '${campaign.status}' to '${status}'`, 409);
+        }
+        const patch = { status };
+        if (status === 'running' && !campaign.startedAt) patch.startedAt = new Date().toISOString();
+        if (status === 'stopped') patch.finishedAt = new Date().toISOString();
+        const updated = store.campaigns.update(id, patch);
+        console.log('[CAMPAIGN]', id, campaign.status, '->', status);
+        if (status === 'running') scheduleAdvance(id, 0);
+        return view(updated);
+    }
+
+    const start = (id) => setStatus(id, ['draft'], 'running');
+    const pause = (id) => setStatus(id, ['running'], 'paused');
+    const resume = (id) => setStatus(id, ['paused'], 'running');
+    // Stops dialing new leads; a call already in progress is left to finish.
+    const stop = (id) => setStatus(id, ['draft', 'running', 'paused'], 'stopped');
+
+    // Change concurrency/pacing; applies to the next dial, even while running
+    function updateSettings(id, input) {
+        const campaign = getOrThrow(id);
+        const updated = store.campaigns.update(id, { settings: normalizeSettings(input, campaign.settings) });
+        if (updated.status === 'running') scheduleAdvance(id, 0);
+        return view(updated);
+    }
+
+    function get(id) {
+        return view(getOrThrow(id));
+    }
+
+    function list() {
+        return store.campaigns.list().sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(view);
+    }
+
+    // Run advance() after delayMs. An already scheduled run that is due sooner
+    // wins; a later one is replaced so e.g. a finished call isn't held back by
+    // a long retry/calling-window wait.
+    function scheduleAdvance(id, delayMs = ADVANCE_DELAY_MS) {
+        const at = Date.now() + delayMs;
+        const existing = advanceTimers.get(id);
+        if (existing) {
+            if (existing.at <= at) return;
+            clearTimeout(existing.timer);
+        }
+        const timer = setTimeout(() => {
+            advanceTimers.delete(id);
+            advance(id).catch(err => console.error('[CAMPAIGN] advance failed for', id, err && err.message ? err.message : err));
+        }, delayMs);
+        advanceTimers.set(id, { timer, at });
+    }
+
+    // Defer a queue item whose lead is outside its calling window. Returns true
+    // if it was deferred (nextAttemptAt moved to when the window opens).
+    function deferIfOutsideWindow(campaign, index) {
+        const item = campaign.queue[index];
+        const lead = store.leads.get(item.leadId);
+        if (!lead) return false;
+        const tz = lead.timezone || compliance.resolveLeadTimezone(lead.phone).timezone;
+        const now = new Date();
+        const opensAt = compliance.nextCallableTime(tz, campaign.settings.callingWindow || compliance.DEFAULT_WINDOW, now);
+        if (opensAt && opensAt.getTime() <= now.getTime()) return false;
+
+        // Nothing opens within two weeks (e.g. every day blocked): check again tomorrow
+        item.nextAttemptAt = (opensAt || new Date(now.getTime() + 24 * 60 * 60 * 1000)).toISOString();
+        item.deferred = 'calling-window';
+        store.campaigns.update(campaign.id, { queue: campaign.queue });
+        console.log('[CAMPAIGN]', campaign.id, 'lead', lead.id, 'outside calling window in', tz, '- deferred until', item.nextAttemptAt);
+        return true;
+    }
+
+    // Fill free call slots with pending leads while the campaign is running.
+    async function advance(id) {
+        if (advancing.has(id)) return;
+        advancing.add(id);
+        try {
+            for (; ;) {
+                const campaign = store.campaigns.get(id);
+                if (!campaign || campaign.status !== 'running') return;
+
+                const now = Date.now();
+                const dialing = campaign.queue.filter(item => item.state === 'dialing').length;
+                const pending = campaign.queue.filter(item => item.state === 'pending');
+                if (!pending.length) {
+                    if (dialing === 0) {
+                        store.campaigns.update(id, { status: 'completed', finishedAt: new Date().toISOString() });
+                        console.log('[CAMPAIGN]', id, 'completed');
+                    }
+                    return;
+                }
+                const index = campaign.queue.findIndex(item => item.state === 'pending' && !(item.nextAttemptAt && Date.parse(item.nextAttemptAt) > now));
+                if (index === -1) {
+                    // Only retries waiting for their delay; come back when the first is due
+                    const due = Math.min(...pending.map(item => Date.parse(item.nextAttemptAt)));
+                    scheduleAdvance(id, Math.max(0, due - now));
+                    return;
+                }
+                if (dialing >= effectiveConcurrency(campaign.settings)) return;
+                if (deferIfOutsideWindow(campaign, index)) continue;
+
+                const wait = pacingDelay(id, campaign.settings);
+                if (wait > 0) {
+                    scheduleAdvance(id, wait);
+                    return;
+                }
+
+                await dial(campaign, index);
+            }
+        } finally {
+            advancing.delete(id);
+        }
+    }
+
+    async function dial(campaign, index) {
+        const id = campaign.id;
+        const item = campaign.queue[index];
+        const lead = store.leads.get(item.leadId);
+        item.startedAt = new Date().toISOString();
+        if (!lead) {
+            item.state = 'failed';
+            item.result = { error: 'Lead no longer exists' };
+            store.campaigns.update(id, { queue: campaign.queue });
+            return;
+        }
+
+        // Mark as dialing before the async call so a concurrent tick can't pick it too
+        item.state = 'dialing';
+        item.attempts = (item.attempts || 0) + 1;
+        item.nextAttemptAt = null;
+        item.deferred = null;
+        store.campaigns.update(id, { queue: campaign.queue, activeLeadIds: activeLeads(campaign.queue) });
+        lastDialAt.set(id, Date.now());
+
+        try {
+            console.log('[CAMPAIGN]', id, 'dialing lead', lead.id);
+            const call = await placeCall(lead, { campaignId: id, scriptId: campaign.settings.scriptId });
+            updateItem(id, lead.id, { callSid: call.sid });
+        } catch (err) {
+            if (err && err.code === 'DO_NOT_CALL') {
+                console.log('[CAMPAIGN]', id, 'skipping lead', lead.id, '- number is on the do-not-call list');
+                store.leads.update(lead.id, { dialState: 'do-not-call' });
+                finishAttempt(id, lead.id, { status: 'do-not-call', outcome: null, error: err.message });
+                return;
+            }
+            console.error('[CAMPAIGN]', id, 'failed to dial lead', lead.id, err && err.message ? err.message : err);
+            const attempts = (lead.attempts || []).concat({ callSid: null, campaignId: id, startedAt: item.startedAt, status: 'failed', error: err && err.message ? err.message : String(err) });
+            store.leads.update(lead.id, { callSid: null, callStatus: 'failed', attempts });
+            finishAttempt(id, lead.id, { status: 'failed', outcome: null, error: err && err.message ? err.message : String(err) });
+        }
+    }
+
+    // Decide what happens to a queue item after an attempt ends: done, retry
+    // later, or exhausted/failed once the retry policy runs out.
+    function finishAttempt(id, leadId, result) {
+        const campaign = store.campaigns.get(id);
+        if (!campaign) return;
+        const item = campaign.queue.find(i => i.leadId === leadId && i.state === 'dialing');
+        if (!item) return;
+        const policy = campaign.settings.retryPolicy || DEFAULT_RETRY_POLICY;
+        const retryable = RETRYABLE_CALL_STATUSES.includes(result.status) && !(result.outcome && result.outcome.type);
+
+        if (item.callSid) statusChecks.delete(item.callSid);
+        const patch = { finishedAt: new Date().toISOString(), result };
+        if (!retryable) {
+            patch.state = 'done';
+        } else if ((item.attempts || 1) < policy.maxAttempts) {
+            const delayMinutes = Math.max(policy.minDelayMinutes, policy.delayMinutes[result.status] || 0);
+            patch.state = 'pending';
+            patch.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000).toISOString();
+            console.log('[CAMPAIGN]', id, 'lead', leadId, result.status, '- retry', item.attempts + 1, 'of', policy.maxAttempts, 'at', patch.nextAttemptAt);
+        } else {
+            patch.state = 'exhausted';
+            console.log('[CAMPAIGN]', id, 'lead', leadId, 'exhausted after', item.attempts, 'attempts');
+        }
+        updateItem(id, leadId, patch);
+        if (patch.state === 'exhausted') store.leads.update(leadId, { dialState: 'exhausted' });
+        scheduleAdvance(id);
+    }
+
+    function activeLeads(queue) {
+        return queue.filter(i => i.state === 'dialing').map(i => i.leadId);
+    }
+
+    function updateItem(id, leadId, patch) {
+        const campaign = store.campaigns.get(id);
+        if (!campaign) return null;
+        const item = campaign.queue.find(i => i.leadId === leadId && i.state === 'dialing');
+        if (!item) return null;
+        Object.assign(item, patch);
+        store.campaigns.update(id, { queue: campaign.queue, activeLeadIds: activeLeads(campaign.queue) });
+        return item;
+    }
+
+    // Called whenever a call entry changes (status webhook or outcome detection).
+    function handleCallUpdate(call) {
+        if (!call || !call.campaignId) return;
+        const campaign = store.campaigns.get(call.campaignId);
+        if (!campaign) return;
+        const item = campaign.queue.find(i => i.callSid === call.sid && i.state === 'dialing');
+        if (!item) return;
+
+        const finished = TERMINAL_CALL_STATUSES.includes(call.status) || !!(call.outcome && call.outcome.type);
+        if (!finished) return;
+
+        console.log('[CAMPAIGN]', campaign.id, 'lead', item.leadId, 'finished with', call.status, call.outcome && call.outcome.type);
+        finishAttempt(campaign.id, item.leadId, { status: call.status || null, outcome: call.outcome || null });
+    }
+
+    // Periodic check: resume running campaigns after a restart and release
+    // calls whose terminal status callback never arrived.
+    function tick() {
+        const now = Date.now();
+        store.campaigns.list(c => c.status === 'running').forEach(campaign => {
+            campaign.queue.filter(i => i.state === 'dialing').forEach(dialing => {
+                const age = dialing.startedAt ? now - Date.parse(dialing.startedAt) : 0;
+                if (age <= CALL_TIMEOUT_MS) return;
+                const call = dialing.callSid ? store.calls.get(dialing.callSid) : null;
+                if (call && LIVE_CALL_STATUSES.includes(call.status) && age <= MAX_CALL_MS) {
+                    checkCallStatus(dialing.callSid, now);
+                    return;
+                }
+                console.warn('[CAMPAIGN]', campaign.id, 'call for lead', dialing.leadId, 'timed out; moving on');
+                finishAttempt(campaign.id, dialing.leadId, { status: 'timed-out', outcome: null, error: 'Timed out waiting for call to finish' });
+            });
+            scheduleAdvance(campaign.id, 0);
+        });
+    }
+
+    // Fetch a long-running call's status from Twilio, at most once per
+    // STATUS_CHECK_INTERVAL_MS; a terminal status comes back through
+    // handleCallUpdate and finishes the attempt.
+    function checkCallStatus(callSid, now) {
+        if (!refreshCallStatus) return;
+        const last = statusChecks.get(callSid);
+        if (last !== undefined && now - last < STATUS_CHECK_INTERVAL_MS) return;
+        statusChecks.set(callSid, now);
+        Promise.resolve()
+            .then(() => refreshCallStatus(callSid))
+            .catch(err => console.warn('[CAMPAIGN] could not fetch the status of call', callSid, '-', err && err.message ? err.message : err));
+    }
+
+    const tickTimer = setInterval(tick, TICK_MS);
+    if (tickTimer.unref) tickTimer.unref();
+
+    return { create, start, pause, resume, stop, updateSettings, get, list, handleCallUpdate };
+}
+
+module.exports = { createCampaignEngine, CampaignError, TERMINAL_CALL_STATUSES, DEFAULT_RETRY_POLICY };
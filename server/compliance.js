@@ -0,0 +1,251 @@
+const config = require('./config');
+
+// Calling-hours compliance.
+//
+// Each lead gets an IANA time zone, either from a manual override in the lead
+// import or derived from the phone number (country calling code, and area code
+// for North American numbers). A calling window ({ start, end, blockedDays,
+// holidays }) is evaluated in the lead's local time; the dialer defers leads
+// until their window opens instead of skipping them.
+
+// North American Numbering Plan area codes by time zone. Area codes that span
+// two zones are listed under the zone covering most of their population.
+const NANP_AREA_CODES = {
+    'America/New_York': [
+        201, 202, 203, 207, 212, 215, 216, 220, 223, 234, 239, 240, 248, 252, 260, 267, 272, 276, 301, 302, 304, 305,
+        313, 315, 317, 321, 326, 330, 332, 336, 339, 347, 351, 352, 380, 386, 401, 404, 407, 410, 412, 413, 419, 423,
+        434, 440, 443, 445, 463, 470, 475, 478, 484, 502, 508, 513, 516, 517, 518, 540, 551, 561, 567, 570, 571, 574,
+        582, 585, 586, 603, 606, 607, 609, 610, 614, 616, 617, 631, 640, 646, 667, 678, 680, 681, 689, 703, 704, 706,
+        716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757, 762, 765, 770, 771, 772, 774, 781, 786, 802, 803, 804,
+        810, 812, 813, 814, 826, 828, 835, 838, 839, 843, 845, 848, 850, 854, 856, 857, 859, 860, 862, 863, 864, 865,
+        878, 904, 906, 908, 910, 912, 914, 917, 919, 929, 930, 934, 937, 941, 943, 947, 948, 954, 959, 973, 978, 980,
+        984, 989,
+        // Ontario / Quebec
+        226, 249, 263, 289, 343, 354, 365, 367, 416, 418, 437, 438, 450, 468, 514, 519, 548, 579, 581, 613, 647, 683,
+        705, 742, 753, 819, 873, 905
+    ],
+    'America/Chicago': [
+        205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 309, 312, 314, 316, 318, 319,
+        320, 325, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 432, 447, 464, 469, 479, 501, 504, 507,
+        512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605, 608, 612, 615, 618, 620, 629, 630, 636, 641, 651,
+        659, 660, 662, 682, 701, 708, 712, 713, 715, 726, 730, 731, 737, 763, 769, 773, 779, 785, 806, 815, 816, 817,
+        830, 832, 847, 870, 872, 901, 903, 913, 918, 920, 931, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985,
+        // Manitoba
+        204, 431
+    ],
+    'America/Regina': [306, 639],
+    'America/Denver': [208, 303, 307, 308, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986],
+    'America/Edmonton': [368, 403, 587, 780, 825],
+    'America/Phoenix': [480, 520, 602, 623, 928],
+    'America/Los_Angeles': [
+        206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 408, 415, 424, 425, 442, 458, 503, 509, 510, 530, 541, 559,
+        562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760, 775, 805, 818, 820, 831, 840, 858,
+        909, 916, 925, 949, 951, 971
+    ],
+    'America/Vancouver': [236, 250, 604, 672, 778],
+    'America/Anchorage': [907],
+    'Pacific/Honolulu': [808],
+    'America/Halifax': [428, 506, 782, 902],
+    'America/St_Johns': [709],
+    'America/Puerto_Rico': [787, 939]
+};
+
+const AREA_CODE_TZ = {};
+Object.entries(NANP_AREA_CODES).forEach(([tz, codes]) => codes.forEach(code => { AREA_CODE_TZ[code] = tz; }));
+
+// Country calling code -> main time zone (multi-zone countries use the zone
+// covering most of the population). Longest prefix wins.
+const COUNTRY_TZ = {
+    7: 'Europe/Moscow', 20: 'Africa/Cairo', 27: 'Africa/Johannesburg', 30: 'Europe/Athens', 31: 'Europe/Amsterdam',
+    32: 'Europe/Brussels', 33: 'Europe/Paris', 34: 'Europe/Madrid', 36: 'Europe/Budapest', 39: 'Europe/Rome',
+    40: 'Europe/Bucharest', 41: 'Europe/Zurich', 43: 'Europe/Vienna', 44: 'Europe/London', 45: 'Europe/Copenhagen',
+    46: 'Europe/Stockholm', 47: 'Europe/Oslo', 48: 'Europe/Warsaw', 49: 'Europe/Berlin', 51: 'America/Lima',
+    52: 'America/Mexico_City', 54: 'America/Argentina/Buenos_Aires', 55: 'America/Sao_Paulo', 56: 'America/Santiago',
+    57: 'America/Bogota', 60: 'Asia/Kuala_Lumpur', 61: 'Australia/Sydney', 62: 'Asia/Jakarta', 63: 'Asia/Manila',
+    64: 'Pacific/Auckland', 65: 'Asia/Singapore', 66: 'Asia/Bangkok', 81: 'Asia/Tokyo', 82: 'Asia/Seoul',
+    84: 'Asia/Ho_Chi_Minh', 86: 'Asia/Shanghai', 90: 'Europe/Istanbul', 91: 'Asia/Kolkata', 92: 'Asia/Karachi',
+    234: 'Africa/Lagos', 254: 'Africa/Nairobi', 351: 'Europe/Lisbon', 353: 'Europe/Dublin', 358: 'Europe/Helsinki',
+    420: 'Europe/Prague', 852: 'Asia/Hong_Kong', 880: 'Asia/Dhaka', 966: 'Asia/Riyadh', 971: 'Asia/Dubai',
+    972: 'Asia/Jerusalem'
+};
+
+const DEFAULT_WINDOW = {
+    start: config.CALLING_WINDOW_START,
+    end: config.CALLING_WINDOW_END,
+    blockedDays: config.CALLING_BLOCKED_DAYS,
+    holidays: []
+};
+
+function isValidTimeZone(tz) {
+    if (!tz) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: tz });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// One form per number: E.164 ("+15551234567") for numbers with a + or 00
+// prefix and for ones that look North American (10 digits, or 11 starting with
+// 1); anything else stays digits only, since its country is unknown. '' when
+// there are no digits.
+function normalizePhone(phone) {
+    const raw = String(phone || '').trim();
+    const digits = raw.replace(/\D/g, '');
+    if (!digits) return '';
+    if (raw.startsWith('+') || raw.startsWith('00')) return `+${digits.replace(/^00/, '')}`;
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return digits;
+}
+
+// normalizePhone() for a number we are about to dial: null unless it is only
+// digits and separators (spaces, dashes, dots, brackets, a leading +) with
+// 6-15 digits
+function dialablePhone(phone) {
+    const raw = String(phone || '').trim();
+    if (!/^\+?[\d\s().-]+$/.test(raw)) return null;
+    const normalized = normalizePhone(raw);
+    return /^\+?\d{6,15}$/.test(normalized) ? normalized : null;
+}
+
+// Best-effort time zone for an E.164-ish number. Returns null if unknown.
+function timezoneForPhone(phone) {
+    const normalized = normalizePhone(phone);
+    if (!normalized) return null;
+    const international = normalized.replace(/^\+/, '');
+
+    if (international.startsWith('1')) return AREA_CODE_TZ[international.slice(1, 4)] || null;
+    for (const len of [3, 2, 1]) {
+        const tz = COUNTRY_TZ[international.slice(0, len)];
+        if (tz) return tz;
+    }
+    return null;
+}
+
+// Resolve a lead's zone: manual override, then phone number, then the default.
+// Returns { timezone, timezoneSource: 'manual' | 'phone' | 'default' }.
+function resolveLeadTimezone(phone, override) {
+    if (override && isValidTimeZone(override)) return { timezone: override, timezoneSource: 'manual' };
+    const fromPhone = timezoneForPhone(phone);
+    if (fromPhone) return { timezone: fromPhone, timezoneSource: 'phone' };
+    return { timezone: config.DEFAULT_LEAD_TIMEZONE, timezoneSource: 'default' };
+}
+
+// Wall-clock parts of `date` in `tz`
+function localParts(date, tz) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, hourCycle: 'h23', weekday: 'short',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    const weekdays = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+    return {
+        year: Number(parts.year), month: Number(parts.month), day: Number(parts.day),
+        hour: Number(parts.hour), minute: Number(parts.minute), second: Number(parts.second),
+        weekday: weekdays[parts.weekday],
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// UTC instant for a wall-clock time in `tz` (handles DST by re-checking the offset)
+function zonedTimeToUtc(year, month, day, hour, minute, tz) {
+    const wanted = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = wanted;
+    for (let i = 0; i < 2; i++) {
+        const p = localParts(new Date(guess), tz);
+        const seen = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+        guess += wanted - seen;
+    }
+    return new Date(guess);
+}
+
+// ISO 8601 string for `date` as wall-clock time in `tz` with its UTC offset,
+// e.g. 2026-10-20T14:00:00-04:00
+function toZonedIso(date, tz) {
+    const p = localParts(date, tz);
+    const offsetMin = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+    const sign = offsetMin < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMin);
+    const pad = n => String(n).padStart(2, '0');
+    return `${p.date}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = String(hhmm).split(':').map(Number);
+    return h * 60 + (m || 0);
+}
+
+// Validate a user-supplied window; missing fields fall back to `current` then the defaults
+function normalizeWindow(input = {}, current = DEFAULT_WINDOW) {
+    const window = Object.assign({}, DEFAULT_WINDOW, current);
+    const timeRe = /^([01]\d|2[0-3]):[0-5]\d$/;
+    if (input.start !== undefined) {
+        if (!timeRe.test(input.start)) throw new Error('callingWindow.start must be HH:MM');
+        window.start = input.start;
+    }
+    if (input.end !== undefined) {
+        if (!timeRe.test(input.end)) throw new Error('callingWindow.end must be HH:MM');
+        window.end = input.end;
+    }
+    if (toMinutes(window.start) >= toMinutes(window.end)) throw new Error('callingWindow.start must be before callingWindow.end');
+    if (input.blockedDays !== undefined) {
+        if (!Array.isArray(input.blockedDays) || input.blockedDays.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+            throw new Error('callingWindow.blockedDays must be weekday numbers 0 (Sunday) to 6 (Saturday)');
+        }
+        window.blockedDays = input.blockedDays.slice();
+    }
+    if (input.holidays !== undefined) {
+        if (!Array.isArray(input.holidays) || input.holidays.some(d => !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+            throw new Error('callingWindow.holidays must be YYYY-MM-DD dates');
+        }
+        window.holidays = input.holidays.slice();
+    }
+    return window;
+}
+
+// When may we call someone in `tz`? Returns `now` if the window is open, the
+// next opening otherwise (or null if nothing opens in the next two weeks).
+function nextCallableTime(tz, window = DEFAULT_WINDOW, now = new Date()) {
+    const startMin = toMinutes(window.start);
+    const endMin = toMinutes(window.end);
+    const blockedDays = window.blockedDays || [];
+    const holidays = window.holidays || [];
+
+    const today = localParts(now, tz);
+    for (let offset = 0; offset < 14; offset++) {
+        // Walk local calendar days; noon avoids DST edge cases when stepping
+        const noon = zonedTimeToUtc(today.year, today.month, today.day, 12, 0, tz);
+        const day = localParts(new Date(noon.getTime() + offset * 24 * 60 * 60 * 1000), tz);
+        if (blockedDays.includes(day.weekday) || holidays.includes(day.date)) continue;
+
+        if (offset === 0) {
+            const nowMin = today.hour * 60 + today.minute;
+            if (nowMin >= startMin && nowMin < endMin) return now;
+            if (nowMin >= endMin) continue;
+        }
+        return zonedTimeToUtc(day.year, day.month, day.day, Math.floor(startMin / 60), startMin % 60, tz);
+    }
+    return null;
+}
+
+function isCallableNow(tz, window, now = new Date()) {
+    const next = nextCallableTime(tz, window, now);
+    return !!next && next.getTime() === now.getTime();
+}
+
+module.exports = {
+    DEFAULT_WINDOW,
+    isValidTimeZone,
+    normalizePhone,
+    dialablePhone,
+    timezoneForPhone,
+    resolveLeadTimezone,
+    normalizeWindow,
+    nextCallableTime,
+    isCallableNow,
+    localParts,
+    zonedTimeToUtc,
+    toZonedIso
+};
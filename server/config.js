@@ -17,17 +17,145 @@ const config = {
     TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || '',
     TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || '',
     TWILIO_CALLER_NUMBER: process.env.TWILIO_CALLER_NUMBER || '',
+    // Send Twilio REST requests here instead of https://api.twilio.com, e.g.
+    // the offline simulator's stub (see sim/). Empty = the real Twilio API.
+    TWILIO_API_BASE_URL: process.env.TWILIO_API_BASE_URL || '',
 
     // Gemini / LLM
+    // Language model: gemini | openai | mock (see llm/)
+    LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
     GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
     GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025',
+    // OpenAI-compatible chat completions; point the base URL at a local server
+    // (e.g. http://localhost:11434/v1 for Ollama) to run a local model
+    OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+    OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    // Scripted replies for LLM_PROVIDER=mock: JSON file path or inline replies separated by '|'
+    LLM_MOCK_SCRIPT: process.env.LLM_MOCK_SCRIPT || '',
+    // JSON the mock returns for outcome extraction (empty = use the regex fallback)
+    LLM_MOCK_OUTCOME: process.env.LLM_MOCK_OUTCOME || '',
+    // Per-attempt timeout, retries for 429/5xx/network errors, and what the
+    // agent says when the model still fails. After LLM_MAX_CONSECUTIVE_FAILURES
+    // failed turns in a row the agent apologizes and ends the call.
+    LLM_TIMEOUT_MS: process.env.LLM_TIMEOUT_MS ? Number(process.env.LLM_TIMEOUT_MS) : 8000,
+    LLM_MAX_RETRIES: process.env.LLM_MAX_RETRIES ? Number(process.env.LLM_MAX_RETRIES) : 2,
+    LLM_FALLBACK_LINE: process.env.LLM_FALLBACK_LINE || "Sorry, I didn't quite catch that. Could you say that again?",
+    LLM_MAX_CONSECUTIVE_FAILURES: process.env.LLM_MAX_CONSECUTIVE_FAILURES ? Number(process.env.LLM_MAX_CONSECUTIVE_FAILURES) : 3,
+
+    // Conversation memory budget per call (older turns are folded into a recap)
+    CONVERSATION_MAX_TURNS: process.env.CONVERSATION_MAX_TURNS ? Number(process.env.CONVERSATION_MAX_TURNS) : 20,
+    CONVERSATION_MAX_TOKENS: process.env.CONVERSATION_MAX_TOKENS ? Number(process.env.CONVERSATION_MAX_TOKENS) : 3000,
 
     // Google credentials (optional if using Google STT/TTS)
     GOOGLE_APPLICATION_CREDENTIALS: process.env.GOOGLE_APPLICATION_CREDENTIALS || '',
 
+    // Deepgram streaming STT (STT_PROVIDER=deepgram)
+    DEEPGRAM_API_KEY: process.env.DEEPGRAM_API_KEY || '',
+    DEEPGRAM_MODEL: process.env.DEEPGRAM_MODEL || 'nova-2',
+
+    // Offline STT (STT_PROVIDER=mock): JSON file path or inline utterances
+    // separated by '|', and the default caller-audio gap before each one
+    STT_MOCK_SCRIPT: process.env.STT_MOCK_SCRIPT || '',
+    STT_MOCK_GAP_MS: process.env.STT_MOCK_GAP_MS ? Number(process.env.STT_MOCK_GAP_MS) : 2000,
+
+    // Campaign dialer limits. Concurrency is reduced while LLM + TTS latency is
+    // above the target so live calls don't get long pauses between turns.
+    MAX_CONCURRENT_CALLS: process.env.MAX_CONCURRENT_CALLS ? Number(process.env.MAX_CONCURRENT_CALLS) : 10,
+    PIPELINE_LATENCY_TARGET_MS: process.env.PIPELINE_LATENCY_TARGET_MS ? Number(process.env.PIPELINE_LATENCY_TARGET_MS) : 2500,
+
+    // Default calling window, evaluated in each lead's local time zone.
+    // Blocked days are weekday numbers (0 = Sunday ... 6 = Saturday).
+    CALLING_WINDOW_START: process.env.CALLING_WINDOW_START || '09:00',
+    CALLING_WINDOW_END: process.env.CALLING_WINDOW_END || '20:00',
+    CALLING_BLOCKED_DAYS: (process.env.CALLING_BLOCKED_DAYS !== undefined ? process.env.CALLING_BLOCKED_DAYS : '0,6')
+        .split(',').map(s => s.trim()).filter(Boolean).map(Number),
+    // Used when a lead's zone can't be derived from its phone number
+    DEFAULT_LEAD_TIMEZONE: process.env.DEFAULT_LEAD_TIMEZONE || 'America/New_York',
+
+    // Words an interim transcript needs before it interrupts the agent (barge-in).
+    // Final transcripts always interrupt.
+    BARGE_IN_MIN_WORDS: process.env.BARGE_IN_MIN_WORDS ? Number(process.env.BARGE_IN_MIN_WORDS) : 2,
+
+    // Account-manager calendars (see calendar/). CALENDAR_MANAGERS_FILE is a
+    // JSON list of managers with working hours and an ICS feed, CalDAV or local
+    // file calendar; relative paths are resolved from server/. Empty = no
+    // calendar, the agent asks for a time without checking availability.
+    CALENDAR_MANAGERS_FILE: process.env.CALENDAR_MANAGERS_FILE || '',
+    // Meeting length, slot grid and how far ahead the agent may book
+    CALENDAR_SLOT_MINUTES: process.env.CALENDAR_SLOT_MINUTES ? Number(process.env.CALENDAR_SLOT_MINUTES) : 15,
+    CALENDAR_SLOT_STEP_MINUTES: process.env.CALENDAR_SLOT_STEP_MINUTES ? Number(process.env.CALENDAR_SLOT_STEP_MINUTES) : 30,
+    CALENDAR_MIN_NOTICE_MINUTES: process.env.CALENDAR_MIN_NOTICE_MINUTES ? Number(process.env.CALENDAR_MIN_NOTICE_MINUTES) : 120,
+    CALENDAR_HORIZON_DAYS: process.env.CALENDAR_HORIZON_DAYS ? Number(process.env.CALENDAR_HORIZON_DAYS) : 7,
+    // Open slots offered to the lead at a time
+    CALENDAR_OFFER_COUNT: process.env.CALENDAR_OFFER_COUNT ? Number(process.env.CALENDAR_OFFER_COUNT) : 3,
+    // How long a time the lead proposed stays reserved during the call
+    CALENDAR_HOLD_MINUTES: process.env.CALENDAR_HOLD_MINUTES ? Number(process.env.CALENDAR_HOLD_MINUTES) : 15,
+    // Calendars are re-read at most this often; remote reads time out after CALENDAR_FETCH_TIMEOUT_MS
+    CALENDAR_CACHE_SECONDS: process.env.CALENDAR_CACHE_SECONDS ? Number(process.env.CALENDAR_CACHE_SECONDS) : 300,
+    CALENDAR_FETCH_TIMEOUT_MS: process.env.CALENDAR_FETCH_TIMEOUT_MS ? Number(process.env.CALENDAR_FETCH_TIMEOUT_MS) : 5000,
+
+    // Silence handling: once the agent stops talking the lead has this long to
+    // say something before the agent reprompts (the script's reprompt lines).
+    // After SILENCE_MAX_REPROMPTS unanswered reprompts the call ends with a
+    // 'no-response' outcome. 0 seconds = off.
+    SILENCE_REPROMPT_SECONDS: process.env.SILENCE_REPROMPT_SECONDS ? Number(process.env.SILENCE_REPROMPT_SECONDS) : 8,
+    SILENCE_MAX_REPROMPTS: process.env.SILENCE_MAX_REPROMPTS ? Number(process.env.SILENCE_MAX_REPROMPTS) : 2,
+
+    // Keypad digit a lead can press during a call to be added to the do-not-call list
+    OPT_OUT_DTMF_KEY: process.env.OPT_OUT_DTMF_KEY || '9',
+
+    // Answering-machine detection. VOICEMAIL_MODE 'drop' waits for the beep and
+    // leaves the call script's voicemail message (VOICEMAIL_MESSAGE when the
+    // script has none); 'hangup' ends the call as soon as a machine is detected.
+    AMD_ENABLED: process.env.AMD_ENABLED !== 'false',
+    VOICEMAIL_MODE: process.env.VOICEMAIL_MODE || 'drop',
+    VOICEMAIL_MESSAGE: process.env.VOICEMAIL_MESSAGE || "Hi, this is Alex calling from Alta. We help sales teams automate their outbound calling and meeting booking. I'll try you again soon, or feel free to call us back at this number. Thanks, and have a great day!",
+
+    // Warm transfer (see transfer.js): where a lead who asks for a person is
+    // sent - a phone number, sip: address or queue:<name>. Empty = off.
+    TRANSFER_TARGET: process.env.TRANSFER_TARGET || '',
+    TRANSFER_TIMEOUT_SECONDS: process.env.TRANSFER_TIMEOUT_SECONDS ? Number(process.env.TRANSFER_TIMEOUT_SECONDS) : 20,
+
+    // Supervisor controls (see supervisor.js): listening, whispers and
+    // takeovers need SUPERVISOR_ACCESS_TOKEN as a bearer token; without one
+    // they are disabled. A takeover bridges the call to SUPERVISOR_PHONE, one
+    // number or a comma-separated list the dashboard can pick from (the first
+    // is the default); no other number is dialed.
+    SUPERVISOR_ACCESS_TOKEN: process.env.SUPERVISOR_ACCESS_TOKEN || '',
+    SUPERVISOR_PHONE: process.env.SUPERVISOR_PHONE || '',
+
+    // Call recordings (see recordings.js): a stereo WAV per call in
+    // DATA_DIR/recordings, deleted after RECORDING_RETENTION_DAYS (0 = keep).
+    // RECORDING_DISCLOSURE is said right after the greeting's first sentence
+    // (empty = no disclosure). Downloads need RECORDING_ACCESS_TOKEN as a
+    // bearer token; without one they are disabled.
+    RECORDING_ENABLED: process.env.RECORDING_ENABLED === 'true',
+    RECORDING_RETENTION_DAYS: process.env.RECORDING_RETENTION_DAYS ? Number(process.env.RECORDING_RETENTION_DAYS) : 30,
+    RECORDING_DISCLOSURE: process.env.RECORDING_DISCLOSURE !== undefined ? process.env.RECORDING_DISCLOSURE : 'Just so you know, this call is recorded.',
+    RECORDING_ACCESS_TOKEN: process.env.RECORDING_ACCESS_TOKEN || '',
+
+    // Where calls, sessions, leads and outcomes are persisted (store.json)
+    DATA_DIR: process.env.DATA_DIR || path.join(__dirname, 'data'),
+
     // Feature toggles
+    // Speech-to-text: google | deepgram | mock (see stt/)
     STT_PROVIDER: process.env.STT_PROVIDER || 'google',
-    TTS_PROVIDER: process.env.TTS_PROVIDER || 'google'
+    // Text-to-speech: google | mock (see tts/)
+    TTS_PROVIDER: process.env.TTS_PROVIDER || 'google',
+
+    // Agent voice. TTS_VOICE is a provider voice name (e.g. en-US-Neural2-D);
+    // when empty the provider picks one for the language and gender.
+    TTS_LANGUAGE: process.env.TTS_LANGUAGE || 'en-US',
+    TTS_VOICE: process.env.TTS_VOICE || '',
+    TTS_GENDER: process.env.TTS_GENDER || 'MALE',
+    TTS_SPEAKING_RATE: process.env.TTS_SPEAKING_RATE ? Number(process.env.TTS_SPEAKING_RATE) : 1.0,
+
+    // Fixed script phrases (greeting, reprompts, closings, voicemail) are cached
+    // on disk (DATA_DIR/tts-cache), least recently used dropped beyond
+    // TTS_CACHE_MAX_ENTRIES
+    TTS_CACHE_ENABLED: process.env.TTS_CACHE_ENABLED !== 'false',
+    TTS_CACHE_MAX_ENTRIES: process.env.TTS_CACHE_MAX_ENTRIES ? Number(process.env.TTS_CACHE_MAX_ENTRIES) : 500
 };
 
 module.exports = config;
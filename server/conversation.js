@@ -0,0 +1,129 @@
+const config = require('./config');
+
+// Per-session conversation memory. Each media-stream session keeps an ordered
+// list of turns ({ role: 'user' | 'model', text, at }) including the greeting,
+// which is replayed to the model on every request so the agent remembers what
+// the lead already said. Older turns are folded into a short running recap
+// once the turn or token budget is exceeded.
+
+// Rough token estimate (~4 characters per token for English text). Good enough
+// for budgeting; we never need an exact count.
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function createHistory() {
+    return { turns: [], summary: '' };
+}
+
+// Append a turn and enforce the budget. Returns the stored turn.
+function addTurn(history, role, text) {
+    const turn = { role, text: (text || '').trim(), at: new Date().toISOString() };
+    if (!turn.text) return null;
+    history.turns.push(turn);
+    trimHistory(history);
+    return turn;
+}
+
+// Condense a single turn into one short line for the recap.
+function condenseTurn(turn) {
+    const speaker = turn.role === 'user' ? 'Lead' : 'Agent';
+    const firstSentence = turnText(turn).split(/(?<=[.!?])\s+/)[0];
+    const short = firstSentence.length > 160 ? firstSentence.slice(0, 157) + '...' : firstSentence;
+    return `${speaker}: ${short}`;
+}
+
+// Drop the oldest turns once we're over MAX_TURNS or MAX_TOKENS, keeping a
+// condensed recap of what was removed. The most recent turn is always kept.
+function trimHistory(history) {
+    const maxTurns = config.CONVERSATION_MAX_TURNS;
+    const maxTokens = config.CONVERSATION_MAX_TOKENS;
+    const removed = [];
+
+    const totalTokens = () => history.turns.reduce((n, t) => n + estimateTokens(t.text), 0) + estimateTokens(history.summary);
+
+    while (history.turns.length > 1 && (history.turns.length > maxTurns || totalTokens() > maxTokens)) {
+        removed.push(history.turns.shift());
+    }
+    if (!removed.length) return;
+
+    const recap = [history.summary, ...removed.map(condenseTurn)].filter(Boolean).join('\n');
+    // Keep the recap itself bounded: a quarter of the budget, most recent lines win.
+    const maxRecapChars = maxTokens; // ~maxTokens / 4 tokens
+    history.summary = recap.length > maxRecapChars ? recap.slice(recap.length - maxRecapChars).replace(/^[^\n]*\n/, '') : recap;
+}
+
+// The lead talked over the agent: keep only the words of `turn` that were
+// played before the audio was stopped, so the model knows what the lead heard.
+// `playedFraction` is the share of the audio that was sent (0..1).
+function markInterrupted(turn, playedFraction) {
+    const words = turn.text.split(/\s+/).filter(Boolean);
+    const played = Math.max(0, Math.min(1, playedFraction || 0));
+    turn.fullText = turn.text;
+    turn.text = words.slice(0, Math.floor(words.length * played)).join(' ');
+    turn.interrupted = true;
+    return turn;
+}
+
+// Text sent to the model for a turn; interrupted agent turns are flagged
+function turnText(turn) {
+    if (!turn.interrupted) return turn.text;
+    return turn.text ? `${turn.text}... [cut off, the lead interrupted]` : '[the lead interrupted before the agent spoke]';
+}
+
+// Build the Gemini `contents` array. Gemini only accepts 'user' and 'model'
+// roles, must start with a user turn and expects roles to alternate, so the
+// instruction/context goes into an opening user turn and consecutive turns
+// from the same speaker are merged.
+function buildContents(history, preamble) {
+    let opening = preamble;
+    if (history.summary) opening += `\n\nSummary of the earlier part of the call:\n${history.summary}`;
+    opening += '\n\n[The call has connected.]';
+
+    const contents = [{ role: 'user', parts: [{ text: opening }] }];
+    for (const turn of history.turns) {
+        const last = contents[contents.length - 1];
+        if (last.role === turn.role) {
+            last.parts[0].text += `\n${turnText(turn)}`;
+        } else {
+            contents.push({ role: turn.role, parts: [{ text: turnText(turn) }] });
+        }
+    }
+    return contents;
+}
+
+// Build an OpenAI-style chat `messages` array: the instructions (and recap)
+// as the system message, then the call itself with 'assistant' for the agent.
+function buildMessages(history, preamble) {
+    let system = preamble;
+    if (history.summary) system += `\n\nSummary of the earlier part of the call:\n${history.summary}`;
+
+    const messages = [{ role: 'system', content: system }, { role: 'user', content: '[The call has connected.]' }];
+    for (const turn of history.turns) {
+        const role = turn.role === 'model' ? 'assistant' : 'user';
+        const last = messages[messages.length - 1];
+        if (last.role === role) {
+            last.content += `\n${turnText(turn)}`;
+        } else {
+            messages.push({ role, content: turnText(turn) });
+        }
+    }
+    return messages;
+}
+
+// Texts spoken by one side, oldest first. Used by outcome detection so it
+// considers the whole call, not one utterance.
+function turnsByRole(history, role) {
+    return history.turns.filter(t => t.role === role).map(t => t.text);
+}
+
+module.exports = {
+    createHistory,
+    addTurn,
+    trimHistory,
+    markInterrupted,
+    buildContents,
+    buildMessages,
+    turnsByRole,
+    estimateTokens
+};
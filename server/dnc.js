@@ -0,0 +1,107 @@
+const store = require('./store');
+const compliance = require('./compliance');
+
+// Do-not-call registry.
+//
+// Numbers are stored in store.dnc keyed by their normalized form (see
+// compliance.normalizePhone), so "+1 (555) 123-4567", "5551234567" and
+// "+15551234567" are the same entry. placeCall checks
+// the registry before every dial, and the live call pipeline adds a lead's
+// number automatically when they ask not to be called again (spoken phrase or
+// the opt-out DTMF key).
+
+// Phrases that count as an explicit opt-out request
+const OPT_OUT_PATTERNS = [
+    /\b(don'?t|do not|never) (ever )?call (me|us|this number)\b/i,
+    /\b(stop|quit) calling\b/i,
+    /\bremove (me|us|my number|this number)\b/i,
+    /\b(take|put) (me|us|my number) off (your|the) (list|do not call list|do-not-call list)\b/i,
+    // A request, not any mention: "am I on your do not call list?" is a question
+    /\b(add|put) (me|us|my number|this number) (on|to) (your|the) do[- ]not[- ]call list\b/i,
+    /\bunsubscribe\b/i
+];
+
+class DoNotCallError extends Error {
+    constructor(phone) {
+        super(`${phone} is on the do-not-call list`);
+        this.name = 'DoNotCallError';
+        this.code = 'DO_NOT_CALL';
+        this.phone = phone;
+    }
+}
+
+// Imports, lookups and opt-outs all go through the same normalizer
+const normalizePhone = compliance.normalizePhone;
+
+function isBlocked(phone) {
+    const key = normalizePhone(phone);
+    return !!key && store.dnc.has(key);
+}
+
+// Throws DoNotCallError if the number may not be dialed
+function assertCallable(phone) {
+    if (isBlocked(phone)) throw new DoNotCallError(phone);
+}
+
+// source: 'manual' | 'import' | 'opt-out-phrase' | 'opt-out-dtmf'
+function add(phone, { source = 'manual', reason = '', callSid = null } = {}) {
+    const key = normalizePhone(phone);
+    if (!key) return null;
+    const existing = store.dnc.get(key);
+    if (existing) return existing;
+    console.log('[DNC] adding a number, source:', source, callSid ? `(call ${callSid})` : '');
+    return store.dnc.upsert({ phone: key, source, reason, callSid });
+}
+
+function remove(phone) {
+    return store.dnc.remove(normalizePhone(phone));
+}
+
+function list() {
+    return store.dnc.list().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+function detectOptOut(text) {
+    return OPT_OUT_PATTERNS.some(p => p.test(text || ''));
+}
+
+// CSV import: one number per line, optional second column with a reason.
+// A header row ("phone,...") is skipped. Returns { added, skipped }.
+function importCsv(csv) {
+    let added = 0;
+    let skipped = 0;
+    String(csv || '').split(/\r?\n/).forEach((line, i) => {
+        const [phone, ...rest] = line.split(',');
+        if (!phone || !phone.trim() || (i === 0 && /phone/i.test(phone))) return;
+        if (isBlocked(phone) || !normalizePhone(phone)) {
+            skipped++;
+            return;
+        }
+        add(phone, { source: 'import', reason: rest.join(',').trim() });
+        added++;
+    });
+    return { added, skipped };
+}
+
+function csvField(value) {
+    const str = String(value == null ? '' : value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function exportCsv() {
+    const rows = list().map(e => [e.phone, e.reason, e.source, e.createdAt, e.callSid || ''].map(csvField).join(','));
+    return ['phone,reason,source,addedAt,callSid', ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+    DoNotCallError,
+    normalizePhone,
+    isBlocked,
+    assertCallable,
+    add,
+    remove,
+    list,
+    detectOptOut,
+    importCsv,
+    exportCsv
+};
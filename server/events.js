@@ -0,0 +1,99 @@
+// Dashboard event stream (Server-Sent Events on GET /events).
+//
+// Replaces polling /calls-status: the dashboard opens one EventSource and the
+// server pushes what changes. Every (re)connection starts with a 'snapshot'
+// event built by the caller, so a client that was offline simply replaces its
+// state; there is no replay of missed events.
+//
+// Event types: snapshot, call, lead, lead-removed, campaign, outcome,
+// transcript (lead speech, interim and final), agent (what the agent said)
+// and whisper (supervisor guidance, see supervisor.js).
+// State events (call, lead, campaign) are coalesced: several writes to the
+// same record in one tick go out once, with the latest value.
+
+const KEEPALIVE_MS = 25000;
+// Tells EventSource how long to wait before reconnecting
+const RETRY_MS = 3000;
+
+const clients = new Set();
+let nextEventId = 1;
+const pendingState = new Map();
+let flushScheduled = false;
+let keepAliveTimer = null;
+
+function write(res, type, data) {
+    try {
+        res.write(`id: ${nextEventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    } catch (err) {
+        clients.delete(res);
+    }
+}
+
+function publish(type, data) {
+    if (!clients.size) return;
+    clients.forEach(res => write(res, type, data));
+    nextEventId++;
+}
+
+// Publish the latest state of a record once this tick's writes are done.
+// `build` runs at flush time and may return null to skip the event.
+function publishState(type, key, build) {
+    if (!clients.size) return;
+    pendingState.set(`${type}:${key}`, { type, build });
+    if (flushScheduled) return;
+    flushScheduled = true;
+    setImmediate(() => {
+        flushScheduled = false;
+        const batch = Array.from(pendingState.values());
+        pendingState.clear();
+        batch.forEach(({ type: t, build: b }) => {
+            try {
+                const data = b();
+                if (data) publish(t, data);
+            } catch (err) {
+                console.error('[EVENTS] failed to build', t, 'event:', err && err.message ? err.message : err);
+            }
+        });
+    });
+}
+
+// Express handler for GET /events. `snapshot()` returns the full dashboard state.
+function handler(snapshot) {
+    return (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive',
+            // Stop nginx-style proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        clients.add(res);
+        console.log('[EVENTS] dashboard connected,', clients.size, 'client(s)');
+        try {
+            write(res, 'snapshot', snapshot());
+        } catch (err) {
+            console.error('[EVENTS] failed to build snapshot:', err && err.message ? err.message : err);
+        }
+
+        if (!keepAliveTimer) {
+            keepAliveTimer = setInterval(() => clients.forEach(c => { try { c.write(': ping\n\n'); } catch (e) { } }), KEEPALIVE_MS);
+            keepAliveTimer.unref();
+        }
+        req.on('close', () => {
+            clients.delete(res);
+            console.log('[EVENTS] dashboard disconnected,', clients.size, 'client(s)');
+            if (!clients.size && keepAliveTimer) {
+                clearInterval(keepAliveTimer);
+                keepAliveTimer = null;
+            }
+        });
+    };
+}
+
+module.exports = {
+    publish,
+    publishState,
+    handler
+};
@@ -1,5 +1,4 @@
 const express = require('express');
-const fetch = require('node-fetch');
 const path = require('path');
 const fs = require('fs');
 const { WebSocketServer } = require('ws');
@@ -8,10 +7,23 @@ const twilio = require('twilio');
 const { v4: uuidv4 } = require('uuid');
 
 const config = require('./config');
-
-// Optional Google Cloud clients
-const speech = require('@google-cloud/speech');
-const textToSpeech = require('@google-cloud/text-to-speech');
+const conversation = require('./conversation');
+const store = require('./store');
+const dnc = require('./dnc');
+const compliance = require('./compliance');
+const { createCampaignEngine, CampaignError, TERMINAL_CALL_STATUSES } = require('./campaigns');
+const stt = require('./stt');
+const tts = require('./tts');
+const llm = require('./llm');
+const outcomes = require('./outcomes');
+const calendar = require('./calendar');
+const scripts = require('./scripts');
+const leads = require('./leads');
+const events = require('./events');
+const supervisor = require('./supervisor');
+const transfer = require('./transfer');
+const recordings = require('./recordings');
+const transcripts = require('./transcripts');
 
 const app = express();
 app.use(express.json());
@@ -50,7 +62,7 @@ if (fs.existsSync(buildDir)) {
     app.get('*', (req, res, next) => {
         // If this looks like an API or webhook path, skip the SPA fallback so
         // our server-side routes can handle it.
-        const apiPrefixes = ['/start-call', '/calls-status', '/call-status', '/twiml', '/audio'];
+        const apiPrefixes = ['/start-call', '/calls-status', '/call-status', '/twiml', '/audio', '/leads', '/campaigns', '/calls', '/dnc', '/amd-status', '/calendar', '/scripts', '/events', '/monitor', '/dial-status', '/transfer-summary'];
         if (apiPrefixes.some(p => req.path === p || req.path.startsWith(p + '/'))) return next();
 
         const indexHtml = path.join(buildDir, 'index.html');
@@ -69,65 +81,352 @@ const PUBLIC_BASE_URL = config.PUBLIC_BASE_URL || `http://localhost:${PORT}`;
 if (!config.TWILIO_ACCOUNT_SID || !config.TWILIO_AUTH_TOKEN) {
     console.warn('TWILIO_ACCOUNT_SID or TWILIO_AUTH_TOKEN not set in environment. /start-call will not work until configured.');
 }
-const twilioClient = twilio(config.TWILIO_ACCOUNT_SID, config.TWILIO_AUTH_TOKEN);
+const twilioClient = twilio(config.TWILIO_ACCOUNT_SID, config.TWILIO_AUTH_TOKEN,
+    config.TWILIO_API_BASE_URL ? { httpClient: redirectedHttpClient(config.TWILIO_API_BASE_URL) } : {});
+if (config.TWILIO_API_BASE_URL) console.log('[TWILIO] REST requests go to', config.TWILIO_API_BASE_URL);
+
+// Twilio's HTTP client with every request sent to baseUrl instead of
+// api.twilio.com; paths, auth and parameters are unchanged
+function redirectedHttpClient(baseUrl) {
+    const client = new twilio.RequestClient();
+    const base = baseUrl.replace(/\/+$/, '');
+    return {
+        request: (opts) => client.request({ ...opts, uri: opts.uri.replace(/^https?:\/\/[^/]+/, base) })
+    };
+}
+
+// Speech-to-text provider (see stt/); an unknown STT_PROVIDER fails here
+stt.getProvider();
+console.log('[STT] provider:', config.STT_PROVIDER);
+
+// Text-to-speech provider (see tts/); an unknown TTS_PROVIDER fails here
+tts.getProvider();
+// Language model provider (see llm/); an unknown LLM_PROVIDER fails here
+llm.getProvider();
+console.log('[LLM] provider:', config.LLM_PROVIDER);
+
+console.log('[TTS] provider:', config.TTS_PROVIDER, config.TTS_CACHE_ENABLED ? '(phrase cache on)' : '(phrase cache off)');
+
+// Account-manager calendars (see calendar/); a bad CALENDAR_MANAGERS_FILE fails here
+calendar.loadManagers();
+console.log('[CALENDAR]', calendar.isEnabled()
+    ? `${calendar.getManagers().length} account manager(s): ${calendar.getManagers().map(m => `${m.id} (${m.source.type})`).join(', ')}`
+    : 'off (no CALENDAR_MANAGERS_FILE) - meeting times are not checked');
+
+// Warm transfers (see transfer.js); a malformed TRANSFER_TARGET fails at require time
+console.log('[TRANSFER]', transfer.isEnabled() ? `to the ${transfer.describeTarget()}` : 'off (no TRANSFER_TARGET)');
+
+// Call recordings (see recordings.js); old files are swept on start and every few hours
+console.log('[RECORDING]', recordings.isEnabled()
+    ? `on - kept ${config.RECORDING_RETENTION_DAYS ? `${config.RECORDING_RETENTION_DAYS} days` : 'forever'}, downloads ${config.RECORDING_ACCESS_TOKEN ? 'need the access token' : 'disabled (no RECORDING_ACCESS_TOKEN)'}`
+    : 'off');
+recordings.startRetention();
+
+// In-memory map of live media-stream sessions (sessionId -> ws, STT stream, ...).
+// A serializable copy of each session is persisted in store.sessions.
+const sessions = new Map();
 
-// Google clients (optional)
-let speechClient = null;
-let ttsClient = null;
-if (config.STT_PROVIDER === 'google' || config.TTS_PROVIDER === 'google') {
-    if (!config.GOOGLE_APPLICATION_CREDENTIALS) {
-        console.warn('GOOGLE_APPLICATION_CREDENTIALS not set; Google STT/TTS will fail until configured.');
+// Persist a call update (status, outcome, ...) and mirror the interesting
+// parts onto the lead record (including its attempt history) so the lead list
+// survives a restart.
+function updateCall(sid, patch) {
+    // Every status change is kept in order for the call detail (GET /calls/:sid)
+    const previous = patch.status ? store.calls.get(sid) : null;
+    if (patch.status && (!previous || previous.status !== patch.status)) {
+        const history = (previous && previous.statusHistory) || [];
+        patch = Object.assign({}, patch, { statusHistory: history.concat({ status: patch.status, at: new Date().toISOString() }) });
     }
-    speechClient = new speech.SpeechClient();
-    ttsClient = new textToSpeech.TextToSpeechClient();
+    const entry = store.calls.upsert(Object.assign({}, patch, { sid }));
+    const lead = entry.leadId != null ? store.leads.get(entry.leadId) : null;
+    if (lead) {
+        const leadPatch = {};
+        if (patch.status) leadPatch.callStatus = patch.status;
+        if (patch.outcome && patch.outcome.type) leadPatch.label = patch.outcome.type;
+        const attempt = (lead.attempts || []).find(a => a.callSid === sid);
+        if (attempt && (patch.status || patch.outcome)) {
+            if (patch.status) attempt.status = patch.status;
+            if (patch.outcome) attempt.outcome = patch.outcome;
+            attempt.updatedAt = new Date().toISOString();
+            leadPatch.attempts = lead.attempts;
+        }
+        if (Object.keys(leadPatch).length) store.leads.update(entry.leadId, leadPatch);
+    }
+    campaigns.handleCallUpdate(entry);
+    return entry;
 }
 
-// In-memory map of call sessions
-const sessions = new Map();
-// In-memory map of Twilio calls (callSid -> metadata)
-const calls = new Map();
+// Record a detected outcome for a call (outcome history + call + lead).
+// Structured fields (meetingStart, callbackAt, ...) are kept when present.
+function recordOutcome(callSid, outcome, sessionId) {
+    const entry = updateCall(callSid, { outcome });
+    events.publish('outcome', { callSid, sessionId: sessionId || null, leadId: entry.leadId != null ? entry.leadId : null, outcome });
+    store.outcomes.upsert(Object.assign({}, outcome, {
+        callSid,
+        sessionId: sessionId || null,
+        leadId: entry.leadId != null ? entry.leadId : null,
+        details: outcome.details || null,
+        detectedAt: new Date().toISOString()
+    }));
+    return entry;
+}
 
-// --- /start-call endpoint ---
-// Expects JSON: { name, phone }
-app.post('/start-call', async (req, res) => {
-    const { name, phone, leadId } = req.body;
-    console.log('[START-CALL] Received request - name:', name, 'phone:', phone, 'leadId:', leadId);
-    if (!name || !phone) return res.status(400).json({ error: 'Missing name or phone' });
+// --- /leads endpoints ---
+// Leads are stored server-side so a page refresh doesn't lose them.
+app.get('/leads', (req, res) => {
+    const leads = store.leads.list().sort((a, b) => (a.position || 0) - (b.position || 0));
+    res.set('Cache-Control', 'no-store');
+    res.json(leads);
+});
 
+// Expects JSON: { leads: [{ name, company, title, phone, notes, timezone }] }
+// `timezone` is an optional IANA zone overriding the one derived from the phone.
+// Replaces the current lead list unless `append: true` is passed.
+app.post('/leads', (req, res) => {
+    const input = Array.isArray(req.body) ? req.body : (req.body && req.body.leads);
+    if (!Array.isArray(input)) return res.status(400).json({ error: 'Expected { leads: [...] }' });
+    const badZone = input.find(l => l.timezone && !compliance.isValidTimeZone(l.timezone));
+    if (badZone) return res.status(400).json({ error: `Unknown time zone '${badZone.timezone}' for ${badZone.name || badZone.phone}` });
+    let customFields;
     try {
-        const url = `${PUBLIC_BASE_URL}/twiml?leadName=${encodeURIComponent(name)}&leadPhone=${encodeURIComponent(phone)}`;
-        console.log('[START-CALL] TwiML URL:', url);
-
-        const call = await twilioClient.calls.create({
-            to: phone,
-            from: config.TWILIO_CALLER_NUMBER,
-            url,
-            // Ask Twilio to POST status updates to our /call-status endpoint
-            statusCallback: `${PUBLIC_BASE_URL}/call-status`,
-            statusCallbackMethod: 'POST',
-            // Only the following events are valid values for statusCallbackEvent
-            // according to Twilio: initiated, ringing, answered, completed
-            // (do not include terminal status names like 'no-answer'/'busy' here)
-            statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
-        });
+        customFields = input.map(l => leads.normalizeCustomFields(l.customFields));
+    } catch (err) {
+        if (err instanceof leads.LeadError) return res.status(err.statusCode).json({ error: err.message });
+        throw err;
+    }
+
+    if (!req.body.append) store.leads.list().forEach(l => store.leads.remove(l.id));
+    const offset = store.leads.list().length;
+    const created = input.map((l, i) => store.leads.upsert({
+        name: l.name || 'Unknown',
+        company: l.company || 'Unknown',
+        title: l.title || 'Unknown',
+        phone: l.phone || '',
+        notes: l.notes || '',
+        customFields: customFields[i],
+        ...compliance.resolveLeadTimezone(l.phone, l.timezone),
+        position: offset + i,
+        callSid: null,
+        callStatus: null,
+        label: null,
+        dialState: null,
+        attempts: []
+    }));
+    res.json(created);
+});
 
-        // Track the call locally so we can report status to the frontend
-        calls.set(call.sid, {
-            sid: call.sid,
-            to: phone,
-            from: config.TWILIO_CALLER_NUMBER,
-            leadId: typeof leadId !== 'undefined' ? leadId : null,
+app.patch('/leads/:id', (req, res) => {
+    const allowed = ['name', 'company', 'title', 'phone', 'notes', 'label'];
+    const patch = {};
+    allowed.forEach(k => { if (k in req.body) patch[k] = req.body[k]; });
+    const existing = store.leads.get(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Lead not found' });
+    if ('customFields' in req.body) {
+        try {
+            patch.customFields = leads.normalizeCustomFields(req.body.customFields);
+        } catch (err) {
+            return res.status(err.statusCode || 400).json({ error: err.message });
+        }
+    }
+    // Re-derive the zone when the phone changes, unless one was set by hand
+    if ('timezone' in req.body) {
+        if (req.body.timezone && !compliance.isValidTimeZone(req.body.timezone)) return res.status(400).json({ error: `Unknown time zone '${req.body.timezone}'` });
+        Object.assign(patch, compliance.resolveLeadTimezone(patch.phone || existing.phone, req.body.timezone));
+    } else if (patch.phone && existing.timezoneSource !== 'manual') {
+        Object.assign(patch, compliance.resolveLeadTimezone(patch.phone));
+    }
+    const lead = store.leads.update(req.params.id, patch);
+    if (!lead) return res.status(404).json({ error: 'Lead not found' });
+    res.json(lead);
+});
+
+// --- Helper: dial a lead through Twilio ---
+// Creates the outbound call, records it in the calls store and links it to the
+// lead. Used by /start-call and the campaign dialer. Throws on failure, and
+// throws DoNotCallError without dialing if the number is on the DNC list.
+// The TwiML URL carries only an opaque call token (see leads.js), never the
+// lead's name or number.
+async function placeCall(lead, opts = {}) {
+    const { name, phone } = lead;
+    dnc.assertCallable(phone);
+    // The script version is fixed when dialing so later edits don't change this call
+    const script = scripts.resolve(opts.scriptId);
+    const leadId = lead.id != null ? lead.id : null;
+    const token = leads.createCallToken();
+    const url = `${PUBLIC_BASE_URL}/twiml?token=${encodeURIComponent(token)}`;
+    console.log('[START-CALL] dialing lead', leadId != null ? leadId : '(ad hoc)');
+
+    const call = await twilioClient.calls.create({
+        to: phone,
+        from: config.TWILIO_CALLER_NUMBER,
+        url,
+        // Ask Twilio to POST status updates to our /call-status endpoint
+        statusCallback: `${PUBLIC_BASE_URL}/call-status`,
+        statusCallbackMethod: 'POST',
+        // Only the following events are valid values for statusCallbackEvent
+        // according to Twilio: initiated, ringing, answered, completed
+        // (do not include terminal status names like 'no-answer'/'busy' here)
+        statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
+        // Answering-machine detection runs in the background (asyncAmd) so the
+        // media stream starts right away; the result is POSTed to /amd-status.
+        // DetectMessageEnd waits for the mailbox greeting to finish (the beep).
+        ...(config.AMD_ENABLED ? {
+            machineDetection: config.VOICEMAIL_MODE === 'drop' ? 'DetectMessageEnd' : 'Enable',
+            asyncAmd: 'true',
+            asyncAmdStatusCallback: `${PUBLIC_BASE_URL}/amd-status`,
+            asyncAmdStatusCallbackMethod: 'POST'
+        } : {})
+    });
+
+    // Track the call so we can report status to the frontend
+    const entry = updateCall(call.sid, {
+        to: phone,
+        from: config.TWILIO_CALLER_NUMBER,
+        leadId,
+        // Calls without a stored lead keep the name here for the agent
+        ...(leadId == null || !store.leads.has(leadId) ? { leadName: name } : {}),
+        token,
+        campaignId: opts.campaignId || null,
+        script: { id: script.id, version: script.version, name: script.name },
+        status: 'initiated'
+    });
+    const stored = leadId != null ? store.leads.get(leadId) : null;
+    if (stored) {
+        const attempts = (stored.attempts || []).concat({
+            callSid: call.sid,
+            campaignId: opts.campaignId || null,
+            scriptId: script.id,
+            scriptVersion: script.version,
+            startedAt: new Date().toISOString(),
             status: 'initiated',
-            createdAt: new Date().toISOString()
+            outcome: null
+        });
+        store.leads.update(leadId, { callSid: call.sid, callStatus: 'initiated', label: null, dialState: null, attempts });
+    }
+    return entry;
+}
+
+// Twilio's current status of a call, stored as if /call-status had reported
+// it. The campaign dialer uses it when a call's final callback seems lost.
+async function refreshCallStatus(sid) {
+    const call = await twilioClient.calls(sid).fetch();
+    console.log(`[CALL-STATUS] ${sid} -> ${call.status} (fetched from Twilio)`);
+    return updateCall(sid, {
+        status: call.status,
+        lastUpdate: new Date().toISOString(),
+        ...(call.duration ? { durationSeconds: Number(call.duration) } : {})
+    });
+}
+
+// Campaign dialer (see campaigns.js); dials through placeCall
+const campaigns = createCampaignEngine({ placeCall, refreshCallStatus });
+
+// --- /events: live dashboard updates (Server-Sent Events, see events.js) ---
+// Store writes become call/lead/campaign events; outcomes, transcripts and
+// agent replies are published where they happen.
+store.onChange((collection, key, record) => {
+    if (collection === 'calls') {
+        events.publishState('call', key, () => {
+            const call = store.calls.get(key);
+            return call && callView(call);
         });
+    } else if (collection === 'leads') {
+        if (!record) events.publish('lead-removed', { id: key });
+        else events.publishState('lead', key, () => store.leads.get(key));
+    } else if (collection === 'campaigns' && record) {
+        events.publishState('campaign', key, () => campaigns.get(key));
+    }
+});
 
+// Sent on every (re)connect. Only calls a lead points at or that are still
+// live are included, not the whole call history.
+function dashboardSnapshot() {
+    const allLeads = store.leads.list().sort((a, b) => (a.position || 0) - (b.position || 0));
+    const leadCallSids = new Set(allLeads.map(l => l.callSid).filter(Boolean));
+    const live = Array.from(sessions.entries()).map(([sessionId, sess]) => ({
+        sessionId,
+        callSid: sess.callSid,
+        leadId: sess.leadId != null ? sess.leadId : null,
+        turns: sess.history.turns.map(t => ({ role: t.role, text: t.text, at: t.at }))
+    }));
+    const liveSids = new Set(live.map(l => l.callSid).filter(Boolean));
+    return {
+        leads: allLeads,
+        calls: store.calls.list(c => leadCallSids.has(c.sid) || liveSids.has(c.sid)).map(callView),
+        campaigns: campaigns.list(),
+        live
+    };
+}
+
+app.get('/events', events.handler(dashboardSnapshot));
+
+// --- /start-call endpoint ---
+// Expects JSON: { name, phone, leadId, scriptId }. If leadId refers to a stored
+// lead its name/phone are used when not supplied; scriptId defaults to the
+// default script.
+app.post('/start-call', async (req, res) => {
+    const { leadId } = req.body;
+    const storedLead = leadId != null ? store.leads.get(leadId) : null;
+    const name = req.body.name || (storedLead && storedLead.name);
+    const phone = req.body.phone || (storedLead && storedLead.phone);
+    console.log('[START-CALL] Received request - leadId:', leadId != null ? leadId : '(none)');
+    if (!name || !phone) return res.status(400).json({ error: 'Missing name or phone' });
+
+    // Respect the lead's local calling hours (default window from config)
+    const timezone = (storedLead && storedLead.timezone) || compliance.resolveLeadTimezone(phone).timezone;
+    const opensAt = compliance.nextCallableTime(timezone);
+    if (!opensAt || opensAt.getTime() > Date.now()) {
+        console.log('[START-CALL] refusing to dial - outside calling hours in', timezone);
+        return res.status(409).json({
+            error: `Outside allowed calling hours for this lead (${timezone})`,
+            code: 'OUTSIDE_CALLING_WINDOW',
+            timezone,
+            opensAt: opensAt ? opensAt.toISOString() : null
+        });
+    }
+
+    try {
+        const call = await placeCall({ id: typeof leadId !== 'undefined' ? leadId : null, name, phone }, { scriptId: req.body.scriptId });
         res.json({ success: true, callSid: call.sid });
     } catch (err) {
+        if (err instanceof scripts.ScriptError) return res.status(400).json({ error: err.message });
+        if (err instanceof dnc.DoNotCallError) {
+            console.log('[START-CALL] refusing to dial - number is on the do-not-call list');
+            return res.status(403).json({ error: 'This number is on the do-not-call list', code: err.code });
+        }
         console.error('Error creating Twilio call:', err);
         res.status(500).json({ error: 'Failed to create call' });
     }
 });
 
+// --- /campaigns endpoints ---
+// The server owns the dial queue; the dashboard only starts/pauses/stops it
+// and polls progress.
+function campaignRoute(handler) {
+    return (req, res) => {
+        try {
+            res.set('Cache-Control', 'no-store');
+            res.json(handler(req));
+        } catch (err) {
+            if (err instanceof CampaignError) return res.status(err.statusCode).json({ error: err.message });
+            console.error('[CAMPAIGN] request failed:', err);
+            res.status(500).json({ error: 'Campaign request failed' });
+        }
+    };
+}
+
+// Expects JSON: { name, leadIds, settings: { concurrency, callsPerMinute, retryPolicy, callingWindow } }
+// retryPolicy: { maxAttempts, minDelayMinutes, delayMinutes: { 'no-answer', busy, failed } }
+// callingWindow: { start: 'HH:MM', end: 'HH:MM', blockedDays: [0-6], holidays: ['YYYY-MM-DD'] }
+// (leadIds defaults to every stored lead)
+app.post('/campaigns', campaignRoute(req => campaigns.create(req.body || {})));
+app.patch('/campaigns/:id/settings', campaignRoute(req => campaigns.updateSettings(req.params.id, req.body || {})));
+app.get('/campaigns', campaignRoute(() => campaigns.list()));
+app.get('/campaigns/:id', campaignRoute(req => campaigns.get(req.params.id)));
+app.post('/campaigns/:id/start', campaignRoute(req => campaigns.start(req.params.id)));
+app.post('/campaigns/:id/pause', campaignRoute(req => campaigns.pause(req.params.id)));
+app.post('/campaigns/:id/resume', campaignRoute(req => campaigns.resume(req.params.id)));
+app.post('/campaigns/:id/stop', campaignRoute(req => campaigns.stop(req.params.id)));
+
 // Twilio will POST call status updates here (application/x-www-form-urlencoded)
 app.post('/call-status', (req, res) => {
     try {
@@ -138,14 +437,17 @@ app.post('/call-status', (req, res) => {
             return res.sendStatus(400);
         }
 
-        const entry = calls.get(sid) || { sid };
-        entry.status = status;
-        entry.lastUpdate = new Date().toISOString();
-        // Twilio provides a lot of useful fields; keep some for debugging
-        entry.to = req.body.To || entry.to;
-        entry.from = req.body.From || entry.from;
-        entry.raw = req.body; // small convenience copy (not ideal for large scale)
-        calls.set(sid, entry);
+        const entry = store.calls.get(sid) || {};
+        updateCall(sid, {
+            status,
+            lastUpdate: new Date().toISOString(),
+            // Twilio provides a lot of useful fields; keep some for debugging
+            to: req.body.To || entry.to,
+            from: req.body.From || entry.from,
+            // Billed call length, sent with the final status
+            ...(req.body.CallDuration ? { durationSeconds: Number(req.body.CallDuration) } : {}),
+            raw: req.body // small convenience copy (not ideal for large scale)
+        });
 
         console.log(`[CALL-STATUS] ${sid} -> ${status}`);
         res.sendStatus(200);
@@ -155,50 +457,427 @@ app.post('/call-status', (req, res) => {
     }
 });
 
-// Simple endpoint frontend can poll to get current known call statuses
-app.get('/calls-status', (req, res) => {
-    const arr = Array.from(calls.values()).map(c => ({
+// Twilio posts the answering-machine detection result here (asyncAmd).
+// AnsweredBy is one of human, machine_start, machine_end_beep,
+// machine_end_silence, machine_end_other, fax or unknown.
+app.post('/amd-status', (req, res) => {
+    const sid = req.body.CallSid;
+    const answeredBy = req.body.AnsweredBy || 'unknown';
+    if (!sid) {
+        console.warn('amd-status webhook received without CallSid');
+        return res.sendStatus(400);
+    }
+
+    console.log(`[AMD] ${sid} answered by ${answeredBy}`);
+    updateCall(sid, {
+        answeredBy,
+        machineDetectionMs: req.body.MachineDetectionDuration ? Number(req.body.MachineDetectionDuration) : null,
+        lastUpdate: new Date().toISOString()
+    });
+
+    // If the media stream hasn't started yet, the 'start' handler picks this up
+    const sessionId = findSessionIdByCallSid(sid);
+    if (sessionId && isMachine(answeredBy)) {
+        handleVoicemail(sessionId, answeredBy).catch(err => console.error('[AMD] voicemail handling failed:', err && err.message ? err.message : err));
+    }
+    res.sendStatus(200);
+});
+
+// What the dashboard sees of a call (/calls-status and the event stream)
+function callView(c) {
+    return {
         sid: c.sid,
         status: c.status,
         to: c.to,
         leadId: c.leadId,
-        outcome: c.outcome || null  // Include outcome if detected
-    }));
+        outcome: c.outcome || null,  // Include outcome if detected
+        hangupReason: c.hangupReason || null,
+        answeredBy: c.answeredBy || null,
+        takeover: c.takeover || null,
+        // The file itself is only served by /calls/:sid/recording
+        recording: c.recording ? { status: c.recording.status, durationSeconds: c.recording.durationSeconds || null, deletedAt: c.recording.deletedAt || null } : null
+    };
+}
+
+// Simple endpoint to get current known call statuses (the dashboard uses /events)
+app.get('/calls-status', (req, res) => {
+    const arr = store.calls.list().map(callView);
     // ensure proxies and browsers don't cache this dynamic endpoint
     res.set('Cache-Control', 'no-store');
     console.log(`[CALLS-STATUS-REQ] returning ${arr.length} calls`);
     res.json(arr);
 });
 
+// Seconds spent ringing, talking (Twilio's billed duration once the call has
+// ended), with the AI on the line, and in total; null when not known yet
+function callDurations(call, callSessions) {
+    const seconds = (from, to) => (from && to ? Math.round((Date.parse(to) - Date.parse(from)) / 100) / 10 : null);
+    const history = call.statusHistory || [];
+    const firstAt = statuses => (history.find(h => statuses.includes(h.status)) || {}).at;
+    const startedAt = history.length ? history[0].at : null;
+    const answeredAt = firstAt(['in-progress']);
+    const endedAt = firstAt(TERMINAL_CALL_STATUSES);
+    const ai = callSessions.map(s => seconds(s.startedAt, s.endedAt)).filter(n => n != null);
+    return {
+        ringingSeconds: seconds(startedAt, answeredAt || endedAt),
+        talkSeconds: call.durationSeconds != null ? call.durationSeconds : seconds(answeredAt, endedAt),
+        aiSeconds: ai.length ? Math.round(ai.reduce((a, b) => a + b, 0) * 10) / 10 : null,
+        totalSeconds: seconds(startedAt, endedAt)
+    };
+}
+
+// One call in full: what the dashboard sees plus the transcript, status
+// history and durations. The call token and Twilio's raw webhook body stay out.
+// The transcript says what the recording does, so it needs the same
+// `Authorization: Bearer <RECORDING_ACCESS_TOKEN>`; without the header it is null.
+app.get('/calls/:sid', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    const call = store.calls.get(req.params.sid);
+    if (!call) return res.status(404).json({ error: 'Call not found' });
+    if (req.get('authorization')) {
+        try {
+            recordings.authorize(req);
+        } catch (err) {
+            if (err instanceof recordings.RecordingError) return res.status(err.statusCode).json({ error: err.message });
+            throw err;
+        }
+    }
+    const callSessions = store.sessions.list(s => s.callSid === call.sid);
+    res.json(Object.assign(callView(call), {
+        from: call.from || null,
+        campaignId: call.campaignId || null,
+        script: call.script || null,
+        transfer: call.transfer || null,
+        createdAt: call.createdAt,
+        updatedAt: call.updatedAt,
+        statusHistory: call.statusHistory || [],
+        durations: callDurations(call, callSessions),
+        transcript: req.get('authorization') ? transcripts.get(call.sid) : null
+    }));
+});
+
+// --- /dnc endpoints (do-not-call registry) ---
+app.get('/dnc', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(dnc.list());
+});
+
+app.get('/dnc/export', (req, res) => {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="do-not-call.csv"');
+    res.set('Cache-Control', 'no-store');
+    res.send(dnc.exportCsv());
+});
+
+// Accepts a text/csv body, or JSON { csv } / { phones: [...] }
+app.post('/dnc/import', express.text({ type: ['text/csv', 'text/plain'] }), (req, res) => {
+    const csv = typeof req.body === 'string'
+        ? req.body
+        : (req.body && (req.body.csv || (Array.isArray(req.body.phones) ? req.body.phones.join('\n') : '')));
+    if (!csv) return res.status(400).json({ error: 'Expected CSV text or { phones: [...] }' });
+    res.json(dnc.importCsv(csv));
+});
+
+// Expects JSON: { phone, reason }
+app.post('/dnc', (req, res) => {
+    const { phone, reason } = req.body || {};
+    if (!dnc.normalizePhone(phone)) return res.status(400).json({ error: 'Missing or invalid phone' });
+    res.json(dnc.add(phone, { source: 'manual', reason: reason || '' }));
+});
+
+app.delete('/dnc/:phone', (req, res) => {
+    if (!dnc.remove(req.params.phone)) return res.status(404).json({ error: 'Number is not on the do-not-call list' });
+    res.json({ success: true });
+});
+
+// --- /calendar endpoints (account-manager availability and holds) ---
+app.get('/calendar/managers', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(calendar.getManagers().map(calendar.publicManager));
+});
+
+// Open slots as a lead in ?timezone= would be offered them (?count=, ?day=YYYY-MM-DD).
+// ?refresh=1 re-reads every calendar first.
+app.get('/calendar/slots', async (req, res) => {
+    const timezone = req.query.timezone || config.DEFAULT_LEAD_TIMEZONE;
+    if (!compliance.isValidTimeZone(timezone)) return res.status(400).json({ error: `Unknown time zone '${timezone}'` });
+    try {
+        if (req.query.refresh) await calendar.refresh();
+        const count = req.query.count ? Math.max(1, Math.min(50, Number(req.query.count) || 1)) : undefined;
+        res.set('Cache-Control', 'no-store');
+        res.json(await calendar.findOpenSlots({ timezone, count, day: req.query.day || null }));
+    } catch (err) {
+        console.error('[CALENDAR] slot lookup failed:', err && err.message ? err.message : err);
+        res.status(500).json({ error: 'Failed to read availability' });
+    }
+});
+
+app.get('/calendar/holds', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json(calendar.listHolds().map(h => Object.assign({}, h, { invite: h.invite ? { filename: h.invite.filename, url: h.invite.url } : null })));
+});
+
+app.delete('/calendar/holds/:id', (req, res) => {
+    const hold = calendar.releaseHold(req.params.id);
+    if (!hold) return res.status(404).json({ error: 'Hold not found' });
+    res.json(hold);
+});
+
+// The meeting invitation of a booked hold
+app.get('/calendar/holds/:id/invite.ics', (req, res) => {
+    const hold = calendar.listHolds().find(h => h.id === req.params.id);
+    if (!hold || !hold.invite) return res.status(404).json({ error: 'No invitation for this hold' });
+    res.set('Content-Type', 'text/calendar; charset=utf-8; method=REQUEST');
+    res.set('Content-Disposition', `attachment; filename="${hold.invite.filename}"`);
+    res.set('Cache-Control', 'no-store');
+    res.send(hold.invite.ics);
+});
+
+// --- /scripts endpoints (call scripts / personas) ---
+// Every save creates a new version; calls keep the version they were dialed with.
+function scriptRoute(handler) {
+    return (req, res) => {
+        try {
+            res.set('Cache-Control', 'no-store');
+            res.json(handler(req));
+        } catch (err) {
+            if (err instanceof scripts.ScriptError) return res.status(err.statusCode).json({ error: err.message });
+            console.error('[SCRIPTS] request failed:', err);
+            res.status(500).json({ error: 'Script request failed' });
+        }
+    };
+}
+
+app.get('/scripts', scriptRoute(() => scripts.list()));
+app.get('/scripts/:id', scriptRoute(req => scripts.get(req.params.id)));
+app.get('/scripts/:id/versions/:version', scriptRoute(req => scripts.getVersion(req.params.id, req.params.version)));
+// Body: { name, agentName, company, pitch, objectionGuidance, greeting, closings, voice, voicemailMessage }
+app.post('/scripts', scriptRoute(req => scripts.create(req.body || {})));
+app.put('/scripts/:id', scriptRoute(req => scripts.update(req.params.id, req.body || {})));
+
+// Manually end a live call from the dashboard ("End Current Call")
+app.post('/calls/:sid/hangup', async (req, res) => {
+    const sid = req.params.sid;
+    if (!store.calls.has(sid)) return res.status(404).json({ error: 'Call not found' });
+    try {
+        updateCall(sid, { hangupReason: 'manual', endedBy: 'operator', lastUpdate: new Date().toISOString() });
+        await twilioClient.calls(sid).update({ status: 'completed' });
+        res.json({ success: true });
+    } catch (err) {
+        console.error('[HANGUP] failed to end call', sid, err && err.message ? err.message : err);
+        res.status(500).json({ error: 'Failed to end call' });
+    }
+});
+
+// Correct a call's outcome by hand (the dashboard's call detail). Body:
+// { type, details }. Keeping the type only changes the details; a new type
+// starts a fresh outcome (a booked meeting stays booked until its hold is
+// released). `correctedFrom` keeps the type that was detected.
+app.patch('/calls/:sid/outcome', (req, res) => {
+    const call = store.calls.get(req.params.sid);
+    if (!call) return res.status(404).json({ error: 'Call not found' });
+    const type = req.body && req.body.type;
+    if (!outcomes.CALL_LABELS.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${outcomes.CALL_LABELS.join(', ')}` });
+    }
+    const details = req.body.details !== undefined ? String(req.body.details || '').trim().slice(0, 300) || null : undefined;
+    const previous = call.outcome || null;
+    const base = previous && previous.type === type ? previous : { type };
+    const outcome = Object.assign({}, base, {
+        details: details !== undefined ? details : (base.details || null),
+        source: 'manual',
+        correctedFrom: previous ? (previous.source === 'manual' ? previous.correctedFrom : previous.type) : null,
+        correctedAt: new Date().toISOString()
+    });
+    console.log('[OUTCOME] call', call.sid, 'corrected by hand:', previous ? previous.type : '(none)', '->', type);
+    recordOutcome(call.sid, outcome, null);
+    res.json(outcome);
+});
+
+// --- Call recordings (see recordings.js) ---
+// Needs `Authorization: Bearer <RECORDING_ACCESS_TOKEN>`. Served inline so the
+// dashboard can play it (with Range requests for seeking); ?download=1 saves it.
+app.get('/calls/:sid/recording', (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    let file;
+    try {
+        recordings.authorize(req);
+        file = recordings.fileForDownload(req.params.sid);
+    } catch (err) {
+        if (err instanceof recordings.RecordingError) return res.status(err.statusCode).json({ error: err.message });
+        console.error('[RECORDING] request failed:', err && err.message ? err.message : err);
+        return res.status(500).json({ error: 'Failed to read the recording' });
+    }
+    const disposition = req.query.download ? 'attachment' : 'inline';
+    res.sendFile(file, {
+        cacheControl: false,
+        headers: { 'Content-Type': 'audio/wav', 'Content-Disposition': `${disposition}; filename="${req.params.sid}.wav"` }
+    }, (err) => {
+        if (err && !res.headersSent) res.status(500).json({ error: 'Failed to send the recording' });
+    });
+});
+
+// --- Supervisor: listen in, whisper, take over (see supervisor.js) ---
+// Listening is the /monitor WebSocket; these act on the live AI session.
+// Every route needs `Authorization: Bearer <SUPERVISOR_ACCESS_TOKEN>`.
+function supervisorRoute(handler) {
+    return async (req, res) => {
+        try {
+            res.set('Cache-Control', 'no-store');
+            supervisor.authorize(req);
+            res.json(await handler(req));
+        } catch (err) {
+            if (err instanceof supervisor.SupervisorError) return res.status(err.statusCode).json({ error: err.message });
+            console.error('[SUPERVISOR] request failed:', err && err.message ? err.message : err);
+            res.status(500).json({ error: 'Supervisor request failed' });
+        }
+    };
+}
+
+function liveSession(callSid) {
+    const sessionId = findSessionIdByCallSid(callSid);
+    const sess = sessionId && sessions.get(sessionId);
+    if (!sess) throw new supervisor.SupervisorError('No live AI session for this call', 404);
+    return { sessionId, sess };
+}
+
+// Expects JSON: { text }. Added to the agent's prompt for the rest of the call.
+app.post('/calls/:sid/whisper', supervisorRoute(req => {
+    const { sessionId, sess } = liveSession(req.params.sid);
+    if (sess.takenOver) throw new supervisor.SupervisorError('A supervisor has taken over this call', 409);
+    const whisper = { text: supervisor.normalizeWhisper(req.body && req.body.text), at: new Date().toISOString() };
+    sess.whispers.push(whisper);
+    console.log('[SUPERVISOR] whisper added to call', req.params.sid);
+    events.publish('whisper', { sessionId, callSid: req.params.sid, text: whisper.text, at: whisper.at });
+    return { whispers: sess.whispers };
+}));
+
+// Expects JSON: { phone } (optional: one of SUPERVISOR_PHONE, defaults to the
+// first). Stops the AI and bridges the lead to that phone; the dial result
+// arrives on /dial-status.
+app.post('/calls/:sid/takeover', supervisorRoute(async req => {
+    const sid = req.params.sid;
+    const { sessionId, sess } = liveSession(sid);
+    if (sess.takenOver) throw new supervisor.SupervisorError('A supervisor already took over this call', 409);
+    const phone = supervisor.takeoverPhone(req.body && req.body.phone);
+
+    // Silence the agent first so nothing else is said or generated
+    sess.takenOver = true;
+    stopPlayback(sessionId);
+    try {
+        await twilioClient.calls(sid).update({ twiml: dialTwiml(phone, 'takeover') });
+    } catch (err) {
+        sess.takenOver = false;
+        throw err;
+    }
+    console.log('[SUPERVISOR] call', sid, 'taken over - dialing the supervisor');
+    const entry = updateCall(sid, { takeover: { status: 'dialing', connected: null, at: new Date().toISOString() }, lastUpdate: new Date().toISOString() });
+    return { success: true, takeover: entry.takeover };
+}));
+
+// TwiML that bridges the live call to `phone`. The <Dial> result is posted to
+// /dial-status and recorded on the call under `kind`.
+function dialTwiml(phone, kind) {
+    const action = `${PUBLIC_BASE_URL}/dial-status?kind=${encodeURIComponent(kind)}`;
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Dial callerId="${xmlEscape(config.TWILIO_CALLER_NUMBER)}" action="${xmlEscape(action)}" method="POST"><Number>${xmlEscape(phone)}</Number></Dial></Response>`;
+}
+
+// Call fields that /dial-status may update: a supervisor takeover or a warm
+// transfer (see transfer.js)
+const DIAL_KINDS = ['takeover', 'transfer'];
+// DialCallStatus / QueueResult values meaning a person picked up
+const CONNECTED_DIAL_STATUSES = ['completed', 'answered', 'bridged'];
+
+// Twilio posts here when a <Dial> (or a transfer's <Enqueue>) ends.
+// DialCallStatus is completed or answered when the person picked up, else
+// busy, no-answer, failed or canceled; a queue reports QueueResult (bridged,
+// hangup, leave, ...). When nobody picked up, the lead is told before the
+// call ends.
+app.post('/dial-status', (req, res) => {
+    const sid = req.body.CallSid;
+    const kind = req.query.kind;
+    const status = req.body.DialCallStatus || req.body.QueueResult || 'unknown';
+    const connected = CONNECTED_DIAL_STATUSES.includes(status);
+    const entry = sid ? store.calls.get(sid) : null;
+    if (entry && DIAL_KINDS.includes(kind) && entry[kind]) {
+        console.log(`[DIAL-STATUS] ${sid} ${kind} -> ${status}`);
+        const patch = {
+            [kind]: Object.assign({}, entry[kind], {
+                status,
+                connected,
+                durationSeconds: req.body.DialCallDuration ? Number(req.body.DialCallDuration) : (req.body.QueueTime ? Number(req.body.QueueTime) : 0),
+                endedAt: new Date().toISOString()
+            }),
+            lastUpdate: new Date().toISOString()
+        };
+        if (kind === 'transfer' && entry.outcome && entry.outcome.type === 'transfer') {
+            patch.outcome = Object.assign({}, entry.outcome, {
+                transferConnected: connected,
+                details: connected ? entry.outcome.details : `Transfer not connected (${status}) - follow up`
+            });
+        }
+        updateCall(sid, patch);
+    } else {
+        console.warn('[DIAL-STATUS] unexpected dial result for', sid || '(no CallSid)', kind);
+    }
+    const apology = connected ? '' : '<Say>Sorry, no one is available to take your call right now. We will call you back shortly. Goodbye.</Say>';
+    res.set('Content-Type', 'text/xml; charset=utf-8');
+    res.status(200).send(`<?xml version="1.0" encoding="UTF-8"?><Response>${apology}<Hangup/></Response>`);
+});
+
+// The human taking a warm transfer hears this summary before being connected.
+// Twilio requests it for the transfer's <Number>/<Sip>; queue agents point
+// their <Dial><Queue url> here (the queued call's CallSid is posted then).
+function transferSummaryHandler(req, res) {
+    const sid = (req.query && req.query.callSid) || (req.body && req.body.CallSid);
+    const entry = sid ? store.calls.get(sid) : null;
+    const summary = entry && entry.transfer ? entry.transfer.summary : null;
+    if (!summary) console.warn('[TRANSFER] no summary for call', sid || '(no CallSid)');
+    res.set('Content-Type', 'text/xml; charset=utf-8');
+    res.set('Cache-Control', 'no-store');
+    res.status(200).send(transfer.summaryTwiml(summary));
+}
+
+app.get('/transfer-summary', transferSummaryHandler);
+app.post('/transfer-summary', transferSummaryHandler);
+
 // --- /twiml endpoint ---
 // Twilio will request this when the call is answered. We respond with TwiML that
 // connects the call to a WebSocket Stream on our server (path /audio)
-function twimlHandler(req, res) {
+
+// The <Stream> element. The call token from placeCall() is passed on as a
+// <Parameter> (it arrives in the 'start' event's customParameters) so the
+// stream URL itself carries nothing about the lead. Unknown or expired tokens
+// are dropped and the call proceeds without lead context.
+function streamElement(req, tag) {
     // Support both query and body params. Twilio may POST but include query string
     // parameters (so prefer query then body).
-    const leadName = (req.query && req.query.leadName) || (req.body && req.body.leadName) || 'Lead';
-    const leadPhone = (req.query && req.query.leadPhone) || (req.body && req.body.leadPhone) || '';
-    // Twilio expects a TwiML XML response
-    const streamUrlRaw = `${(PUBLIC_BASE_URL).replace(/^http/, 'ws')}/audio?leadName=${encodeURIComponent(leadName)}&leadPhone=${encodeURIComponent(leadPhone)}`;
+    const token = (req.query && req.query.token) || (req.body && req.body.token) || '';
+    const call = leads.findCallByToken(token);
+    const twilioCallSid = req.body && req.body.CallSid;
+    const valid = call && (!twilioCallSid || twilioCallSid === call.sid);
+    if (token && !valid) console.warn(`[${tag}] unknown or expired call token for call`, twilioCallSid || '(no CallSid)');
+    const streamUrlRaw = `${(PUBLIC_BASE_URL).replace(/^http/, 'ws')}/audio`;
+    console.log(`[${tag}] returning Stream URL ->`, streamUrlRaw, valid ? `with the token of call ${call.sid}` : 'without lead context');
     const streamUrl = xmlEscape(streamUrlRaw);
+    return valid
+        ? `<Stream url="${streamUrl}"><Parameter name="callToken" value="${xmlEscape(token)}"/></Stream>`
+        : `<Stream url="${streamUrl}"/>`;
+}
 
+function twimlHandler(req, res) {
+    // Twilio expects a TwiML XML response
     const twiml = `<?xml version="1.0" encoding="UTF-8"?>\
 <Response>\
     <Connect>\
-        <Stream url="${streamUrl}"/>\
+        ${streamElement(req, 'TWIML')}\
     </Connect>\
 </Response>`;
 
-    console.log('[TWIML] returning Stream URL ->', streamUrlRaw);
-    console.log('[TWIML] escaping Stream URL ->', streamUrl);
-    // Log request info to help debug Twilio parse failures (Document parse failure)
+    // Log request info to help debug Twilio parse failures (Document parse failure).
+    // Twilio's params include the caller and callee numbers, so only the CallSid is logged.
     try {
-        console.log('[TWIML] request ->', { method: req.method, url: req.originalUrl, ua: req.get('user-agent') });
-        try {
-            console.log('[TWIML] parsed params ->', { query: req.query, body: req.body });
-        } catch (e) { }
-        // Log the exact TwiML body we're sending so we can compare with what Twilio received
-        console.log('[TWIML] body ->', twiml);
+        console.log('[TWIML] request ->', { method: req.method, path: req.path, callSid: req.body && req.body.CallSid, ua: req.get('user-agent') });
     } catch (err) {
         // ignore logging errors
     }
@@ -219,25 +898,17 @@ app.post('/twiml', twimlHandler);
 // This gives Twilio a small delay and forces the Stream to start after the Say,
 // which can help debug timing-related issues with websocket upgrades.
 function twimlDebugHandler(req, res) {
-    const leadName = (req.query && req.query.leadName) || (req.body && req.body.leadName) || 'Lead';
-    const leadPhone = (req.query && req.query.leadPhone) || (req.body && req.body.leadPhone) || '';
-    const streamUrlRaw = `${(PUBLIC_BASE_URL).replace(/^http/, 'ws')}/audio?leadName=${encodeURIComponent(leadName)}&leadPhone=${encodeURIComponent(leadPhone)}`;
-    const streamUrl = xmlEscape(streamUrlRaw);
-
     const twiml = `<?xml version="1.0" encoding="UTF-8"?>\
 <Response>\
     <Say voice="alice">Connecting you to the AI agent now.</Say>\
     <Pause length="1"/>\
     <Connect>\
-        <Stream url="${streamUrl}"/>\
+        ${streamElement(req, 'TWIML-DEBUG')}\
     </Connect>\
 </Response>`;
 
-    console.log('[TWIML-DEBUG] returning Stream URL ->', streamUrlRaw);
-    console.log('[TWIML-DEBUG] escaping Stream URL ->', streamUrl);
     try {
-        console.log('[TWIML-DEBUG] request ->', { method: req.method, url: req.originalUrl, ua: req.get('user-agent') });
-        console.log('[TWIML-DEBUG] parsed params ->', { query: req.query, body: req.body });
+        console.log('[TWIML-DEBUG] request ->', { method: req.method, path: req.path, callSid: req.body && req.body.CallSid, ua: req.get('user-agent') });
         console.log('[TWIML-DEBUG] body ->', twiml);
     } catch (err) { }
     const twimlDebugBuff = Buffer.from(twiml, 'utf8');
@@ -289,6 +960,19 @@ const server = http.createServer(app);
 // Disable permessage-deflate to avoid sending compressed frames which some
 // proxies or endpoints may not handle as expected for Twilio Media Streams.
 const wss = new WebSocketServer({ noServer: true, perMessageDeflate: false });
+// Supervisor audio monitors (dashboard, /monitor?callSid=...); see supervisor.js
+const monitorWss = new WebSocketServer({ noServer: true, perMessageDeflate: false });
+
+monitorWss.on('connection', (ws, req) => {
+    const callSid = new URL(req.url, 'http://localhost').searchParams.get('callSid');
+    supervisor.authenticateMonitor(ws, req, () => {
+        if (!callSid || !findSessionIdByCallSid(callSid)) {
+            ws.close(4404, 'No live AI session for this call');
+            return;
+        }
+        supervisor.attach(ws, callSid);
+    });
+});
 
 // Helper: mu-law to 16-bit PCM
 function muLawTo16BitPCM(muLawBuffer) {
@@ -330,26 +1014,33 @@ function xmlEscape(str) {
 
 // Quick local tone generator (LINEAR16, 8kHz) to validate outbound audio without
 // Send PCM16 buffer to Twilio as mu-law 160-byte chunks (20ms at 8kHz)
+// Returns { sentChunks, totalChunks }; stops early after stopPlayback().
 async function sendMedia(ws, pcmBuffer, opts = { chunkMs: 20 }) {
     if (!ws || !pcmBuffer || pcmBuffer.length === 0) return;
     let sentChunks = 0;
+    let totalChunks = 0;
     const chunkMs = opts.chunkMs || 20;
 
     try {
         const muLaw = linear16ToMuLaw(pcmBuffer);
         const chunkSize = 160;
+        totalChunks = Math.ceil(muLaw.length / chunkSize);
 
         // Get streamSid from session (required by Twilio)
         let streamSid = null;
+        let sess = null;
         try {
             const sessionId = ws._sessionId;
-            const sess = sessions.get(sessionId);
+            sess = sessions.get(sessionId);
             if (sess) streamSid = sess.streamSid;
         } catch (e) { }
+        // stopPlayback bumps the generation; stop sending once that happens
+        const generation = sess ? sess.playbackGeneration : 0;
 
         const startTime = Date.now();
 
         for (let offset = 0; offset < muLaw.length; offset += chunkSize) {
+            if (sess && sess.playbackGeneration !== generation) break;
             const slice = muLaw.slice(offset, offset + chunkSize);
             const base64 = slice.toString('base64');
             const message = streamSid
@@ -363,6 +1054,8 @@ async function sendMedia(ws, pcmBuffer, opts = { chunkMs: 20 }) {
                     if (sendErr) console.error('[SEND-MEDIA] Error:', sendErr.message);
                 });
                 sentChunks++;
+                if (sess) supervisor.forward(sess.callSid, 'outbound', slice);
+                if (sess && sess.recorder) sess.recorder.outbound(pcmBuffer.slice(offset * 2, (offset + chunkSize) * 2));
             } catch (err) {
                 console.error('[SEND-MEDIA] Failed:', err.message);
                 break;
@@ -379,6 +1072,7 @@ async function sendMedia(ws, pcmBuffer, opts = { chunkMs: 20 }) {
     } catch (err) {
         console.error('[SEND-MEDIA] Error:', err.message);
     }
+    return { sentChunks, totalChunks };
 }
 
 // Helper: convert 16-bit PCM (signed little-endian) to 8-bit mu-law
@@ -508,7 +1202,9 @@ server.on('upgrade', (request, socket, head) => {
     // More verbose logging to diagnose tunnel / proxy behavior
     try {
         console.log(`[WS-UPGRADE] ${request.method} ${requestUrl} - remote=${request.socket && request.socket.remoteAddress}`);
-        console.log('[WS-UPGRADE-HEADERS]', JSON.stringify(request.headers, null, 2));
+        // The supervisor's bearer token stays out of the log
+        const headers = Object.assign({}, request.headers, request.headers.authorization ? { authorization: '[redacted]' } : {});
+        console.log('[WS-UPGRADE-HEADERS]', JSON.stringify(headers, null, 2));
     } catch (err) {
         console.log('[WS-UPGRADE] (failed to stringify headers)', err && err.message ? err.message : err);
     }
@@ -518,6 +1214,15 @@ server.on('upgrade', (request, socket, head) => {
             console.log(`[WS-HANDLED] upgrade accepted for ${requestUrl}`);
             wss.emit('connection', ws, request);
         });
+    } else if (requestUrl && requestUrl.startsWith('/monitor')) {
+        if (!supervisor.isEnabled()) {
+            console.log('[WS-UPGRADE] rejecting monitor - SUPERVISOR_ACCESS_TOKEN is not set');
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        monitorWss.handleUpgrade(request, socket, head, (ws) => {
+            monitorWss.emit('connection', ws, request);
+        });
     } else {
         // Log unexpected upgrade attempts and close socket
         console.log(`[WS-UPGRADE] rejecting upgrade for ${requestUrl}`);
@@ -531,13 +1236,10 @@ server.on('upgrade', (request, socket, head) => {
 
 // WebSocket connection handling
 wss.on('connection', (ws, req) => {
-    console.log('[WS-CONNECT] req.url:', req.url);
-    const params = new URLSearchParams(req.url.replace('/audio?', ''));
-    const leadName = params.get('leadName') || 'valued customer';
-    const leadPhone = params.get('leadPhone') || '';
+    // The lead is only known once the 'start' event delivers the call token
     const sessionId = uuidv4();
 
-    console.log(`[WS-CONNECT] New media stream for leadName="${leadName}" phone="${leadPhone}", session ${sessionId}`);
+    console.log(`[WS-CONNECT] New media stream, session ${sessionId}`);
 
     // Wrap ws.send to log outgoing frames for debugging Twilio protocol errors
     try {
@@ -593,95 +1295,86 @@ wss.on('connection', (ws, req) => {
         console.error(`WebSocket error on session ${sessionId}:`, err && err.message ? err.message : err);
     });
 
-    // Create an STT streaming recognize instance (Google)
-    const requestConfig = {
-        config: {
-            encoding: 'LINEAR16',
-            sampleRateHertz: 8000,
-            languageCode: 'en-US',
-        },
-        interimResults: true,
-    };
-
+    // Create a streaming speech-to-text instance (provider from STT_PROVIDER)
     let recognizeStream = null;
-    if (speechClient) {
-        console.log('[STT] Creating Google Speech-to-Text stream...');
-        recognizeStream = speechClient.streamingRecognize(requestConfig)
+    try {
+        console.log(`[STT] Creating ${config.STT_PROVIDER} speech-to-text stream...`);
+        recognizeStream = stt.createStream({ sampleRateHertz: 8000, languageCode: 'en-US', interimResults: true });
+    } catch (err) {
+        console.error(`[STT] Could not create ${config.STT_PROVIDER} stream - the lead will not be heard:`, err && err.message ? err.message : err);
+    }
+    if (recognizeStream) {
+        recognizeStream
             .on('error', (err) => {
                 console.error('[STT] Stream error:', err);
                 console.error('[STT] Error details:', err.code, err.details);
             })
-            .on('data', async (data) => {
-                console.log('[STT] Received data event from Google STT');
-
-                // When Google STT returns results
-                if (data.results && data.results[0]) {
-                    const result = data.results[0];
-                    const transcript = result.alternatives[0].transcript;
-                    const isFinal = result.isFinal;
-                    console.log(`[STT] ${isFinal ? 'Final' : 'Interim'}: "${transcript}" (length: ${transcript ? transcript.length : 0})`);
-                    // record final transcripts for this session so we can detect silence
-                    try {
-                        const sess = sessions.get(sessionId);
-                        if (sess) sess.transcripts = sess.transcripts || [];
-                        if (isFinal && transcript && transcript.trim()) {
-                            sess.transcripts.push(transcript.trim());
-                            console.log('[STT] Stored transcript:', transcript.trim());
-                        }
+            .on('end', () => {
+                console.log('[STT] stream ended for session', sessionId);
+            })
+            .on('transcript', async ({ text: transcript, isFinal, confidence }) => {
+                console.log(`[STT] ${isFinal ? 'Final' : 'Interim'}: "${transcript}" (length: ${transcript ? transcript.length : 0})`);
+                // publish the transcript and keep the final ones for this session
+                try {
+                    const sess = sessions.get(sessionId);
+                    if (sess && transcript && transcript.trim()) {
+                        events.publish('transcript', { sessionId, callSid: sess.callSid, leadId: sess.leadId != null ? sess.leadId : null, text: transcript.trim(), isFinal: !!isFinal });
+                        // The lead is there; the silence count starts over
+                        sess.silencePrompts = 0;
+                        armSilenceTimer(sessionId);
+                    }
+                    if (sess) sess.transcripts = sess.transcripts || [];
+                    if (isFinal && transcript && transcript.trim()) {
+                        sess.transcripts.push(transcript.trim());
+                        // Agent replies measure their latency from here
+                        sess.lastLeadFinalAt = Date.now();
+                        transcripts.addTurn(sess.callSid, { speaker: 'lead', text: transcript, sessionId, confidence });
+                        console.log('[STT] Stored transcript:', transcript.trim());
+                    }
 
-                        // Only process final results if we're not already playing audio
-                        if (isFinal) {
-                            console.log('[STT] Processing final result - isPlaying:', sess?.isPlaying, 'transcript:', transcript ? `"${transcript}"` : 'null/empty');
+                    // The lead is talking over the agent: cut the agent off. Interim
+                    // results need a few words so a cough or "mm-hm" doesn't count.
+                    const words = transcript ? transcript.trim().split(/\s+/).filter(Boolean).length : 0;
+                    if (sess && sess.speaking && words && (isFinal || words >= config.BARGE_IN_MIN_WORDS)) {
+                        bargeIn(sessionId);
+                    }
 
+                    // Only process final results if we're not already playing audio
+                    if (isFinal) {
+                        console.log('[STT] Processing final result - isPlaying:', sess?.isPlaying, 'transcript:', transcript ? `"${transcript}"` : 'null/empty');
+
+                        // Once the agent has decided to hang up, ignore anything else
+                        if (sess && sess.hangingUp) {
+                            console.log('[STT] call is ending, skipping this final result');
+                            return;
+                        }
+                        // A supervisor has the call now; the AI stays quiet
+                        if (sess && sess.takenOver) return;
+
+                        // If we get a final result WITH actual transcript, send to AI
+                        if (transcript && transcript.trim()) {
+                            // The reply the lead interrupted is still winding down; answer
+                            // the interruption as soon as it has finished
+                            if (sess && sess.isPlaying && sess.bargedIn) {
+                                console.log('[STT] queueing interrupting utterance until the current reply stops');
+                                sess.pendingTranscript = [sess.pendingTranscript, transcript.trim()].filter(Boolean).join(' ');
+                                return;
+                            }
                             // Check if audio is already playing
                             if (sess && sess.isPlaying) {
                                 console.log('[STT] audio already playing, skipping this final result');
                                 return;
                             }
-
-                            // If we get a final result WITH actual transcript, send to AI
-                            if (transcript && transcript.trim()) {
-                                console.log('[STT] final transcript received — sending to AI');
-                                try {
-                                    if (sess) sess.isPlaying = true;
-                                    console.log('[AI-PIPELINE] Getting AI response...');
-                                    const aiResult = await getAIResponse(transcript, leadName, leadPhone);
-                                    console.log('[AI-PIPELINE] AI response received, synthesizing speech...');
-
-                                    // Store outcome if detected
-                                    if (aiResult.outcome && aiResult.outcome.type && sess) {
-                                        sess.outcome = aiResult.outcome;
-                                        console.log('[AI-PIPELINE] Outcome detected:', aiResult.outcome);
-
-                                        // Update the call entry in the calls Map
-                                        if (sess.callSid && calls.has(sess.callSid)) {
-                                            const callEntry = calls.get(sess.callSid);
-                                            callEntry.outcome = aiResult.outcome;
-                                            console.log('[AI-PIPELINE] Updated call outcome for', sess.callSid);
-                                        }
-                                    }
-
-                                    // Synthesize audio
-                                    const audioBuffer = await synthesizeSpeech(aiResult.text);
-                                    console.log('[AI-PIPELINE] Speech synthesized, sending to Twilio...');
-                                    // Send back to Twilio
-                                    await sendMedia(ws, audioBuffer);
-                                    console.log('[AI-PIPELINE] Complete - audio sent');
-                                } catch (err) {
-                                    console.error('[AI-PIPELINE] Error:', err);
-                                    console.error('[AI-PIPELINE] Error stack:', err.stack);
-                                } finally {
-                                    if (sess) sess.isPlaying = false;
-                                }
-                            }
-                            // If empty final result, just log it - don't send fallback
-                            // (Google STT sends empty finals on silence/timeout, but that's normal)
-                            else {
-                                console.log('[STT] Empty final result - ignoring (silence/timeout)');
-                            }
+                            console.log('[STT] final transcript received — sending to AI');
+                            await respondToLead(sessionId, transcript);
                         }
-                    } catch (e) { }
-                }
+                        // If empty final result, just log it - don't send fallback
+                        // (STT providers send empty finals on silence/timeout, but that's normal)
+                        else {
+                            console.log('[STT] Empty final result - ignoring (silence/timeout)');
+                        }
+                    }
+                } catch (e) { }
             });
 
     }
@@ -690,10 +1383,20 @@ wss.on('connection', (ws, req) => {
     // stop early if the socket closes and avoid sending large TTS until the
     // first small media frame is accepted by Twilio.
     // Also track isPlaying to prevent overlapping audio streams
-    // Also track callSid to update call outcome in the calls Map
-    sessions.set(sessionId, { ws, recognizeStream, transcripts: [], closed: false, acceptedFirstMedia: false, streamSid: null, callSid: null, isPlaying: false, outcome: null });
+    // Also track callSid to update call outcome in the calls store
+    // history holds the ordered user/model turns sent to Gemini on every reply
+    sessions.set(sessionId, {
+        ws, recognizeStream, transcripts: [], closed: false, acceptedFirstMedia: false, streamSid: null, callSid: null, isPlaying: false, outcome: null,
+        hangingUp: false, pendingMarks: new Map(), playbackGeneration: 0, voicemail: false,
+        speaking: null, bargedIn: false, pendingTranscript: '', llmFailures: 0,
+        whispers: [], takenOver: false, silenceTimer: null, silencePrompts: 0, recorder: null,
+        lead: { name: 'valued customer', phone: '', timezone: config.DEFAULT_LEAD_TIMEZONE, customFields: {}, priorAttempts: [] },
+        script: scripts.resolve(),
+        history: conversation.createHistory()
+    });
     // make session id available on ws so helpers can update acceptance state
     try { ws._sessionId = sessionId; } catch (e) { }
+    store.sessions.upsert({ id: sessionId, leadId: null, callSid: null, streamSid: null, startedAt: new Date().toISOString(), endedAt: null });
 
     ws.on('message', async (msg) => {
         // Twilio sends JSON messages (start, media, stop)
@@ -706,7 +1409,9 @@ wss.on('connection', (ws, req) => {
         }
 
         if (payload.event === 'start') {
-            console.log('Stream started (start payload) ->', JSON.stringify(payload));
+            // Logged without customParameters: the call token is a credential
+            const { customParameters = {}, ...startInfo } = payload.start || {};
+            console.log('Stream started (start payload) ->', JSON.stringify(startInfo));
             // CRITICAL: Capture the streamSid from Twilio's start event.
             // ALL outbound media messages MUST include this streamSid or Twilio
             // will reject them with error 31951.
@@ -723,6 +1428,59 @@ wss.on('connection', (ws, req) => {
                 sess.callSid = twilioCallSid;
                 console.log('[CALL-SID] captured from Twilio:', twilioCallSid);
             }
+            store.sessions.update(sessionId, { callSid: twilioCallSid || null, streamSid: twilioStreamSid || null });
+            if (twilioCallSid) updateCall(twilioCallSid, { sessionId });
+            if (sess && twilioCallSid) {
+                try {
+                    sess.recorder = recordings.createRecorder(twilioCallSid);
+                    if (sess.recorder) updateCall(twilioCallSid, { recording: { status: 'recording', startedAt: new Date().toISOString(), deletedAt: null } });
+                } catch (err) {
+                    console.error('[RECORDING] could not start recording call', twilioCallSid, err && err.message ? err.message : err);
+                }
+            }
+
+            // Trade the call token for the lead. It must belong to this very call;
+            // streams without one (e.g. a number pointed at /twiml by hand) fall
+            // back to the call record Twilio's CallSid points to, if any.
+            const tokenCall = leads.findCallByToken(customParameters.callToken);
+            if (customParameters.callToken && (!tokenCall || tokenCall.sid !== twilioCallSid)) {
+                console.warn('[LEAD] call token does not match call', twilioCallSid, '- ignoring it');
+            }
+            const callEntry = tokenCall && tokenCall.sid === twilioCallSid ? tokenCall : (twilioCallSid ? store.calls.get(twilioCallSid) : null);
+            if (sess && callEntry) {
+                const lead = leads.forCall(callEntry);
+                // Prefer the stored lead's zone (it may be a manual override)
+                lead.timezone = lead.timezone || compliance.resolveLeadTimezone(lead.phone).timezone;
+                if (!lead.name) lead.name = sess.lead.name;
+                sess.lead = lead;
+                sess.leadId = lead.id;
+                store.sessions.update(sessionId, { leadId: lead.id });
+                console.log('[LEAD] session', sessionId, 'is calling lead', lead.id != null ? lead.id : '(ad hoc)', '-', lead.priorAttempts.length, 'earlier attempt(s)');
+            }
+            // Speak with the script version the call was dialed with
+            if (sess && callEntry && callEntry.script) {
+                try {
+                    sess.script = scripts.getVersion(callEntry.script.id, callEntry.script.version);
+                } catch (err) {
+                    console.error('[SCRIPTS] script of call', twilioCallSid, 'is missing, using the default:', err.message);
+                }
+            }
+            if (sess) store.sessions.update(sessionId, { script: { id: sess.script.id, version: sess.script.version } });
+
+            // Start reading availability now so the greeting can offer real times
+            if (sess && calendar.isEnabled()) {
+                sess.slotsPending = calendar.findOpenSlots({ timezone: sess.lead.timezone, callSid: twilioCallSid })
+                    .catch(err => {
+                        console.error('[CALENDAR] slot lookup failed:', err && err.message ? err.message : err);
+                        return [];
+                    });
+            }
+
+            // AMD already decided this is a machine: skip the greeting
+            if (callEntry && isMachine(callEntry.answeredBy)) {
+                handleVoicemail(sessionId, callEntry.answeredBy).catch(err => console.error('[AMD] voicemail handling failed:', err && err.message ? err.message : err));
+                return;
+            }
 
             // Send initial greeting
             (async () => {
@@ -731,12 +1489,28 @@ wss.on('connection', (ws, req) => {
                     if (sess) {
                         sess.acceptedFirstMedia = true;
                         sess.isPlaying = true;
-                        console.log('[GREETING] Synthesizing initial greeting for', leadName);
-                        const greeting = `Hi ${leadName}, this is Alex calling from Alta. We help companies automate their outbound calling and booking processes. I'd love to schedule a quick 15-minute call with one of our senior account managers to show you how we can help. Does later this week work for you?`;
-                        const audioBuffer = await synthesizeSpeech(greeting);
-                        await sendMedia(ws, audioBuffer);
+                        console.log('[GREETING] Synthesizing initial greeting for session', sessionId);
+                        // With calendars configured, {availability} offers two real open times
+                        const slots = sess.slotsPending ? await withTimeout(sess.slotsPending, GREETING_SLOTS_WAIT_MS, []) : [];
+                        const availability = slots.length
+                            ? `Would ${slots.slice(0, 2).map(slot => slot.spoken).join(' or ')} work for you?`
+                            : scripts.DEFAULT_AVAILABILITY_QUESTION;
+                        // The recording disclosure (when recording) follows the introduction
+                        const sentences = recordings.withDisclosure(scripts.greetingSentences(sess.script, sess.lead, availability));
+                        const turn = addAgentTurn(sessionId, sentences.join(' '));
+                        // Sentence by sentence: the ones that don't mention the lead come from the phrase cache
+                        const fixed = new Set([...scripts.staticGreetingSentences(sess.script), scripts.DEFAULT_AVAILABILITY_QUESTION, recordings.disclosure()]);
+                        const parts = await Promise.all(sentences.map(sentence => synthesizeSpeech(sentence, sess.script.voice, { cache: fixed.has(sentence) })));
+                        const audioBuffer = Buffer.concat(parts);
+                        if (sess.voicemail) return;
+                        await speak(sessionId, turn, audioBuffer);
                         console.log('[GREETING] Greeting sent');
                         sess.isPlaying = false;
+                        // The lead talked over the greeting; answer what they said
+                        const pending = sess.pendingTranscript;
+                        sess.pendingTranscript = '';
+                        if (pending && !sess.hangingUp) await respondToLead(sessionId, pending);
+                        else armSilenceTimer(sessionId);
                     }
                 } catch (err) {
                     console.error('[GREETING] Error:', err.message);
@@ -744,6 +1518,17 @@ wss.on('connection', (ws, req) => {
                     if (sess) sess.isPlaying = false;
                 }
             })();
+        } else if (payload.event === 'dtmf') {
+            const digit = payload.dtmf && payload.dtmf.digit;
+            console.log('[DTMF] session', sessionId, 'digit', digit);
+            if (digit && digit === config.OPT_OUT_DTMF_KEY) {
+                handleKeypadOptOut(sessionId).catch(err => console.error('[DTMF] opt-out failed:', err && err.message ? err.message : err));
+            } else if (digit) {
+                // A keypress means someone is on the line
+                const s = sessions.get(sessionId);
+                if (s) s.silencePrompts = 0;
+                armSilenceTimer(sessionId);
+            }
         } else if (payload.event === 'media') {
             try {
                 const b64 = payload.media && payload.media.payload;
@@ -751,13 +1536,17 @@ wss.on('connection', (ws, req) => {
                 const muLawBuffer = Buffer.from(b64, 'base64');
                 const pcm16 = muLawTo16BitPCM(muLawBuffer);
                 const sess = sessions.get(sessionId);
+                if (sess) supervisor.forward(sess.callSid, 'inbound', muLawBuffer);
+                if (sess && sess.recorder) sess.recorder.inbound(pcm16);
 
                 // forward to STT stream
                 try {
                     if (recognizeStream) {
                         recognizeStream.write(pcm16);
-                    } else {
-                        console.warn('[STT] No recognizeStream available; dropping audio frame');
+                    } else if (sess && !sess.sttUnavailableLogged) {
+                        // Logged once per call; the stream creation error above says why
+                        sess.sttUnavailableLogged = true;
+                        console.warn('[STT] No speech-to-text stream for session', sessionId, '- caller audio is dropped');
                     }
                 } catch (err) {
                     console.error('[STT] Error writing to recognizeStream:', err);
@@ -765,37 +1554,23 @@ wss.on('connection', (ws, req) => {
             } catch (err) {
                 console.error('Error handling media event:', err && err.message ? err.message : err);
             }
+        } else if (payload.event === 'mark') {
+            // Twilio echoes a mark once all audio queued before it has played
+            const name = payload.mark && payload.mark.name;
+            const s = sessions.get(sessionId);
+            const resolve = s && s.pendingMarks.get(name);
+            if (resolve) {
+                s.pendingMarks.delete(name);
+                resolve(true);
+            }
         } else if (payload.event === 'stop') {
             console.log('Stream stopped (stop payload) ->', JSON.stringify(payload));
+            // The call is over; nothing sent now would be heard (silence is
+            // handled during the call, see armSilenceTimer)
             const s = sessions.get(sessionId);
             if (s) {
-                // if no transcripts were recorded, play a short fallback prompt so the caller hears something
-                const hadTranscripts = s.transcripts && s.transcripts.length > 0;
-                if (!hadTranscripts) {
-                    // If the WebSocket is already closed, skip heavy work (TTS)
-                    // and avoid attempting to send media frames to Twilio after
-                    // the stream has stopped. This prevents late/malformed sends
-                    // which can trigger Twilio 31951 errors.
-                    if (!ws || ws.readyState !== 1) {
-                        console.log('WS not open at stop event; skipping fallback TTS/send');
-                    } else {
-                        try {
-                            const fallback = "I'm sorry, I didn't hear you. Can you repeat that?";
-                            console.log('No transcripts found for session, synthesizing fallback TTS...');
-                            const audioBuffer = await synthesizeSpeech(fallback);
-                            console.log('Fallback TTS synthesized, bytes=', audioBuffer.length);
-                            try {
-                                await sendMedia(ws, audioBuffer);
-                                console.log('Fallback media sent to Twilio stream');
-                            } catch (err) {
-                                console.error('Error sending fallback media to ws:', err && err.message ? err.message : err);
-                            }
-                        } catch (err) {
-                            console.error('Fallback TTS error', err && err.message ? err.message : err);
-                        }
-                    }
-                }
                 try { if (s.recognizeStream) s.recognizeStream.end(); } catch (e) { }
+                persistSessionEnd(sessionId, s);
                 sessions.delete(sessionId);
             }
         }
@@ -811,175 +1586,608 @@ wss.on('connection', (ws, req) => {
         const s = sessions.get(sessionId);
         if (s) {
             try { if (s.recognizeStream) s.recognizeStream.end(); } catch (e) { }
+            // release anyone waiting on a playback mark
+            try { s.pendingMarks.forEach(resolve => resolve(false)); s.pendingMarks.clear(); } catch (e) { }
             // mark closed so any concurrent tasks can detect and abort quickly
             try { s.closed = true; } catch (e) { }
             // keep acceptedFirstMedia value in logs for debugging
             try { console.log('[SESSION] acceptedFirstMedia=', !!s.acceptedFirstMedia); } catch (e) { }
+            persistSessionEnd(sessionId, s);
             sessions.delete(sessionId);
         }
     });
 });
 
-// --- Helper: send transcript to Gemini (Generative API) ---
-// Returns: { text: string, outcome: { type: 'scheduled'|'hangup'|'irrelevant'|null, details: string } }
-async function getAIResponse(transcript, leadName, leadPhone) {
-    // Gemini expects roles of 'user' or 'model'. Older code sent 'system' which
-    // the API rejected (INVALID_ARGUMENT). To preserve the system instruction
-    // include it at the top of the user prompt instead.
-    const systemInstruction = `You are "Alex," a professional AI sales agent for AutomateInc. Your ONLY goal is to schedule a 15-minute demo meeting with a senior account manager. 
-
-Key points about AutomateInc:
-- We automate outbound calling and meeting booking for sales teams
-- We help companies scale their outreach without hiring more staff
-- Our system books qualified meetings directly into account managers' calendars
+// --- Helper: wait until Twilio has played everything we've sent ---
+// sendMedia paces frames in real time, but Twilio still buffers a little audio.
+// Send a mark after the last frame and resolve when Twilio echoes it back (or
+// after timeoutMs so a lost mark can't keep the call open).
+function waitForPlayback(sessionId, timeoutMs = 5000) {
+    const sess = sessions.get(sessionId);
+    if (!sess || !sess.ws || sess.ws.readyState !== 1 || !sess.streamSid) return Promise.resolve(false);
+
+    const name = `playback-${uuidv4()}`;
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            sess.pendingMarks.delete(name);
+            console.warn('[MARK] timed out waiting for', name);
+            resolve(false);
+        }, timeoutMs);
+        sess.pendingMarks.set(name, (played) => {
+            clearTimeout(timer);
+            resolve(played);
+        });
+        try {
+            sess.ws.send(JSON.stringify({ event: 'mark', streamSid: sess.streamSid, mark: { name } }));
+        } catch (err) {
+            console.error('[MARK] failed to send mark:', err && err.message ? err.message : err);
+            sess.pendingMarks.delete(name);
+            clearTimeout(timer);
+            resolve(false);
+        }
+    });
+}
 
-Your conversation style:
-- Keep responses SHORT (1-2 sentences max)
-- Be friendly but professional
-- Handle objections gracefully (offer different times, ask what would work better)
-- If they say they're busy, ask for a better time to call back
-- If they're interested, ask for their preferred day/time this week or next
-- If they explicitly decline or get hostile, politely end: "No problem, have a great day" then respond with HANGUP
-- When you successfully get a time commitment, confirm it and respond with HANGUP
+// --- Helper: answer the lead's latest utterance ---
+// Runs the AI pipeline (Gemini -> TTS -> Twilio) for one final transcript.
+// sess.isPlaying stays true for the whole turn so replies don't overlap.
+async function respondToLead(sessionId, transcript) {
+    const sess = sessions.get(sessionId);
+    if (!sess) return;
+    try {
+        sess.isPlaying = true;
+        sess.bargedIn = false;
+        console.log('[AI-PIPELINE] Getting AI response...');
+        conversation.addTurn(sess.history, 'user', transcript);
+        // Honor explicit opt-out requests right away, whatever the model says next
+        if (dnc.detectOptOut(transcript)) {
+            sess.optedOut = true;
+            dnc.add(sess.lead.phone, { source: 'opt-out-phrase', reason: transcript.trim(), callSid: sess.callSid });
+        }
+        let aiResult;
+        try {
+            const availability = calendar.isEnabled() ? await availabilityContext(sess, transcript) : '';
+            const context = [availability, supervisor.whisperContext(sess.whispers)].filter(Boolean).join('\n\n');
+            aiResult = await getAIResponse(sess.history, sess.lead, sess.script, context);
+            sess.llmFailures = 0;
+        } catch (err) {
+            aiResult = modelFailureReply(sess, err);
+        }
+        // A machine was detected (or a supervisor took over) while we were waiting on the model
+        if (sess.voicemail || sess.takenOver) return;
+        console.log('[AI-PIPELINE] AI response received, synthesizing speech...');
+
+        const turn = addAgentTurn(sessionId, aiResult.text, sess.lastLeadFinalAt);
+        if (aiResult.hangup || aiResult.transfer) sess.hangingUp = true;
+
+        // The agent is wrapping up: work out the outcome while the farewell plays
+        let outcomePending = null;
+        if (aiResult.hangup && !aiResult.hangupReason) {
+            outcomePending = sess.optedOut
+                ? Promise.resolve({ type: 'irrelevant', details: 'Lead opted out' })
+                : outcomes.extractOutcome({ history: sess.history, finalReply: aiResult.text, lead: sess.lead });
+        }
 
-Remember: Your goal is to GET A SPECIFIC TIME for the meeting, not to pitch the product.`;
+        // Synthesize audio (the reply may be empty if the model only sent HANGUP)
+        let interrupted = false;
+        if (aiResult.text) {
+            const audioBuffer = await synthesizeSpeech(aiResult.text, sess.script.voice);
+            console.log('[AI-PIPELINE] Speech synthesized, sending to Twilio...');
+            // Send back to Twilio
+            interrupted = (await speak(sessionId, turn, audioBuffer)).interrupted;
+            console.log('[AI-PIPELINE] Complete - audio sent');
+        }
 
-    const userPrompt = `${systemInstruction}\n\nLead: ${leadName} (${leadPhone})\nThey said: "${transcript}"\n\nRespond (keep it SHORT, 1-2 sentences):`;
+        // The lead cut the farewell short; keep talking instead of hanging up on them
+        if ((aiResult.hangup || aiResult.transfer) && interrupted) {
+            console.log('[AI-PIPELINE] farewell interrupted - not', aiResult.transfer ? 'transferring' : 'hanging up');
+            sess.hangingUp = false;
+        } else if (aiResult.transfer) {
+            await waitForPlayback(sessionId);
+            await transferCall(sessionId);
+        } else if (aiResult.hangup) {
+            // Let the farewell finish playing, then end the call
+            await waitForPlayback(sessionId);
+            let outcome = outcomePending ? await outcomePending : null;
+            if (outcome && outcome.type === 'scheduled' && calendar.isEnabled()) outcome = await bookMeeting(sess, outcome);
+            if (outcome) {
+                sess.outcome = outcome;
+                console.log('[AI-PIPELINE] Outcome detected:', outcome);
+                // Persist on the call entry, lead and outcome history
+                if (sess.callSid) recordOutcome(sess.callSid, outcome, sessionId);
+            }
+            const reason = aiResult.hangupReason || (outcome && outcome.type) || 'agent-hangup';
+            await hangUpCall(sessionId, reason);
+        }
+    } catch (err) {
+        console.error('[AI-PIPELINE] Error:', err);
+        console.error('[AI-PIPELINE] Error stack:', err.stack);
+    } finally {
+        sess.isPlaying = false;
+    }
 
-    console.log('[AI] Sending to Gemini - transcript:', transcript);
+    // Answer whatever the lead said while interrupting this reply
+    const pending = sess.pendingTranscript;
+    sess.pendingTranscript = '';
+    if (pending && !sess.hangingUp && !sess.closed) await respondToLead(sessionId, pending);
+    else armSilenceTimer(sessionId);
+}
 
-    const apiKey = config.GEMINI_API_KEY || '';
-    if (!apiKey) throw new Error('Missing GEMINI_API_KEY');
+// --- Helper: what the agent knows about account-manager availability ---
+// Lists the open slots for this lead and, when the lead just named a time,
+// checks it: a free time is put on hold for this call; a taken one is flagged
+// so the model offers the listed times instead. Returns text for the prompt.
+async function availabilityContext(sess, transcript) {
+    const tz = sess.lead.timezone;
+    const now = new Date();
+    try {
+        const slots = await calendar.findOpenSlots({ timezone: tz, callSid: sess.callSid, now });
+        const lines = [`Account manager availability for the ${config.CALENDAR_SLOT_MINUTES}-minute demo (the lead's local time):`];
+        if (slots.length) {
+            slots.forEach(slot => lines.push(`- ${slot.spoken} (${slot.label})`));
+            lines.push('Offer these specific times rather than asking open-ended questions. Only confirm a time from this list or one you are told is free and on hold.');
+        } else {
+            lines.push(`- nothing open in the next ${config.CALENDAR_HORIZON_DAYS} days`);
+            lines.push("Do not promise a meeting time; offer to have an account manager call them back instead.");
+        }
 
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+        const proposed = outcomes.resolveSpokenTime(transcript, now, tz);
+        if (proposed && proposed.timeKnown) {
+            const label = outcomes.formatMeeting(proposed.date, tz);
+            const result = await calendar.placeHold({ start: proposed.date, callSid: sess.callSid, leadId: sess.leadId, timezone: tz, now });
+            lines.push(result.hold
+                ? `The lead just proposed ${label}. That time is free with ${result.manager.name} and is on hold for this call: confirm it with the lead.`
+                : `The lead just proposed ${label}, but it is not available (${SLOT_UNAVAILABLE[result.reason] || result.reason}). Don't accept it; offer the closest open times above.`);
+        } else if (proposed) {
+            const day = compliance.localParts(proposed.date, tz).date;
+            const sameDay = await calendar.findOpenSlots({ timezone: tz, day, callSid: sess.callSid, now });
+            const dayLabel = calendar.spokenTime(proposed.date, tz, now).replace(/ at .*$/, '');
+            lines.push(sameDay.length
+                ? `The lead mentioned ${dayLabel}. Open times that day: ${sameDay.map(slot => slot.label).join('; ')}.`
+                : `The lead mentioned ${dayLabel}, but nothing is open that day. Offer the open times above.`);
+        }
+        return lines.join('\n');
+    } catch (err) {
+        console.error('[CALENDAR] availability lookup failed:', err && err.message ? err.message : err);
+        return '';
+    }
+}
 
-    const body = {
-        // Use only allowed roles: 'user' for the prompt. Gemini will return
-        // candidates with content.parts[].text as before.
-        contents: [{ role: 'user', parts: [{ text: userPrompt }] }]
-    };
+const SLOT_UNAVAILABLE = {
+    'too-soon': 'too soon to set up',
+    'too-far': `more than ${config.CALENDAR_HORIZON_DAYS} days out`,
+    'outside-hours': "outside the lead's business hours",
+    busy: 'no account manager is free then'
+};
+
+// --- Helper: put a scheduled meeting on an account manager's calendar ---
+// Attaches the manager, hold and .ics invitation to the outcome. If nobody is
+// free at that time the outcome stays 'scheduled' but is flagged for a person
+// to sort out.
+async function bookMeeting(sess, outcome) {
+    try {
+        const booking = await calendar.book({ callSid: sess.callSid, leadId: sess.leadId, lead: sess.lead, outcome });
+        if (booking.status === 'booked') {
+            return Object.assign({}, outcome, {
+                bookingStatus: 'booked',
+                holdId: booking.hold.id,
+                accountManager: { id: booking.manager.id, name: booking.manager.name, email: booking.manager.email },
+                invite: booking.invite
+            });
+        }
+        console.warn('[CALENDAR] could not book', outcome.meetingStart, 'for call', sess.callSid, '-', booking.reason);
+        return Object.assign({}, outcome, {
+            bookingStatus: 'unavailable',
+            details: `${outcome.details} (not booked: ${SLOT_UNAVAILABLE[booking.reason] || 'no meeting time'})`
+        });
+    } catch (err) {
+        console.error('[CALENDAR] booking failed:', err && err.message ? err.message : err);
+        return Object.assign({}, outcome, { bookingStatus: 'unavailable' });
+    }
+}
 
-    const resp = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-    });
+// Resolve to `fallback` if `promise` takes longer than `ms`
+function withTimeout(promise, ms, fallback) {
+    let timer;
+    return Promise.race([
+        promise,
+        new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); })
+    ]).finally(() => clearTimeout(timer));
+}
 
-    if (!resp.ok) {
-        const text = await resp.text();
-        throw new Error(`Gemini API error: ${resp.status} ${text}`);
+// The model failed even after retries: say something instead of leaving dead
+// air. Too many failures in a row and the agent apologizes and ends the call.
+function modelFailureReply(sess, err) {
+    sess.llmFailures = (sess.llmFailures || 0) + 1;
+    console.error(`[AI-PIPELINE] model failed (${sess.llmFailures} in a row):`, err && err.message ? err.message : err);
+    if (sess.llmFailures >= config.LLM_MAX_CONSECUTIVE_FAILURES) {
+        return {
+            text: "I'm sorry, I'm having trouble on my end. Someone from our team will follow up with you. Goodbye.",
+            hangup: true,
+            hangupReason: 'llm-error'
+        };
     }
+    return { text: config.LLM_FALLBACK_LINE, hangup: false };
+}
 
-    const json = await resp.json();
-    const candidate = json.candidates?.[0]?.content;
-    if (!candidate) {
-        console.error('[AI] No content from Gemini. Response:', JSON.stringify(json, null, 2));
-        throw new Error('No content from Gemini');
+// --- Helper: play an agent turn that the lead may interrupt ---
+// `turn` is the history entry for the text being spoken; if the lead barges
+// in it is cut down to roughly what was played before the audio stopped.
+// Returns { interrupted }.
+async function speak(sessionId, turn, audioBuffer) {
+    const sess = sessions.get(sessionId);
+    if (!sess) return { interrupted: false };
+    const speaking = { turn, interrupted: false };
+    sess.speaking = speaking;
+    const entry = turn && transcriptEntries.get(turn);
+    if (entry && entry.replyTo) transcripts.updateTurn(sess.callSid, entry.index, { latencyMs: Date.now() - entry.replyTo });
+    try {
+        const sent = await sendMedia(sess.ws, audioBuffer);
+        // Frames are paced in real time, so the share sent is close to the share heard
+        const played = sent && sent.totalChunks ? sent.sentChunks / sent.totalChunks : 0;
+        if (speaking.interrupted && turn && played < 1) {
+            conversation.markInterrupted(turn, played);
+            if (entry) transcripts.updateTurn(sess.callSid, entry.index, { interrupted: true, heardText: turn.text });
+            console.log('[BARGE-IN] agent was cut off after:', turn.text ? `"${turn.text}"` : '(nothing)');
+        }
+        return { interrupted: speaking.interrupted };
+    } finally {
+        if (sess.speaking === speaking) sess.speaking = null;
     }
-    const aiText = candidate.parts[0].text;
-    console.log('[AI] Gemini response:', aiText);
+}
 
-    // Analyze the conversation for outcome detection
-    const outcome = analyzeOutcome(transcript, aiText);
-    console.log('[AI] Detected outcome:', outcome);
+// Transcript entries of agent turns (history turn -> { index, replyTo }), so
+// speak() can add the reply latency and what was heard of an interrupted line
+const transcriptEntries = new WeakMap();
+
+// --- Helper: record what the agent says (conversation memory, transcript + dashboard) ---
+// `replyTo` is when the lead's utterance this answers was final (ms), if any.
+function addAgentTurn(sessionId, text, replyTo = null) {
+    const sess = sessions.get(sessionId);
+    if (!sess) return null;
+    const turn = conversation.addTurn(sess.history, 'model', text);
+    if (turn) {
+        events.publish('agent', { sessionId, callSid: sess.callSid, leadId: sess.leadId != null ? sess.leadId : null, text: turn.text });
+        const index = transcripts.addTurn(sess.callSid, { speaker: 'agent', text: turn.text, sessionId });
+        if (index != null) transcriptEntries.set(turn, { index, replyTo });
+    }
+    return turn;
+}
 
-    return { text: aiText, outcome };
+// --- Helper: the lead started talking over the agent ---
+function bargeIn(sessionId) {
+    const sess = sessions.get(sessionId);
+    if (!sess || !sess.speaking || sess.speaking.interrupted) return;
+    console.log('[BARGE-IN] lead interrupted the agent in session', sessionId);
+    sess.speaking.interrupted = true;
+    sess.bargedIn = true;
+    stopPlayback(sessionId);
 }
 
-// --- Helper: Analyze conversation for automatic outcome detection ---
-function analyzeOutcome(userTranscript, aiResponse) {
-    const userLower = userTranscript.toLowerCase();
-    const aiLower = aiResponse.toLowerCase();
+// --- Helper: stop whatever we are playing right now ---
+// In-flight sendMedia loops stop at their next frame and Twilio drops the
+// audio it has buffered but not yet played.
+function stopPlayback(sessionId) {
+    const sess = sessions.get(sessionId);
+    if (!sess) return;
+    sess.playbackGeneration++;
+    if (sess.recorder) sess.recorder.clear();
+    if (sess.ws && sess.ws.readyState === 1 && sess.streamSid) {
+        try {
+            sess.ws.send(JSON.stringify({ event: 'clear', streamSid: sess.streamSid }));
+        } catch (err) {
+            console.error('[CLEAR] failed to send clear:', err && err.message ? err.message : err);
+        }
+    }
+}
 
-    // Check if AI is ending the call with HANGUP
-    if (aiLower.includes('hangup')) {
-        // Determine if it's a scheduled meeting or rejection/irrelevant
+function findSessionIdByCallSid(callSid) {
+    for (const [id, sess] of sessions) {
+        if (sess.callSid === callSid) return id;
+    }
+    return null;
+}
 
-        // Look for scheduling phrases in AI response or recent user transcript
-        const schedulePatterns = [
-            /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
-            /\b(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)\b/i,
-            /\b(morning|afternoon|evening)\b/i,
-            /scheduled|booked|confirmed|set up|looking forward/i
-        ];
+function isMachine(answeredBy) {
+    return !!answeredBy && (answeredBy.startsWith('machine_') || answeredBy === 'fax');
+}
 
-        let schedulingDetails = null;
-        for (const pattern of schedulePatterns) {
-            const match = aiResponse.match(pattern) || userTranscript.match(pattern);
-            if (match) {
-                // Extract scheduling details from the conversation
-                schedulingDetails = extractSchedulingDetails(userTranscript, aiResponse);
-                break;
-            }
+// --- Helper: a machine answered ---
+// Stops the conversation, leaves the voicemail message once the beep has been
+// detected (VOICEMAIL_MODE=drop), then hangs up with a 'voicemail' outcome.
+async function handleVoicemail(sessionId, answeredBy) {
+    const sess = sessions.get(sessionId);
+    if (!sess || sess.voicemail) return;
+    sess.voicemail = true;
+    sess.hangingUp = true;
+    stopPlayback(sessionId);
+
+    const leaveMessage = config.VOICEMAIL_MODE === 'drop' && answeredBy.startsWith('machine_end');
+    console.log('[AMD] session', sessionId, 'reached', answeredBy, leaveMessage ? '- leaving message' : '- hanging up');
+    let leftMessage = false;
+    if (leaveMessage) {
+        try {
+            const message = scripts.voicemailMessage(sess.script);
+            const audioBuffer = await synthesizeSpeech(message, sess.script.voice, { cache: true });
+            addAgentTurn(sessionId, message);
+            await sendMedia(sess.ws, audioBuffer);
+            // Long messages need more than the default mark timeout
+            leftMessage = await waitForPlayback(sessionId, 30000);
+        } catch (err) {
+            console.error('[AMD] failed to play voicemail message:', err && err.message ? err.message : err);
         }
+    }
 
-        if (schedulingDetails) {
-            return { type: 'scheduled', details: schedulingDetails };
-        }
+    sess.outcome = {
+        type: 'voicemail',
+        details: answeredBy === 'fax' ? 'Fax machine answered' : (leftMessage ? 'Left voicemail message' : 'Voicemail reached, no message left')
+    };
+    if (sess.callSid) recordOutcome(sess.callSid, sess.outcome, sessionId);
+    await hangUpCall(sessionId, 'voicemail');
+}
 
-        // Check for rejection/not interested phrases
-        const rejectionPatterns = [
-            /not interested|no thanks|don't call|remove me|not a good time|busy/i,
-            /never call|stop calling|leave me alone/i
-        ];
+// Lead pressed the opt-out key: add them to the DNC list, confirm and hang up
+async function handleKeypadOptOut(sessionId) {
+    const sess = sessions.get(sessionId);
+    if (!sess || sess.hangingUp) return;
+    sess.hangingUp = true;
+    sess.optedOut = true;
+    dnc.add(sess.lead.phone, { source: 'opt-out-dtmf', reason: `Pressed ${config.OPT_OUT_DTMF_KEY} during call`, callSid: sess.callSid });
 
-        for (const pattern of rejectionPatterns) {
-            if (userLower.match(pattern)) {
-                return { type: 'irrelevant', details: 'Lead declined' };
-            }
-        }
+    sess.outcome = { type: 'irrelevant', details: 'Lead opted out (keypad)' };
+    if (sess.callSid) recordOutcome(sess.callSid, sess.outcome, sessionId);
 
-        // Default to hangup if ending call without clear scheduling
-        return { type: 'hangup', details: 'Call ended' };
+    const goodbye = "Understood, we won't call you again. Goodbye.";
+    addAgentTurn(sessionId, goodbye);
+    try {
+        const audioBuffer = await synthesizeSpeech(goodbye, sess.script.voice, { cache: true });
+        await sendMedia(sess.ws, audioBuffer);
+        await waitForPlayback(sessionId);
+    } catch (err) {
+        console.error('[DTMF] failed to play opt-out confirmation:', err && err.message ? err.message : err);
     }
+    await hangUpCall(sessionId, 'opt-out');
+}
 
-    // If no HANGUP detected, return null (call still in progress)
-    return { type: null, details: null };
+// --- Silence handling ---
+// The lead gets SILENCE_REPROMPT_SECONDS to say something once the agent has
+// finished speaking. Anything the lead says (or a keypress) restarts the
+// timer; a silent stretch gets the script's reprompt, then its finalReprompt.
+// After SILENCE_MAX_REPROMPTS unanswered reprompts the agent says goodbye and
+// ends the call with a 'no-response' outcome.
+function armSilenceTimer(sessionId) {
+    const sess = sessions.get(sessionId);
+    if (!sess) return;
+    clearSilenceTimer(sess);
+    if (!config.SILENCE_REPROMPT_SECONDS || !silenceMatters(sess) || sess.isPlaying) return;
+    sess.silenceTimer = setTimeout(() => {
+        sess.silenceTimer = null;
+        handleSilence(sessionId).catch(err => console.error('[SILENCE] failed to handle silence:', err && err.message ? err.message : err));
+    }, config.SILENCE_REPROMPT_SECONDS * 1000);
 }
 
-// --- Helper: Extract scheduling details from conversation ---
-function extractSchedulingDetails(userTranscript, aiResponse) {
-    // Combine both to find scheduling information
-    const combined = `${userTranscript} ${aiResponse}`;
+function clearSilenceTimer(sess) {
+    if (sess && sess.silenceTimer) clearTimeout(sess.silenceTimer);
+    if (sess) sess.silenceTimer = null;
+}
 
-    // Try to find day and time
-    const dayMatch = combined.match(/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i);
-    const timeMatch = combined.match(/\b(\d{1,2}(?::\d{2})?)\s*(am|pm|a\.m\.|p\.m\.)\b/i);
+// Nobody waits on the lead once the call is ending or a person has it
+function silenceMatters(sess) {
+    return !sess.closed && !sess.hangingUp && !sess.takenOver && !sess.voicemail;
+}
+
+async function handleSilence(sessionId) {
+    const sess = sessions.get(sessionId);
+    // The agent is talking or thinking; the timer starts again when it's done
+    if (!sess || !silenceMatters(sess) || sess.isPlaying) return;
+    sess.silencePrompts++;
 
-    if (dayMatch && timeMatch) {
-        const day = dayMatch[1].charAt(0).toUpperCase() + dayMatch[1].slice(1).toLowerCase();
-        const time = timeMatch[1] + ' ' + timeMatch[2].toUpperCase().replace(/\./g, '');
-        return `${day} ${time}`;
-    } else if (dayMatch) {
-        const day = dayMatch[1].charAt(0).toUpperCase() + dayMatch[1].slice(1).toLowerCase();
-        return day;
-    } else if (timeMatch) {
-        const time = timeMatch[1] + ' ' + timeMatch[2].toUpperCase().replace(/\./g, '');
-        return time;
+    if (sess.silencePrompts > config.SILENCE_MAX_REPROMPTS) {
+        console.log('[SILENCE] no response in session', sessionId, 'after', config.SILENCE_MAX_REPROMPTS, 'reprompt(s) - ending the call');
+        sess.hangingUp = true;
+        const goodbye = scripts.noResponseLine(sess.script);
+        try {
+            addAgentTurn(sessionId, goodbye);
+            const audioBuffer = await synthesizeSpeech(goodbye, sess.script.voice, { cache: true });
+            await sendMedia(sess.ws, audioBuffer);
+            await waitForPlayback(sessionId);
+        } catch (err) {
+            console.error('[SILENCE] failed to play the goodbye:', err && err.message ? err.message : err);
+        }
+        sess.outcome = { type: 'no-response', details: `No response after ${config.SILENCE_MAX_REPROMPTS} reprompt(s)` };
+        if (sess.callSid) recordOutcome(sess.callSid, sess.outcome, sessionId);
+        await hangUpCall(sessionId, 'no-response');
+        return;
     }
 
-    // Fallback
-    return 'Meeting scheduled';
+    console.log('[SILENCE] reprompting the lead in session', sessionId, `(${sess.silencePrompts}/${config.SILENCE_MAX_REPROMPTS})`);
+    const line = scripts.repromptLine(sess.script, sess.silencePrompts);
+    sess.isPlaying = true;
+    sess.bargedIn = false;
+    try {
+        const audioBuffer = await synthesizeSpeech(line, sess.script.voice, { cache: true });
+        await speak(sessionId, addAgentTurn(sessionId, line), audioBuffer);
+    } finally {
+        sess.isPlaying = false;
+    }
+    // The lead answered over the reprompt
+    const pending = sess.pendingTranscript;
+    sess.pendingTranscript = '';
+    if (pending && !sess.hangingUp && !sess.closed) await respondToLead(sessionId, pending);
+    else armSilenceTimer(sessionId);
 }
 
-// --- Helper: synthesize using Google TTS ---
-async function synthesizeSpeech(text) {
-    if (!ttsClient) {
-        throw new Error('TTS client not configured. Set TTS_PROVIDER and provider credentials (e.g., GOOGLE_APPLICATION_CREDENTIALS) in .env');
+// Save the final state of a media-stream session before it is dropped from memory
+function persistSessionEnd(sessionId, sess) {
+    clearSilenceTimer(sess);
+    // Times the lead only considered go back on the calendar
+    if (sess.callSid) calendar.releaseHolds(sess.callSid);
+    if (sess.callSid) supervisor.endCall(sess.callSid);
+    if (sess.recorder) {
+        const callSid = sess.callSid;
+        sess.recorder.finish().then(recording => updateCall(callSid, { recording }));
+        sess.recorder = null;
     }
+    store.sessions.update(sessionId, {
+        endedAt: new Date().toISOString(),
+        outcome: sess.outcome || null,
+        // The turns are in the call's transcript (transcripts.js); only the recap is kept here
+        history: sess.callSid ? { turns: [], summary: sess.history.summary } : sess.history,
+        whispers: sess.whispers,
+        takenOver: sess.takenOver
+    });
+    extractOutcomeAtEnd(sessionId, sess).catch(err => console.error('[OUTCOME] extraction at session end failed:', err && err.message ? err.message : err));
+}
 
-    const request = {
-        input: { text },
-        voice: { languageCode: 'en-US', ssmlGender: 'MALE' },
-        audioConfig: { audioEncoding: 'LINEAR16', sampleRateHertz: 8000 }
-    };
+// The lead hung up before the agent wrapped up (stop event or socket close), so
+// the HANGUP path in respondToLead never ran: work out the outcome from what was
+// said. Skipped when the agent is already ending the call, which records its own,
+// and after a supervisor takeover: the stream stops while the supervisor is still
+// talking to the lead, so /dial-status or a manual correction sets the outcome.
+async function extractOutcomeAtEnd(sessionId, sess) {
+    if (!sess.callSid || sess.outcome || sess.hangingUp || sess.takenOver) return;
+    if (!conversation.turnsByRole(sess.history, 'user').length) return;
+    const entry = store.calls.get(sess.callSid) || {};
+    if (entry.outcome) return;
+
+    const agentLines = conversation.turnsByRole(sess.history, 'model');
+    let outcome = sess.optedOut
+        ? { type: 'irrelevant', details: 'Lead opted out' }
+        : await outcomes.extractOutcome({ history: sess.history, finalReply: agentLines[agentLines.length - 1] || '', lead: sess.lead });
+    if (outcome && outcome.type === 'scheduled' && calendar.isEnabled()) outcome = await bookMeeting(sess, outcome);
+    if (!outcome) return;
+    // Something else (a manual correction, say) may have landed while the model was working
+    const latest = store.calls.get(sess.callSid) || {};
+    if (latest.outcome) return;
+    sess.outcome = outcome;
+    console.log('[OUTCOME] lead hung up first - outcome for session', sessionId, outcome);
+    recordOutcome(sess.callSid, outcome, sessionId);
+    store.sessions.update(sessionId, { outcome });
+}
+
+// --- Helper: end the live call through the Twilio REST API ---
+// Records the outcome and why we hung up on the calls entry.
+async function hangUpCall(sessionId, reason) {
+    const sess = sessions.get(sessionId);
+    if (!sess || !sess.callSid) {
+        console.warn('[HANGUP] no callSid for session', sessionId, '- cannot end call');
+        return;
+    }
 
-    const [response] = await ttsClient.synthesizeSpeech(request);
-    const audioBuffer = Buffer.from(response.audioContent, 'base64');
-    return audioBuffer;
+    const entry = store.calls.get(sess.callSid) || {};
+    if (!sess.outcome && !entry.outcome) recordOutcome(sess.callSid, { type: 'hangup', details: 'Call ended' }, sessionId);
+    updateCall(sess.callSid, { hangupReason: reason, endedBy: 'agent', lastUpdate: new Date().toISOString() });
+
+    try {
+        console.log('[HANGUP] ending call', sess.callSid, 'reason:', reason);
+        await twilioClient.calls(sess.callSid).update({ status: 'completed' });
+    } catch (err) {
+        console.error('[HANGUP] failed to end call', sess.callSid, err && err.message ? err.message : err);
+    }
+}
+
+// --- Helper: warm transfer to a human (see transfer.js) ---
+// Records the 'transfer' outcome with a spoken summary for the human, then
+// redirects the live call; /dial-status later records whether it connected.
+// If Twilio refuses the redirect, the lead is told and the call ends.
+async function transferCall(sessionId) {
+    const sess = sessions.get(sessionId);
+    if (!sess || !sess.callSid) {
+        console.warn('[TRANSFER] no callSid for session', sessionId, '- cannot transfer');
+        return;
+    }
+    const sid = sess.callSid;
+    const at = new Date().toISOString();
+    const target = transfer.describeTarget();
+    sess.outcome = { type: 'transfer', details: `Transferred to ${target}`, transferConnected: null };
+    recordOutcome(sid, sess.outcome, sessionId);
+    updateCall(sid, { transfer: { status: 'dialing', connected: null, target, summary: transfer.buildSummary(sess.lead, sess.history), at }, lastUpdate: at });
+
+    try {
+        console.log('[TRANSFER] moving call', sid, 'to the', target);
+        await twilioClient.calls(sid).update({ twiml: transfer.transferTwiml({ baseUrl: PUBLIC_BASE_URL, callSid: sid, callerId: config.TWILIO_CALLER_NUMBER }) });
+    } catch (err) {
+        console.error('[TRANSFER] failed to redirect call', sid, err && err.message ? err.message : err);
+        const entry = store.calls.get(sid) || {};
+        sess.outcome = Object.assign({}, sess.outcome, { transferConnected: false, details: 'Transfer failed - follow up' });
+        updateCall(sid, { outcome: sess.outcome, transfer: Object.assign({}, entry.transfer, { status: 'failed', connected: false, endedAt: new Date().toISOString() }) });
+        const apology = "I'm sorry, I can't connect you right now. Someone from our team will call you back shortly. Goodbye.";
+        try {
+            const audioBuffer = await synthesizeSpeech(apology, sess.script.voice, { cache: true });
+            await speak(sessionId, addAgentTurn(sessionId, apology), audioBuffer);
+            await waitForPlayback(sessionId);
+        } catch (e) {
+            console.error('[TRANSFER] failed to play the apology:', e && e.message ? e.message : e);
+        }
+        await hangUpCall(sessionId, 'transfer-failed');
+    }
+}
+
+// --- Helper: send the conversation so far to the language model (see llm/) ---
+// `history` is the session's conversation (see conversation.js); its last turn
+// is the lead's latest utterance.
+// `script` is the call's script version (persona, pitch, closings; see scripts.js).
+// `context` is extra prompt text for this turn (account-manager availability).
+// Returns: { text: string, hangup: boolean, transfer: boolean }
+// `text` is what the agent should say, with the control tokens removed;
+// `hangup` is true when the model asked to end the call (the outcome is then
+// extracted separately, see outcomes.js); `transfer` when it asked to hand the
+// lead to a person (only with TRANSFER_TARGET set). Throws LlmError when
+// the model can't be reached (after retries).
+async function getAIResponse(history, lead, script, context = '') {
+    // Each provider places the instructions where its API expects them (Gemini
+    // has no 'system' role, so there they open the first user turn).
+    const systemInstruction = scripts.systemPrompt(script, config.CALENDAR_SLOT_MINUTES, { transfer: transfer.isEnabled() });
+    const preamble = `${systemInstruction}\n\n${leads.promptContext(lead)}${context ? `\n\n${context}` : ''}\n\nThe conversation so far follows. Reply to the lead's latest turn (keep it SHORT, 1-2 sentences).`;
+
+    console.log('[AI] Asking', config.LLM_PROVIDER, '- latest:', history.turns[history.turns.length - 1]?.text);
+    const aiText = await llm.generate({ system: preamble, history });
+    console.log('[AI] Model response:', aiText);
+
+    // A transfer wins over HANGUP if the model sent both
+    const transferRequested = transfer.isEnabled() && TRANSFER_TOKEN.test(aiText);
+    return { text: stripControlTokens(aiText), hangup: !transferRequested && HANGUP_TOKEN.test(aiText), transfer: transferRequested };
+}
+
+// Control tokens the model appends when the call should end (HANGUP) or go to
+// a person (TRANSFER). They must never be spoken, so strip them (and any
+// punctuation glued to them) before TTS. Both only match in capitals so the
+// words "hang up" or "transfer" in a normal sentence survive (and don't end
+// the call).
+const HANGUP_TOKEN = /\bHANGUP\b/;
+const TRANSFER_TOKEN = /\bTRANSFER\b/;
+
+function stripControlTokens(text) {
+    return (text || '')
+        .replace(/[\s(\[]*\bHANGUP\b[\s)\].!]*/g, ' ')
+        .replace(/[\s(\[]*\bTRANSFER\b[\s)\].!]*/g, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+// How long the greeting waits for calendars before using the default {availability} question
+const GREETING_SLOTS_WAIT_MS = 1500;
+
+// --- Helper: synthesize speech (8 kHz PCM16) with the configured TTS provider ---
+// `voice` is the script's voice (merged over the configured one).
+// `cache: true` for fixed script phrases, which are kept on disk (see tts/);
+// generated replies are synthesized fresh every time.
+async function synthesizeSpeech(text, voice, { cache = false } = {}) {
+    return tts.synthesize(text, voice, { cache });
 }
 
 server.listen(PORT, () => {
     console.log(`Server listening on ${PORT}`);
     console.log(`PUBLIC_BASE_URL=${PUBLIC_BASE_URL}`);
+    // Warm the phrase cache with each script's static prompts so the first call doesn't wait on TTS
+    scripts.list().forEach(script => {
+        const prompts = scripts.staticGreetingSentences(script);
+        if (!calendar.isEnabled()) prompts.push(scripts.DEFAULT_AVAILABILITY_QUESTION);
+        if (config.AMD_ENABLED && config.VOICEMAIL_MODE === 'drop') prompts.push(scripts.voicemailMessage(script));
+        if (recordings.disclosure()) prompts.push(recordings.disclosure());
+        if (config.SILENCE_REPROMPT_SECONDS) prompts.push(scripts.repromptLine(script, 1), scripts.repromptLine(script, 2), scripts.noResponseLine(script));
+        prompts.forEach(text => synthesizeSpeech(text, script.voice, { cache: true }).catch(err => console.error('[TTS] failed to pre-synthesize prompt:', err && err.message ? err.message : err)));
+    });
+    // Read the calendars once so the first call doesn't wait on them
+    if (calendar.isEnabled()) calendar.refresh().catch(err => console.error('[CALENDAR] initial read failed:', err && err.message ? err.message : err));
 });
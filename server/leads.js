@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+
+const store = require('./store');
+
+// Lead context for calls.
+//
+// Nothing that identifies a lead travels through Twilio: placeCall() gives
+// each call a random token, /twiml hands it to the media stream as a
+// <Parameter>, and the 'start' event trades it back for the stored lead.
+// forCall() is the lead as the agent sees it (profile, notes, custom fields
+// and earlier attempts); promptContext() turns that into the prompt text.
+
+const TOKEN_BYTES = 18;
+
+// Imported extra columns (industry, team size, ...) are kept as strings
+const MAX_CUSTOM_FIELDS = 20;
+const MAX_CUSTOM_KEY_LENGTH = 40;
+const MAX_CUSTOM_VALUE_LENGTH = 500;
+
+// How many earlier attempts the prompt mentions
+const PROMPT_ATTEMPTS = 3;
+
+// Statuses after which a call's token no longer opens a stream
+const TERMINAL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled'];
+
+class LeadError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'LeadError';
+        this.statusCode = statusCode;
+    }
+}
+
+function createCallToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+// token -> call SID, built from the stored calls on first use and kept current
+// through store.onChange, so a lookup doesn't copy every call ever placed
+let callsByToken = null;
+
+store.onChange((collection, key, record) => {
+    if (collection === 'calls' && callsByToken && record && record.token) callsByToken.set(record.token, key);
+});
+
+function tokenIndex() {
+    if (!callsByToken) {
+        callsByToken = new Map();
+        store.calls.list().forEach(c => { if (c.token) callsByToken.set(c.token, c.sid); });
+    }
+    return callsByToken;
+}
+
+// The live call a token belongs to, or null (unknown token or finished call)
+function findCallByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    const sid = tokenIndex().get(token);
+    const call = sid ? store.calls.get(sid) : null;
+    if (!call || TERMINAL_STATUSES.includes(call.status)) return null;
+    return call;
+}
+
+// Validate { key: value } custom fields; values are stored as trimmed strings
+function normalizeCustomFields(input) {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'object' || Array.isArray(input)) throw new LeadError('customFields must be an object');
+    const entries = Object.entries(input)
+        .map(([key, value]) => [String(key).trim(), value == null ? '' : String(value).trim()])
+        .filter(([key, value]) => key && value);
+    if (entries.length > MAX_CUSTOM_FIELDS) throw new LeadError(`At most ${MAX_CUSTOM_FIELDS} custom fields per lead`);
+    entries.forEach(([key, value]) => {
+        if (key.length > MAX_CUSTOM_KEY_LENGTH) throw new LeadError(`Custom field name '${key.slice(0, MAX_CUSTOM_KEY_LENGTH)}...' is too long`);
+        if (value.length > MAX_CUSTOM_VALUE_LENGTH) throw new LeadError(`Custom field '${key}' must be at most ${MAX_CUSTOM_VALUE_LENGTH} characters`);
+    });
+    return Object.fromEntries(entries);
+}
+
+// The lead record for a call: the stored lead when the call has one, else the
+// name/number it was dialed with. Attempts before this call come along so the
+// agent knows it is calling back.
+function forCall(call) {
+    const lead = call && call.leadId != null ? store.leads.get(call.leadId) : null;
+    if (!lead) {
+        return {
+            id: null,
+            name: (call && call.leadName) || '',
+            phone: (call && call.to) || '',
+            company: '',
+            title: '',
+            notes: '',
+            customFields: {},
+            priorAttempts: []
+        };
+    }
+    const priorAttempts = (lead.attempts || [])
+        .filter(a => a.callSid !== call.sid)
+        .map(a => ({
+            startedAt: a.startedAt,
+            status: a.status,
+            outcome: a.outcome ? a.outcome.type : null,
+            details: a.outcome ? a.outcome.details || null : null
+        }));
+    return {
+        id: lead.id,
+        name: lead.name,
+        phone: lead.phone,
+        company: known(lead.company),
+        title: known(lead.title),
+        notes: lead.notes || '',
+        timezone: lead.timezone,
+        customFields: lead.customFields || {},
+        priorAttempts
+    };
+}
+
+// The CSV import fills gaps with 'Unknown'; the agent shouldn't say it
+function known(value) {
+    return value && value !== 'Unknown' ? value : '';
+}
+
+// Prompt lines describing the lead. The phone number is left out on purpose.
+function promptContext(lead) {
+    const role = [lead.title, lead.company].filter(Boolean).join(' at ');
+    const lines = [`Lead: ${lead.name || 'unknown name'}${role ? `, ${role}` : ''}`];
+    if (lead.notes) lines.push(`Notes: ${lead.notes}`);
+    const custom = Object.entries(lead.customFields || {});
+    if (custom.length) lines.push(`Other details: ${custom.map(([key, value]) => `${key}: ${value}`).join('; ')}`);
+
+    const attempts = lead.priorAttempts || [];
+    if (attempts.length) {
+        const recent = attempts.slice(-PROMPT_ATTEMPTS).map(a => {
+            const day = a.startedAt ? a.startedAt.slice(0, 10) : 'unknown date';
+            const result = a.outcome || a.status || 'no result';
+            return `${day} ${result}${a.details ? ` (${a.details})` : ''}`;
+        });
+        lines.push(`Previous calls (${attempts.length}): ${recent.join('; ')}. Acknowledge earlier contact naturally if it helps.`);
+    } else {
+        lines.push('This is the first call to this lead.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    LeadError,
+    createCallToken,
+    findCallByToken,
+    normalizeCustomFields,
+    forCall,
+    promptContext
+};
@@ -0,0 +1,25 @@
+// Errors shared by the LLM providers
+
+class LlmError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LlmError';
+        this.code = 'LLM_ERROR';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// LlmError for a non-2xx response; 429 and 5xx may be retried
+async function responseError(label, resp) {
+    const body = await resp.text().catch(() => '');
+    const retryAfter = Number(resp.headers.get('retry-after'));
+    return new LlmError(`${label} API error: ${resp.status} ${body}`, {
+        status: resp.status,
+        retryable: resp.status === 429 || resp.status >= 500,
+        retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null
+    });
+}
+
+module.exports = { LlmError, responseError };
@@ -0,0 +1,35 @@
+const fetch = require('node-fetch');
+const config = require('../config');
+const conversation = require('../conversation');
+const { LlmError, responseError } = require('./errors');
+
+// Google Gemini generateContent API
+
+async function generate({ system, history, json }, { signal }) {
+    const apiKey = config.GEMINI_API_KEY || '';
+    if (!apiKey) throw new LlmError('Missing GEMINI_API_KEY');
+
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${config.GEMINI_MODEL}:generateContent?key=${apiKey}`;
+    // Gemini only accepts 'user' and 'model' roles, so the instructions go in
+    // the opening user turn (see conversation.buildContents)
+    const contents = conversation.buildContents(history, system);
+    console.log('[AI] Sending to Gemini - turns:', contents.length);
+
+    const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(json ? { contents, generationConfig: { responseMimeType: 'application/json' } } : { contents }),
+        signal
+    });
+    if (!resp.ok) throw await responseError('Gemini', resp);
+
+    const body = await resp.json();
+    const candidate = body.candidates?.[0]?.content;
+    if (!candidate || !candidate.parts) {
+        console.error('[AI] No content from Gemini. Response:', JSON.stringify(body, null, 2));
+        throw new LlmError('No content from Gemini');
+    }
+    return candidate.parts.map(p => p.text || '').join('');
+}
+
+module.exports = { name: 'gemini', generate };
@@ -0,0 +1,64 @@
+const config = require('../config');
+const metrics = require('../metrics');
+const { LlmError, responseError } = require('./errors');
+
+// Language-model providers.
+//
+// LLM_PROVIDER picks the implementation. Each provider exports
+// generate({ system, history, json }, { signal }) resolving to the reply text,
+// where `system` holds the instructions, `history` is a conversation (see
+// conversation.js) and `json: true` asks for a JSON object as the reply. Providers throw LlmError for API
+// failures (see errors.js); generate() below adds the per-attempt timeout
+// and retries rate limits (429), server errors (5xx) and network failures.
+
+const PROVIDERS = {
+    gemini: () => require('./gemini'),
+    openai: () => require('./openai'),
+    mock: () => require('./mock')
+};
+
+const RETRY_BASE_MS = 300;
+const MAX_RETRY_DELAY_MS = 2000;
+
+function toLlmError(err, providerName) {
+    if (err instanceof LlmError) return err;
+    if (err && err.name === 'AbortError') {
+        // A retry after a full timeout would leave the lead waiting twice as long
+        return new LlmError(`${providerName} timed out after ${config.LLM_TIMEOUT_MS} ms`);
+    }
+    // node-fetch reports connection problems as FetchError with type 'system'
+    const network = !!err && err.type === 'system';
+    return new LlmError(`${providerName} request failed: ${err && err.message ? err.message : err}`, { retryable: network });
+}
+
+// Throws for an unknown LLM_PROVIDER so a typo fails at startup, not on the first call
+function getProvider(name = config.LLM_PROVIDER) {
+    const load = PROVIDERS[name];
+    if (!load) throw new Error(`Unknown LLM_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    return load();
+}
+
+// Ask the configured model for the agent's next line. Throws LlmError once
+// the retries are used up.
+function generate(request) {
+    const provider = getProvider();
+    return metrics.timed('llm', async () => {
+        for (let attempt = 0; ; attempt++) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), config.LLM_TIMEOUT_MS);
+            try {
+                return await provider.generate(request, { signal: controller.signal });
+            } catch (err) {
+                const error = toLlmError(err, provider.name);
+                if (!error.retryable || attempt >= config.LLM_MAX_RETRIES) throw error;
+                const delay = Math.min(error.retryAfterMs != null ? error.retryAfterMs : RETRY_BASE_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+                console.warn(`[LLM] ${provider.name} attempt ${attempt + 1} failed (${error.message}); retrying in ${delay} ms`);
+                await new Promise(r => setTimeout(r, delay));
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    });
+}
+
+module.exports = { PROVIDERS, LlmError, responseError, getProvider, generate };
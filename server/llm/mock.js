@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { LlmError } = require('./errors');
+
+// Scripted model for offline runs and tests.
+//
+// Each call works through LLM_MOCK_SCRIPT from the start: the nth request made
+// for a conversation gets the nth entry, so results don't depend on timing or
+// on other calls running at the same time. The script is a path to a JSON file
+// or inline replies separated by '|'. JSON entries are strings or objects:
+//   { text }              reply with text (may include HANGUP)
+//   { text, delayMs }     reply after a delay (try it against LLM_TIMEOUT_MS)
+//   { error: 503 }        fail with that HTTP status; 429/5xx are retried, and
+//                         the retry gets the next entry
+// Once the script runs out the agent says goodbye and hangs up.
+//
+// JSON requests (outcome extraction) don't use the script: they return
+// LLM_MOCK_OUTCOME, or fail when it is empty so the regex fallback runs.
+
+const CLOSING_LINE = 'Thanks for your time. Have a great day! HANGUP';
+
+// Requests made so far, per conversation history object
+const requestCounts = new WeakMap();
+
+function loadScript(source) {
+    if (!source) return [];
+    const file = path.resolve(source);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+    return source.split('|').map(s => s.trim()).filter(Boolean);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const err = new Error('The operation was aborted.');
+                err.name = 'AbortError';
+                reject(err);
+            }, { once: true });
+        }
+    });
+}
+
+async function generate({ history, json }, { signal } = {}) {
+    if (json) {
+        if (!config.LLM_MOCK_OUTCOME) throw new LlmError('No LLM_MOCK_OUTCOME scripted');
+        return config.LLM_MOCK_OUTCOME;
+    }
+    const index = requestCounts.get(history) || 0;
+    requestCounts.set(history, index + 1);
+
+    const raw = loadScript(config.LLM_MOCK_SCRIPT)[index];
+    const entry = typeof raw === 'string' ? { text: raw } : (raw || { text: CLOSING_LINE });
+
+    if (entry.delayMs) await sleep(Number(entry.delayMs), signal);
+    if (entry.error) {
+        const status = Number(entry.error);
+        throw new LlmError(`Mock API error: ${status}`, { status, retryable: status === 429 || status >= 500 });
+    }
+    return String(entry.text || '');
+}
+
+module.exports = { name: 'mock', generate };
@@ -0,0 +1,36 @@
+const fetch = require('node-fetch');
+const config = require('../config');
+const conversation = require('../conversation');
+const { LlmError, responseError } = require('./errors');
+
+// OpenAI-compatible chat completions (POST {OPENAI_BASE_URL}/chat/completions).
+// Works with OpenAI itself and with local servers that speak the same API
+// (Ollama, llama.cpp server, vLLM, LM Studio, ...); the API key is optional
+// for those.
+
+async function generate({ system, history, json }, { signal }) {
+    const url = `${config.OPENAI_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.OPENAI_API_KEY) headers.Authorization = `Bearer ${config.OPENAI_API_KEY}`;
+
+    const messages = conversation.buildMessages(history, system);
+    console.log('[AI] Sending to', config.OPENAI_MODEL, '- messages:', messages.length);
+
+    const resp = await fetch(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(Object.assign({ model: config.OPENAI_MODEL, messages }, json ? { response_format: { type: 'json_object' } } : {})),
+        signal
+    });
+    if (!resp.ok) throw await responseError('Chat completions', resp);
+
+    const body = await resp.json();
+    const text = body.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+        console.error('[AI] No content from chat completions. Response:', JSON.stringify(body, null, 2));
+        throw new LlmError('No content from chat completions');
+    }
+    return text;
+}
+
+module.exports = { name: 'openai', generate };
@@ -0,0 +1,43 @@
+// Rolling latency samples for the per-call AI pipeline (Gemini, TTS).
+//
+// The campaign dialer reads these to apply back-pressure: when the model or
+// TTS slows down, fewer new calls are started so live calls don't get longer
+// and longer pauses between turns.
+
+const WINDOW_MS = 2 * 60 * 1000;
+const MAX_SAMPLES = 50;
+
+const samples = {};
+
+function recordLatency(kind, ms) {
+    const list = samples[kind] || (samples[kind] = []);
+    list.push({ at: Date.now(), ms });
+    if (list.length > MAX_SAMPLES) list.shift();
+}
+
+// Average latency of `kind` over the last WINDOW_MS, or null with no samples
+function averageLatency(kind) {
+    const cutoff = Date.now() - WINDOW_MS;
+    const recent = (samples[kind] || []).filter(s => s.at >= cutoff);
+    if (!recent.length) return null;
+    return Math.round(recent.reduce((n, s) => n + s.ms, 0) / recent.length);
+}
+
+// Time an async function and record its latency under `kind`
+async function timed(kind, fn) {
+    const started = Date.now();
+    try {
+        return await fn();
+    } finally {
+        recordLatency(kind, Date.now() - started);
+    }
+}
+
+function snapshot() {
+    return {
+        llmMs: averageLatency('llm'),
+        ttsMs: averageLatency('tts')
+    };
+}
+
+module.exports = { recordLatency, averageLatency, timed, snapshot };
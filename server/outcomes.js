@@ -0,0 +1,329 @@
+const conversation = require('./conversation');
+const compliance = require('./compliance');
+const llm = require('./llm');
+
+// Call outcome extraction.
+//
+// When the agent ends a call, the transcript is sent to the model with a
+// request for a JSON object matching OUTCOME_SCHEMA. The answer is validated,
+// and meeting/callback times are normalized to ISO 8601 in the lead's time
+// zone; relative phrases ("next Tuesday afternoon") are resolved against the
+// call date. If the model fails or returns something invalid, the regex
+// heuristics below are used instead.
+//
+// Outcome: { type: 'scheduled' | 'callback' | 'irrelevant' | 'hangup',
+//            details, confidence, meetingStart, durationMinutes, attendeeEmail,
+//            callbackAt, timezone, summary, source: 'model' | 'regex' }
+// ('manual' when someone corrected it on the dashboard)
+
+const OUTCOME_TYPES = ['scheduled', 'callback', 'irrelevant', 'hangup'];
+
+// Every label a call can end with: the model's OUTCOME_TYPES plus the ones
+// the server sets itself
+const CALL_LABELS = [...OUTCOME_TYPES, 'voicemail', 'no-response', 'transfer'];
+
+const OUTCOME_SCHEMA = {
+    type: 'object',
+    required: ['outcome', 'confidence'],
+    properties: {
+        outcome: { type: 'string', enum: OUTCOME_TYPES },
+        confidence: { type: 'number', minimum: 0, maximum: 1 },
+        meetingStart: { type: ['string', 'null'], format: 'date-time' },
+        meetingPhrase: { type: ['string', 'null'] },
+        durationMinutes: { type: ['integer', 'null'], minimum: 5, maximum: 240 },
+        attendeeEmail: { type: ['string', 'null'], format: 'email' },
+        callbackRequested: { type: 'boolean' },
+        callbackAt: { type: ['string', 'null'], format: 'date-time' },
+        callbackPhrase: { type: ['string', 'null'] },
+        summary: { type: 'string' }
+    }
+};
+
+const DEFAULT_DURATION_MINUTES = 15;
+
+// Default clock times for vague parts of the day
+const DAY_PARTS = { morning: [10, 0], noon: [12, 0], lunch: [12, 0], afternoon: [14, 0], evening: [17, 0] };
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+function typeMatches(value, type) {
+    if (type === 'null') return value === null;
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === type;
+}
+
+// Validate `value` against OUTCOME_SCHEMA (the subset of JSON Schema it uses).
+// Returns a list of problems; empty when valid.
+function validateOutcome(value, schema = OUTCOME_SCHEMA) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return ['expected a JSON object'];
+    const errors = [];
+    schema.required.forEach((key) => {
+        if (value[key] === undefined) errors.push(`${key} is required`);
+    });
+    Object.entries(schema.properties).forEach(([key, rule]) => {
+        const v = value[key];
+        if (v === undefined) return;
+        const types = [].concat(rule.type);
+        if (!types.some(t => typeMatches(v, t))) {
+            errors.push(`${key} must be ${types.join(' or ')}`);
+            return;
+        }
+        if (v === null) return;
+        if (rule.enum && !rule.enum.includes(v)) errors.push(`${key} must be one of ${rule.enum.join(', ')}`);
+        if (rule.minimum !== undefined && v < rule.minimum) errors.push(`${key} must be >= ${rule.minimum}`);
+        if (rule.maximum !== undefined && v > rule.maximum) errors.push(`${key} must be <= ${rule.maximum}`);
+        if (rule.format === 'date-time' && (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(v) || isNaN(Date.parse(v)))) {
+            errors.push(`${key} must be an ISO 8601 date-time with a UTC offset`);
+        }
+        if (rule.format === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) errors.push(`${key} must be an email address`);
+    });
+    return errors;
+}
+
+// Calendar date `offset` days after the local date in `p`
+function addDays(p, offset) {
+    const d = new Date(Date.UTC(p.year, p.month - 1, p.day + offset));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+function parseClock(text) {
+    const lower = text.toLowerCase();
+    const ampm = lower.match(/\b(\d{1,2})(?::(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?![a-z])/);
+    if (ampm) {
+        let hour = Number(ampm[1]) % 12;
+        if (ampm[3].startsWith('p')) hour += 12;
+        return [hour, Number(ampm[2] || 0)];
+    }
+    // "at 3" / "at 3:30" without am/pm: business hours, so 1-7 means afternoon
+    const bare = lower.match(/\bat (\d{1,2})(?::(\d{2}))?\b(?!\s*(?:st|nd|rd|th|%|percent))/);
+    if (bare && Number(bare[1]) <= 12) {
+        let hour = Number(bare[1]);
+        if (hour < 8) hour += 12;
+        return [hour, Number(bare[2] || 0)];
+    }
+    const part = Object.keys(DAY_PARTS).find(k => new RegExp(`\\b${k}\\b`).test(lower));
+    return part ? DAY_PARTS[part] : null;
+}
+
+function parseDay(text, today) {
+    const lower = text.toLowerCase();
+    if (/\bday after tomorrow\b/.test(lower)) return addDays(today, 2);
+    if (/\btomorrow\b/.test(lower)) return addDays(today, 1);
+    if (/\btoday\b|\bthis (morning|afternoon|evening)\b|\btonight\b/.test(lower)) return addDays(today, 0);
+
+    const weekday = lower.match(/\b(next |this )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+    if (weekday) {
+        // "Tuesday", "this Tuesday" and "next Tuesday" all mean the first one after today
+        const target = WEEKDAYS.indexOf(weekday[2]);
+        let offset = (target - today.weekday + 7) % 7;
+        if (offset === 0) offset = 7;
+        return addDays(today, offset);
+    }
+
+    const monthDay = lower.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?\b/)
+        || lower.match(/\b(\d{1,2})(?:st|nd|rd|th)? of (jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/);
+    if (monthDay) {
+        const [monthName, dayNum] = /^\d/.test(monthDay[1]) ? [monthDay[2], monthDay[1]] : [monthDay[1], monthDay[2]];
+        const month = MONTHS.indexOf(monthName) + 1;
+        const day = Number(dayNum);
+        // A date that already passed this year means next year
+        const year = month < today.month || (month === today.month && day < today.day) ? today.year + 1 : today.year;
+        return { year, month, day };
+    }
+
+    if (/\bnext week\b/.test(lower)) return addDays(today, ((1 - today.weekday + 7) % 7) || 7); // Monday
+    return null;
+}
+
+// Resolve a spoken time ("next Tuesday afternoon", "tomorrow at 3",
+// "Oct 21 at 10:30 am") against `now` in the lead's time zone.
+// Returns { date, dayKnown, timeKnown } or null when nothing was recognized.
+// A day without a time defaults to 10:00; a time without a day means the next
+// time that clock time comes round.
+function resolveSpokenTime(text, now, tz) {
+    if (!text) return null;
+    const today = compliance.localParts(now, tz);
+    const clock = parseClock(text);
+    const spokenDay = parseDay(text, today);
+    if (!spokenDay && !clock) return null;
+
+    const [hour, minute] = clock || [10, 0];
+    let day = spokenDay;
+    if (!day) {
+        day = addDays(today, 0);
+        if (hour * 60 + minute <= today.hour * 60 + today.minute) day = addDays(today, 1);
+    }
+    return { date: compliance.zonedTimeToUtc(day.year, day.month, day.day, hour, minute, tz), dayKnown: !!spokenDay, timeKnown: !!clock };
+}
+
+// Human readable time in the lead's zone, e.g. "Tue, Oct 20, 2:00 PM EDT"
+function formatMeeting(date, tz) {
+    return new Intl.DateTimeFormat('en-US', {
+        timeZone: tz, weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+    }).format(date);
+}
+
+// Pick a usable instant from the model's ISO value, falling back to the phrase.
+// Times in the past (before the call) are rejected.
+function normalizeTime(iso, phrase, now, tz) {
+    if (iso) {
+        const date = new Date(iso);
+        if (!isNaN(date) && date.getTime() > now.getTime() - 60 * 1000) return compliance.toZonedIso(date, tz);
+    }
+    const resolved = resolveSpokenTime(phrase, now, tz);
+    return resolved ? compliance.toZonedIso(resolved.date, tz) : null;
+}
+
+function transcriptText(history) {
+    const lines = history.turns.map(t => `${t.role === 'user' ? 'Lead' : 'Agent'}: ${t.text}${t.interrupted ? ' [cut off]' : ''}`);
+    if (history.summary) lines.unshift(`(Earlier in the call)\n${history.summary}`);
+    return lines.join('\n');
+}
+
+function extractionPrompt(lead, now, tz) {
+    const local = compliance.localParts(now, tz);
+    return `You review finished outbound sales calls. The agent tried to book a ${DEFAULT_DURATION_MINUTES}-minute demo with the lead.
+
+The call took place on ${WEEKDAYS[local.weekday]} ${local.date} at ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')} in the lead's time zone (${tz}, currently ${compliance.toZonedIso(now, tz).slice(-6)}).
+Lead: ${lead.name || 'unknown'}
+
+Reply with ONLY a JSON object (no markdown) matching this JSON Schema:
+${JSON.stringify(OUTCOME_SCHEMA)}
+
+Rules:
+- outcome "scheduled": the lead agreed to a specific meeting day and time.
+- outcome "callback": the lead can't talk now (busy, driving, in a meeting) and asked to be called back, or agreed to be called later.
+- outcome "irrelevant": the lead declined, is not interested, or is the wrong person.
+- outcome "hangup": anything else (the call ended without a clear answer).
+- meetingStart / callbackAt: ISO 8601 with the lead's UTC offset. Resolve relative phrases such as "tomorrow", "next Tuesday afternoon" or "end of the week" against the call date above. Use null if no time was agreed.
+- meetingPhrase / callbackPhrase: the exact words used for the time, or null.
+- durationMinutes: only if a different length was agreed, else null.
+- attendeeEmail: only if the lead spelled out or confirmed an email address, else null.
+- confidence: 0 to 1, how sure you are about the outcome.
+- summary: one short sentence.`;
+}
+
+// Strip markdown fences some models wrap JSON in
+function parseJson(text) {
+    const cleaned = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    return JSON.parse(cleaned);
+}
+
+// Turn a validated model answer into the stored outcome shape
+function fromModel(answer, now, tz) {
+    const meetingStart = answer.outcome === 'scheduled' ? normalizeTime(answer.meetingStart, answer.meetingPhrase, now, tz) : null;
+    const callbackAt = answer.outcome === 'callback' || answer.callbackRequested
+        ? normalizeTime(answer.callbackAt, answer.callbackPhrase, now, tz)
+        : null;
+
+    let details;
+    if (answer.outcome === 'scheduled') details = meetingStart ? formatMeeting(new Date(meetingStart), tz) : 'Meeting scheduled (time unclear)';
+    else if (answer.outcome === 'callback') details = callbackAt ? `Call back ${formatMeeting(new Date(callbackAt), tz)}` : 'Asked to be called back';
+    else if (answer.outcome === 'irrelevant') details = 'Lead declined';
+    else details = 'Call ended';
+
+    return {
+        type: answer.outcome,
+        details,
+        confidence: answer.confidence,
+        meetingStart,
+        durationMinutes: answer.outcome === 'scheduled' ? (answer.durationMinutes || DEFAULT_DURATION_MINUTES) : null,
+        attendeeEmail: answer.attendeeEmail || null,
+        callbackAt,
+        timezone: tz,
+        summary: answer.summary || null,
+        source: 'model'
+    };
+}
+
+// --- Regex fallback ---
+
+const CALLBACK_RE = /\b(call (me )?back|busy right now|in a meeting|driving|bad time|not a good time)\b/i;
+// Wording that confirms a booking; a bare "meeting" or "demo" is in most pitches
+// and callback offers too
+const BOOKED_RE = /\b(booked|scheduled for|you're (all )?set for|confirmed|calendar invite)\b/i;
+const DECLINED_RE = /not interested|no thanks|don't call|remove me|never call|stop calling|leave me alone|wrong person/i;
+
+// Combine the newest day mention with the newest time mention. `texts` is
+// newest first, so a time the lead corrected later in the call wins.
+function spokenTimeFrom(texts, now, tz) {
+    let day = null;
+    let clock = null;
+    for (const text of texts) {
+        const r = resolveSpokenTime(text, now, tz);
+        if (!r) continue;
+        if (!day && r.dayKnown) day = text;
+        if (!clock && r.timeKnown) clock = text;
+        if (day && clock) break;
+    }
+    const resolved = resolveSpokenTime([day, clock].filter(Boolean).join(' '), now, tz);
+    return resolved ? resolved.date : null;
+}
+
+// Looks at everything the lead said plus the agent's final reply
+function regexOutcome(history, finalReply, now, tz) {
+    const userTranscript = conversation.turnsByRole(history, 'user').join(' ');
+    const texts = [finalReply, ...history.turns.map(t => t.text).reverse()];
+    const base = { confidence: 0.3, meetingStart: null, durationMinutes: null, attendeeEmail: null, callbackAt: null, timezone: tz, summary: null, source: 'regex' };
+
+    // "Busy, call me back tomorrow" is a callback unless the agent still booked a meeting
+    if (CALLBACK_RE.test(userTranscript) && !BOOKED_RE.test(finalReply)) {
+        const at = spokenTimeFrom(texts, now, tz);
+        return Object.assign(base, {
+            type: 'callback',
+            details: at ? `Call back ${formatMeeting(at, tz)}` : 'Asked to be called back',
+            callbackAt: at ? compliance.toZonedIso(at, tz) : null
+        });
+    }
+
+    const schedulePatterns = [
+        /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow)\b/i,
+        /\b(\d{1,2})(:\d{2})?\s*(am|pm|a\.m\.|p\.m\.)/i,
+        BOOKED_RE
+    ];
+    if (!DECLINED_RE.test(userTranscript) && schedulePatterns.some(p => p.test(finalReply) || p.test(userTranscript))) {
+        const at = spokenTimeFrom(texts, now, tz);
+        if (at) {
+            return Object.assign(base, { type: 'scheduled', details: formatMeeting(at, tz), meetingStart: compliance.toZonedIso(at, tz), durationMinutes: DEFAULT_DURATION_MINUTES });
+        }
+        if (BOOKED_RE.test(finalReply)) {
+            return Object.assign(base, { type: 'scheduled', details: 'Meeting scheduled (time unclear)', durationMinutes: DEFAULT_DURATION_MINUTES });
+        }
+    }
+
+    if (DECLINED_RE.test(userTranscript)) return Object.assign(base, { type: 'irrelevant', details: 'Lead declined' });
+    return Object.assign(base, { type: 'hangup', details: 'Call ended' });
+}
+
+// Work out how a finished call went. `history` already holds the agent's
+// final reply; `lead` is { name, phone, timezone }. Never throws: falls back
+// to the regex heuristics.
+async function extractOutcome({ history, finalReply = '', lead = {}, now = new Date() }) {
+    const tz = lead.timezone || compliance.resolveLeadTimezone(lead.phone).timezone;
+    try {
+        const text = await llm.generate({
+            system: extractionPrompt(lead, now, tz),
+            history: { turns: [{ role: 'user', text: transcriptText(history) }], summary: '' },
+            json: true
+        });
+        const answer = parseJson(text);
+        const errors = validateOutcome(answer);
+        if (errors.length) throw new Error(`invalid outcome JSON: ${errors.join('; ')}`);
+        return fromModel(answer, now, tz);
+    } catch (err) {
+        console.warn('[OUTCOME] model extraction failed, using regex fallback:', err && err.message ? err.message : err);
+        return regexOutcome(history, finalReply, now, tz);
+    }
+}
+
+module.exports = {
+    OUTCOME_TYPES,
+    CALL_LABELS,
+    OUTCOME_SCHEMA,
+    validateOutcome,
+    resolveSpokenTime,
+    formatMeeting,
+    regexOutcome,
+    extractOutcome
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const config = require('./config');
+const store = require('./store');
+
+// Call recordings.
+//
+// Each media-stream session is recorded to DATA_DIR/recordings/<CallSid>.wav:
+// 16-bit PCM, 8 kHz, stereo, left = the lead (Twilio's inbound frames), right =
+// the agent (the TTS audio we send). The lead's audio is the clock: every
+// inbound frame writes one frame of both channels, and agent audio is played
+// into the right channel from the queue of what has been sent but not yet
+// heard. stopPlayback() (barge-in) drops that queue, as Twilio's 'clear' does,
+// so the file matches what was actually heard on the line.
+//
+// Only the AI part of a call is recorded: once a call is transferred or taken
+// over the media stream (and the recording) ends.
+//
+// Files older than RECORDING_RETENTION_DAYS are deleted. Downloads need
+// RECORDING_ACCESS_TOKEN as a bearer token (see authorize()).
+
+const SAMPLE_RATE = 8000;
+const CHANNELS = 2;
+const BYTES_PER_SAMPLE = 2;
+const HEADER_BYTES = 44;
+const SWEEP_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+class RecordingError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'RecordingError';
+        this.statusCode = statusCode;
+    }
+}
+
+function directory() {
+    return path.join(config.DATA_DIR, 'recordings');
+}
+
+// Call SIDs become file names, so nothing but letters and digits
+function fileFor(callSid) {
+    if (!/^[A-Za-z0-9]+$/.test(String(callSid || ''))) throw new RecordingError('Invalid call SID');
+    return path.join(directory(), `${callSid}.wav`);
+}
+
+function isEnabled() {
+    return config.RECORDING_ENABLED;
+}
+
+function wavHeader(dataBytes) {
+    const header = Buffer.alloc(HEADER_BYTES);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(36 + dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(CHANNELS, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE, 28);
+    header.writeUInt16LE(CHANNELS * BYTES_PER_SAMPLE, 32);
+    header.writeUInt16LE(8 * BYTES_PER_SAMPLE, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(dataBytes, 40);
+    return header;
+}
+
+// Start recording a call. Returns null when recording is off or the call
+// already has a recording (a second stream for the same call isn't recorded).
+//   inbound(pcm16)   lead audio as received (drives the timeline)
+//   outbound(pcm16)  agent audio as sent
+//   clear()          drop agent audio that was sent but not yet heard
+//   finish()         close the file; resolves to the recording's metadata
+function createRecorder(callSid) {
+    if (!isEnabled()) return null;
+    const file = fileFor(callSid);
+    fs.mkdirSync(directory(), { recursive: true });
+    if (fs.existsSync(file)) {
+        console.warn('[RECORDING] call', callSid, 'already has a recording - not recording this stream');
+        return null;
+    }
+
+    const out = fs.createWriteStream(file, { flags: 'wx' });
+    out.on('error', err => console.error('[RECORDING] write failed for call', callSid, err && err.message ? err.message : err));
+    out.write(wavHeader(0));
+    const startedAt = new Date().toISOString();
+    let dataBytes = 0;
+    let queue = [];
+    let finished = null;
+    console.log('[RECORDING] recording call', callSid);
+
+    // The next `bytes` of queued agent audio, padded with silence
+    function takeOutbound(bytes) {
+        const chunk = Buffer.alloc(bytes);
+        let filled = 0;
+        while (filled < bytes && queue.length) {
+            const head = queue[0];
+            const n = Math.min(head.length, bytes - filled);
+            head.copy(chunk, filled, 0, n);
+            filled += n;
+            if (n === head.length) queue.shift();
+            else queue[0] = head.slice(n);
+        }
+        return chunk;
+    }
+
+    return {
+        inbound(pcm16) {
+            if (finished || !pcm16 || !pcm16.length) return;
+            const agent = takeOutbound(pcm16.length);
+            const frame = Buffer.alloc(pcm16.length * CHANNELS);
+            for (let i = 0; i < pcm16.length; i += BYTES_PER_SAMPLE) {
+                frame.writeInt16LE(pcm16.readInt16LE(i), i * CHANNELS);
+                frame.writeInt16LE(agent.readInt16LE(i), i * CHANNELS + BYTES_PER_SAMPLE);
+            }
+            dataBytes += frame.length;
+            out.write(frame);
+        },
+        outbound(pcm16) {
+            if (finished || !pcm16 || !pcm16.length) return;
+            queue.push(Buffer.from(pcm16));
+        },
+        clear() {
+            queue = [];
+        },
+        finish() {
+            if (finished) return finished;
+            finished = new Promise((resolve) => {
+                queue = [];
+                out.end(() => {
+                    try {
+                        // Now that the length is known, fill in the header
+                        const fd = fs.openSync(file, 'r+');
+                        fs.writeSync(fd, wavHeader(dataBytes), 0, HEADER_BYTES, 0);
+                        fs.closeSync(fd);
+                    } catch (err) {
+                        console.error('[RECORDING] could not finish the recording of call', callSid, err && err.message ? err.message : err);
+                    }
+                    const durationSeconds = Math.round((dataBytes / (SAMPLE_RATE * CHANNELS * BYTES_PER_SAMPLE)) * 10) / 10;
+                    console.log('[RECORDING] saved call', callSid, '-', durationSeconds, 's');
+                    resolve({
+                        status: 'completed',
+                        startedAt,
+                        endedAt: new Date().toISOString(),
+                        durationSeconds,
+                        bytes: HEADER_BYTES + dataBytes,
+                        channels: ['lead', 'agent'],
+                        deletedAt: null
+                    });
+                });
+            });
+            return finished;
+        }
+    };
+}
+
+// The sentence the greeting opens with, or '' when recording or the disclosure is off
+function disclosure() {
+    return isEnabled() ? config.RECORDING_DISCLOSURE : '';
+}
+
+// Greeting sentences with the disclosure after the first one (the introduction)
+function withDisclosure(sentences) {
+    const line = disclosure();
+    if (!line || !sentences.length) return sentences;
+    return [sentences[0], line, ...sentences.slice(1)];
+}
+
+// Throws unless the request carries `Authorization: Bearer <RECORDING_ACCESS_TOKEN>`.
+// Only the header is accepted so the token never ends up in logged URLs.
+function authorize(req) {
+    if (!config.RECORDING_ACCESS_TOKEN) throw new RecordingError('Recording downloads are disabled (set RECORDING_ACCESS_TOKEN)', 403);
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    if (!match || !crypto.timingSafeEqual(digest(match[1].trim()), digest(config.RECORDING_ACCESS_TOKEN))) {
+        throw new RecordingError('A valid recording access token is required', 401);
+    }
+}
+
+// The file to serve for a call, or a RecordingError (404 / 409 / 410)
+function fileForDownload(callSid) {
+    const call = store.calls.get(callSid);
+    const recording = call && call.recording;
+    if (!recording) throw new RecordingError('No recording for this call', 404);
+    if (recording.deletedAt) throw new RecordingError('The recording was deleted after the retention period', 410);
+    if (recording.status === 'recording') throw new RecordingError('The call is still being recorded', 409);
+    const file = fileFor(callSid);
+    if (!fs.existsSync(file)) throw new RecordingError('The recording file is missing', 404);
+    return file;
+}
+
+// Delete recordings older than RECORDING_RETENTION_DAYS (0 = keep forever)
+function sweep(now = Date.now()) {
+    if (!config.RECORDING_RETENTION_DAYS) return 0;
+    const dir = directory();
+    if (!fs.existsSync(dir)) return 0;
+    const cutoff = now - config.RECORDING_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    let deleted = 0;
+    fs.readdirSync(dir).filter(name => name.endsWith('.wav')).forEach((name) => {
+        const file = path.join(dir, name);
+        try {
+            if (fs.statSync(file).mtimeMs >= cutoff) return;
+            fs.unlinkSync(file);
+            deleted++;
+            const callSid = name.slice(0, -4);
+            const call = store.calls.get(callSid);
+            if (call && call.recording) store.calls.update(callSid, { recording: Object.assign({}, call.recording, { deletedAt: new Date(now).toISOString() }) });
+        } catch (err) {
+            console.error('[RECORDING] could not delete', name, err && err.message ? err.message : err);
+        }
+    });
+    if (deleted) console.log('[RECORDING] deleted', deleted, `recording(s) older than ${config.RECORDING_RETENTION_DAYS} days`);
+    return deleted;
+}
+
+let sweepTimer = null;
+
+function startRetention() {
+    sweep();
+    if (sweepTimer || !config.RECORDING_RETENTION_DAYS) return;
+    sweepTimer = setInterval(() => sweep(), SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+}
+
+module.exports = {
+    RecordingError,
+    isEnabled,
+    createRecorder,
+    disclosure,
+    withDisclosure,
+    authorize,
+    fileForDownload,
+    sweep,
+    startRetention
+};
@@ -0,0 +1,308 @@
+const config = require('./config');
+const store = require('./store');
+
+// Call scripts (personas).
+//
+// A script is what the agent says and how: agent name, company, pitch,
+// objection guidance, greeting template, closing lines, silence reprompts,
+// voice and voicemail message. Scripts live in store.scripts and are versioned: every edit appends
+// an immutable version, and each call records the { id, version } it was
+// dialed with, so a transcript can always be read against the exact script
+// that produced it. Campaigns pick a script (settings.scriptId); calls made
+// without one use the built-in 'default' script.
+//
+// The greeting is a template. Lead variables: {name}, {firstName}, {company},
+// {title}. Script variables: {agentName}, {agentCompany}. {availability} is
+// the closing question: two open times when calendars are configured (see
+// calendar/), "Does later this week work for you?" otherwise.
+
+const DEFAULT_SCRIPT_ID = 'default';
+
+const GREETING_VARIABLES = ['name', 'firstName', 'company', 'title', 'agentName', 'agentCompany', 'availability'];
+
+// Text fields and their size limits; closings and voice are objects
+const TEXT_FIELDS = { agentName: 60, company: 100, pitch: 4000, objectionGuidance: 4000, greeting: 1000, reprompt: 300, finalReprompt: 300, voicemailMessage: 1000 };
+const CLOSING_FIELDS = ['booked', 'declined', 'callback', 'transfer', 'noResponse'];
+const VOICE_FIELDS = ['languageCode', 'name', 'gender', 'speakingRate'];
+
+const DEFAULT_AVAILABILITY_QUESTION = 'Does later this week work for you?';
+
+const DEFAULT_SCRIPT = {
+    agentName: 'Alex',
+    company: 'Alta',
+    pitch: [
+        '- We automate outbound calling and meeting booking for sales teams',
+        '- We help companies scale their outreach without hiring more staff',
+        "- Our system books qualified meetings directly into account managers' calendars"
+    ].join('\n'),
+    objectionGuidance: [
+        '- Handle objections gracefully (offer different times, ask what would work better)',
+        "- If they say they're busy, ask for a better time to call back",
+        "- If they're interested, ask for their preferred day/time this week or next"
+    ].join('\n'),
+    greeting: "Hi {name}, this is {agentName} calling from {agentCompany}. We help companies automate their outbound calling and booking processes. I'd love to schedule a quick 15-minute call with one of our senior account managers to show you how we can help. {availability}",
+    // Said when the lead goes quiet: `reprompt` first, `finalReprompt` after that
+    reprompt: 'Hello, are you still there?',
+    finalReprompt: "Sorry, I can't hear you. If you can hear me, just say something.",
+    closings: {
+        booked: "Perfect, you're all set. You'll get a calendar invite shortly. Have a great day!",
+        declined: 'No problem, have a great day.',
+        callback: "No problem, I'll call you back then. Talk soon!",
+        transfer: 'Of course, let me connect you with someone from our team. One moment please.',
+        noResponse: "It seems I can't hear you, so I'll try you again another time. Goodbye!"
+    },
+    voice: {},
+    voicemailMessage: ''
+};
+
+class ScriptError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ScriptError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Validate user-supplied script fields over `current` (the latest version)
+function normalizeContent(input = {}, current = DEFAULT_SCRIPT) {
+    const content = JSON.parse(JSON.stringify({
+        agentName: current.agentName,
+        company: current.company,
+        pitch: current.pitch,
+        objectionGuidance: current.objectionGuidance,
+        greeting: current.greeting,
+        reprompt: current.reprompt,
+        finalReprompt: current.finalReprompt,
+        closings: current.closings,
+        voice: current.voice,
+        voicemailMessage: current.voicemailMessage
+    }));
+
+    Object.entries(TEXT_FIELDS).forEach(([field, max]) => {
+        if (input[field] === undefined) return;
+        if (typeof input[field] !== 'string') throw new ScriptError(`${field} must be a string`);
+        const value = input[field].trim();
+        if (value.length > max) throw new ScriptError(`${field} must be at most ${max} characters`);
+        content[field] = value;
+    });
+    ['agentName', 'company', 'greeting'].forEach(field => {
+        if (!content[field]) throw new ScriptError(`${field} is required`);
+    });
+    const unknown = (content.greeting.match(/\{(\w+)\}/g) || []).map(v => v.slice(1, -1)).filter(v => !GREETING_VARIABLES.includes(v));
+    if (unknown.length) {
+        throw new ScriptError(`Unknown greeting variable(s) ${unknown.map(v => `{${v}}`).join(', ')} (available: ${GREETING_VARIABLES.map(v => `{${v}}`).join(', ')})`);
+    }
+
+    if (input.closings !== undefined) {
+        if (!input.closings || typeof input.closings !== 'object') throw new ScriptError('closings must be an object');
+        CLOSING_FIELDS.forEach(field => {
+            if (input.closings[field] === undefined) return;
+            if (typeof input.closings[field] !== 'string' || !input.closings[field].trim()) throw new ScriptError(`closings.${field} must be a non-empty string`);
+            content.closings[field] = input.closings[field].trim();
+        });
+    }
+
+    if (input.voice !== undefined) {
+        if (!input.voice || typeof input.voice !== 'object') throw new ScriptError('voice must be an object');
+        const voice = {};
+        VOICE_FIELDS.forEach(field => {
+            const value = input.voice[field];
+            if (value === undefined || value === null || value === '') return;
+            if (field === 'speakingRate') {
+                const rate = Number(value);
+                if (!Number.isFinite(rate) || rate < 0.25 || rate > 4) throw new ScriptError('voice.speakingRate must be between 0.25 and 4');
+                voice.speakingRate = rate;
+            } else if (field === 'gender') {
+                const gender = String(value).toUpperCase();
+                if (!['MALE', 'FEMALE', 'NEUTRAL'].includes(gender)) throw new ScriptError('voice.gender must be MALE, FEMALE or NEUTRAL');
+                voice.gender = gender;
+            } else {
+                voice[field] = String(value).trim();
+            }
+        });
+        content.voice = voice;
+    }
+    return content;
+}
+
+function latest(script) {
+    return script.versions[script.versions.length - 1];
+}
+
+// List/summary view: the script with its current version's content
+function view(script) {
+    const current = latest(script);
+    return Object.assign({ id: script.id, name: script.name, version: script.version, versions: script.versions.length, createdAt: script.createdAt, updatedAt: script.updatedAt }, current);
+}
+
+function getOrThrow(id) {
+    const script = store.scripts.get(id);
+    if (!script) throw new ScriptError('Script not found', 404);
+    return script;
+}
+
+// The built-in script is recreated if it is missing so calls always have one
+function ensureDefault() {
+    if (store.scripts.has(DEFAULT_SCRIPT_ID)) return;
+    const now = new Date().toISOString();
+    store.scripts.upsert({
+        id: DEFAULT_SCRIPT_ID,
+        name: 'Default',
+        version: 1,
+        versions: [Object.assign({ version: 1, createdAt: now }, normalizeContent({}, DEFAULT_SCRIPT))]
+    });
+    console.log('[SCRIPTS] created the default script');
+}
+
+function list() {
+    ensureDefault();
+    return store.scripts.list().sort((a, b) => a.createdAt.localeCompare(b.createdAt)).map(view);
+}
+
+function get(id) {
+    ensureDefault();
+    return getOrThrow(id);
+}
+
+function create({ name, ...fields } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) throw new ScriptError('name is required');
+    const content = normalizeContent(fields, get(DEFAULT_SCRIPT_ID).versions.slice(-1)[0]);
+    const script = store.scripts.upsert({
+        name: name.trim(),
+        version: 1,
+        versions: [Object.assign({ version: 1, createdAt: new Date().toISOString() }, content)]
+    });
+    console.log('[SCRIPTS] created', script.id, script.name);
+    return view(script);
+}
+
+// Save an edit as a new version. Renaming alone doesn't create a version.
+function update(id, { name, ...fields } = {}) {
+    const script = get(id);
+    const patch = {};
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) throw new ScriptError('name must be a non-empty string');
+        patch.name = name.trim();
+    }
+    const current = latest(script);
+    const content = normalizeContent(fields, current);
+    const { version, createdAt, ...currentContent } = current;
+    if (JSON.stringify(content) !== JSON.stringify(currentContent)) {
+        const next = script.version + 1;
+        patch.version = next;
+        patch.versions = script.versions.concat(Object.assign({ version: next, createdAt: new Date().toISOString() }, content));
+        console.log('[SCRIPTS]', id, 'saved as version', next);
+    }
+    return view(Object.keys(patch).length ? store.scripts.update(id, patch) : script);
+}
+
+// A specific version (what a past call used), with the script's id and name
+function getVersion(id, version) {
+    const script = get(id);
+    const entry = script.versions.find(v => v.version === Number(version));
+    if (!entry) throw new ScriptError(`Script ${id} has no version ${version}`, 404);
+    return Object.assign({ id: script.id, name: script.name }, entry);
+}
+
+// The version a new call should use: the latest of `id` (default script if none)
+function resolve(id) {
+    const script = get(id || DEFAULT_SCRIPT_ID);
+    return getVersion(script.id, script.version);
+}
+
+function firstName(name) {
+    return String(name || '').trim().split(/\s+/)[0] || '';
+}
+
+function render(template, vars) {
+    return template.replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : '')).replace(/\s{2,}/g, ' ').trim();
+}
+
+// The greeting as sentences, each rendered on its own. Sentences without lead
+// variables come out the same on every call, so their audio is served from the
+// TTS phrase cache; only the personal ones are synthesized per call.
+function greetingSentences(script, lead = {}, availability = DEFAULT_AVAILABILITY_QUESTION) {
+    const vars = {
+        name: lead.name || '',
+        firstName: firstName(lead.name),
+        company: lead.company || '',
+        title: lead.title || '',
+        agentName: script.agentName,
+        agentCompany: script.company,
+        availability
+    };
+    return splitSentences(script.greeting).map(s => render(s, vars)).filter(Boolean);
+}
+
+function splitSentences(text) {
+    return String(text).split(/(?<=[.!?])\s+/).filter(Boolean);
+}
+
+// Greeting sentences that don't depend on the lead (pre-synthesized at startup)
+function staticGreetingSentences(script) {
+    const leadVars = /\{(name|firstName|company|title|availability)\}/;
+    return splitSentences(script.greeting).filter(s => !leadVars.test(s)).map(s => render(s, { agentName: script.agentName, agentCompany: script.company }));
+}
+
+function voicemailMessage(script) {
+    return (script && script.voicemailMessage) || config.VOICEMAIL_MESSAGE;
+}
+
+// What the agent says after the lead's `count`th silence. Empty fields, and
+// scripts saved before reprompts existed, use the default lines.
+function repromptLine(script, count) {
+    const field = count > 1 ? 'finalReprompt' : 'reprompt';
+    return (script && script[field]) || DEFAULT_SCRIPT[field];
+}
+
+// Goodbye when the lead never answers the reprompts
+function noResponseLine(script) {
+    return (script && script.closings && script.closings.noResponse) || DEFAULT_SCRIPT.closings.noResponse;
+}
+
+// System instruction for the conversation model. The HANGUP (and, with warm
+// transfers on, TRANSFER) protocol is fixed here; everything about the persona
+// comes from the script. Scripts saved before the transfer closing existed use
+// the default one.
+function systemPrompt(script, meetingMinutes, { transfer = false } = {}) {
+    const transferRule = transfer
+        ? `\n\nHanding over to a person (finish your last line with TRANSFER instead of HANGUP):
+- If the lead asks to talk to a real person, or asks detailed questions you can't answer (exact pricing, contract terms), tell them you're connecting them, e.g. "${script.closings.transfer || DEFAULT_SCRIPT.closings.transfer}" then respond with TRANSFER`
+        : '';
+    return `You are "${script.agentName}," a professional AI sales agent for ${script.company}. Your ONLY goal is to schedule a ${meetingMinutes}-minute demo meeting with a senior account manager.
+
+Key points about ${script.company}:
+${script.pitch}
+
+Your conversation style:
+- Keep responses SHORT (1-2 sentences max)
+- Be friendly but professional
+${script.objectionGuidance}
+
+Ending the call (finish your last line with HANGUP):
+- When you successfully get a time commitment, confirm it, e.g. "${script.closings.booked}" then respond with HANGUP
+- If they ask to be called back and say when, confirm it, e.g. "${script.closings.callback}" then respond with HANGUP
+- If they explicitly decline or get hostile, politely end: "${script.closings.declined}" then respond with HANGUP${transferRule}
+
+Remember: Your goal is to GET A SPECIFIC TIME for the meeting, not to pitch the product.`;
+}
+
+module.exports = {
+    DEFAULT_SCRIPT_ID,
+    DEFAULT_SCRIPT,
+    DEFAULT_AVAILABILITY_QUESTION,
+    GREETING_VARIABLES,
+    ScriptError,
+    list,
+    get,
+    create,
+    update,
+    getVersion,
+    resolve,
+    greetingSentences,
+    staticGreetingSentences,
+    voicemailMessage,
+    repromptLine,
+    noResponseLine,
+    systemPrompt
+};
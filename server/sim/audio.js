@@ -0,0 +1,122 @@
+const fs = require('fs');
+
+// Audio helpers for the simulator: G.711 mu-law, WAV files and test tones.
+//
+// Everything on a Twilio media stream is 8 kHz mono mu-law in 20 ms frames
+// (160 bytes). Caller WAV files must be 8 kHz mono, either mu-law or 16-bit
+// PCM; captured calls are written as 2-channel mu-law WAV (left = lead,
+// right = agent) so any audio player can open them.
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+const MULAW_SILENCE = 0xff;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_MULAW = 7;
+
+function linearToMuLaw(sample) {
+    const BIAS = 0x84;
+    const CLIP = 32635;
+    const sign = sample < 0 ? 0x80 : 0x00;
+    let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+    let exponent = 7;
+    for (let mask = 0x4000; exponent > 0 && (magnitude & mask) === 0; mask >>= 1) exponent--;
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+function pcm16ToMuLaw(pcm16) {
+    const out = Buffer.alloc(pcm16.length / 2);
+    for (let i = 0; i < out.length; i++) out[i] = linearToMuLaw(pcm16.readInt16LE(i * 2));
+    return out;
+}
+
+function silence(ms) {
+    return Buffer.alloc(Math.round((ms / 1000) * SAMPLE_RATE), MULAW_SILENCE);
+}
+
+// A quiet tone standing in for the lead's voice while a scripted utterance is
+// "spoken", so recordings and monitors hear when the lead talks
+function tone(ms, freq = 220, amplitude = 3000) {
+    const samples = Math.round((ms / 1000) * SAMPLE_RATE);
+    const out = Buffer.alloc(samples);
+    for (let i = 0; i < samples; i++) {
+        out[i] = linearToMuLaw(Math.round(amplitude * Math.sin((2 * Math.PI * freq * i) / SAMPLE_RATE)));
+    }
+    return out;
+}
+
+// Read a WAV file as 8 kHz mono mu-law
+function readWav(file) {
+    const buf = fs.readFileSync(file);
+    if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+        throw new Error(`${file} is not a WAV file`);
+    }
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= buf.length) {
+        const id = buf.toString('ascii', offset, offset + 4);
+        const size = buf.readUInt32LE(offset + 4);
+        const body = buf.slice(offset + 8, offset + 8 + size);
+        if (id === 'fmt ') {
+            format = {
+                audioFormat: body.readUInt16LE(0),
+                channels: body.readUInt16LE(2),
+                sampleRate: body.readUInt32LE(4),
+                bitsPerSample: body.readUInt16LE(14)
+            };
+        } else if (id === 'data') {
+            if (!format) throw new Error(`${file}: data chunk before fmt chunk`);
+            if (format.channels !== 1 || format.sampleRate !== SAMPLE_RATE) {
+                throw new Error(`${file} must be 8 kHz mono (got ${format.sampleRate} Hz, ${format.channels} channel(s))`);
+            }
+            if (format.audioFormat === WAVE_FORMAT_MULAW) return Buffer.from(body);
+            if (format.audioFormat === WAVE_FORMAT_PCM && format.bitsPerSample === 16) return pcm16ToMuLaw(body);
+            throw new Error(`${file} must be mu-law or 16-bit PCM (format ${format.audioFormat}, ${format.bitsPerSample} bits)`);
+        }
+        offset += 8 + size + (size % 2);
+    }
+    throw new Error(`${file} has no data chunk`);
+}
+
+// Write interleaved mu-law channels (equal-length Buffers) as a WAV file
+function writeWav(file, channels) {
+    const length = Math.max(...channels.map(c => c.length));
+    const data = Buffer.alloc(length * channels.length, MULAW_SILENCE);
+    channels.forEach((channel, c) => {
+        for (let i = 0; i < channel.length; i++) data[i * channels.length + c] = channel[i];
+    });
+    // WAVE_FORMAT_MULAW uses an 18-byte fmt chunk (cbSize = 0) and a fact chunk
+    const header = Buffer.alloc(58);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(50 + data.length, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(18, 16);
+    header.writeUInt16LE(WAVE_FORMAT_MULAW, 20);
+    header.writeUInt16LE(channels.length, 22);
+    header.writeUInt32LE(SAMPLE_RATE, 24);
+    header.writeUInt32LE(SAMPLE_RATE * channels.length, 28);
+    header.writeUInt16LE(channels.length, 32);
+    header.writeUInt16LE(8, 34);
+    header.writeUInt16LE(0, 36);
+    header.write('fact', 38, 'ascii');
+    header.writeUInt32LE(4, 42);
+    header.writeUInt32LE(length, 46);
+    header.write('data', 50, 'ascii');
+    header.writeUInt32LE(data.length, 54);
+    fs.writeFileSync(file, Buffer.concat([header, data]));
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    FRAME_BYTES,
+    FRAME_MS,
+    MULAW_SILENCE,
+    pcm16ToMuLaw,
+    silence,
+    tone,
+    readWav,
+    writeWav
+};
@@ -0,0 +1,222 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+
+const audio = require('./audio');
+
+// The Twilio side of a Media Streams WebSocket (what /audio talks to).
+//
+// Sends 'connected' and 'start' (with the <Parameter>s from the TwiML), then
+// one 20 ms 'media' frame of caller audio every 20 ms of wall time, like a live
+// call: queued caller audio when there is some, silence otherwise. 'dtmf' and
+// 'stop' are sent on request.
+//
+// Outbound audio is played back in real time too: each tick plays one queued
+// agent frame. Marks are echoed once the audio queued before them has played,
+// and 'clear' drops unplayed audio and echoes pending marks, as Twilio does.
+// Cues (dtmf, hangup) run when the timeline reaches their time.
+// Both tracks are kept on the same timeline for writing a stereo WAV.
+//
+// Events: 'open', 'agent-audio' (first frame of each agent burst, with its
+// time), 'closed' { code, reason }, 'error'.
+
+function sid(prefix) {
+    return prefix + crypto.randomBytes(16).toString('hex');
+}
+
+class MediaStreamClient extends EventEmitter {
+    constructor({ url, accountSid, callSid, customParameters = {} }) {
+        super();
+        this.url = url;
+        this.accountSid = accountSid;
+        this.callSid = callSid;
+        this.streamSid = sid('MZ');
+        this.customParameters = customParameters;
+
+        this.sequence = 0;
+        this.ticks = 0;             // 20 ms frames sent so far (the call timeline)
+        this.callerQueue = [];      // mu-law frames waiting to be sent
+        this.outbound = [];         // { frame } or { mark } in playback order
+        this.callerTrack = [];
+        this.agentTrack = [];
+        this.agentFrames = 0;
+        this.marksEchoed = 0;
+        this.clears = 0;
+        this.agentSpeaking = false;
+        this.cues = [];             // { atMs, fn } sorted by time
+        this.stopped = false;
+        this.timer = null;
+    }
+
+    // Milliseconds of call audio so far
+    get elapsedMs() {
+        return this.ticks * audio.FRAME_MS;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            this.ws = new WebSocket(this.url);
+            this.ws.once('error', reject);
+            this.ws.on('open', () => {
+                this.ws.removeListener('error', reject);
+                this.ws.on('error', err => this.emit('error', err));
+                this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+                this.send({
+                    event: 'start',
+                    sequenceNumber: String(++this.sequence),
+                    start: {
+                        accountSid: this.accountSid,
+                        streamSid: this.streamSid,
+                        callSid: this.callSid,
+                        tracks: ['inbound'],
+                        customParameters: this.customParameters,
+                        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: audio.SAMPLE_RATE, channels: 1 }
+                    },
+                    streamSid: this.streamSid
+                });
+                this.startClock();
+                this.emit('open');
+                resolve();
+            });
+            this.ws.on('message', data => this.onMessage(data));
+            this.ws.on('close', (code, reason) => {
+                this.stopClock();
+                this.stopped = true;
+                this.emit('closed', { code, reason: reason ? reason.toString() : '' });
+            });
+        });
+    }
+
+    send(message) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        this.ws.send(JSON.stringify(message));
+    }
+
+    // Queue caller audio (mu-law); it goes out frame by frame from the next tick
+    play(muLaw) {
+        for (let offset = 0; offset < muLaw.length; offset += audio.FRAME_BYTES) {
+            const frame = Buffer.alloc(audio.FRAME_BYTES, audio.MULAW_SILENCE);
+            muLaw.copy(frame, 0, offset, Math.min(offset + audio.FRAME_BYTES, muLaw.length));
+            this.callerQueue.push(frame);
+        }
+    }
+
+    // Run fn once the call timeline reaches atMs
+    schedule(atMs, fn) {
+        this.cues.push({ atMs, fn });
+        this.cues.sort((a, b) => a.atMs - b.atMs);
+    }
+
+    dtmf(digit) {
+        this.send({ event: 'dtmf', streamSid: this.streamSid, sequenceNumber: String(++this.sequence), dtmf: { track: 'inbound_track', digit: String(digit) } });
+    }
+
+    // The call leg ended (hangup or redirect): send 'stop' and close the socket
+    stop() {
+        if (this.stopped) return;
+        this.stopped = true;
+        this.stopClock();
+        this.send({ event: 'stop', sequenceNumber: String(++this.sequence), streamSid: this.streamSid, stop: { accountSid: this.accountSid, callSid: this.callSid } });
+        try { this.ws.close(1000); } catch (e) { }
+    }
+
+    // Self-correcting 20 ms clock: late ticks are caught up, so the audio
+    // timeline tracks wall time like a real call
+    startClock() {
+        const startedAt = Date.now();
+        const tick = () => {
+            if (this.stopped) return;
+            const due = Math.floor((Date.now() - startedAt) / audio.FRAME_MS) + 1;
+            while (this.ticks < due && !this.stopped) this.step();
+            this.timer = setTimeout(tick, Math.max(0, startedAt + this.ticks * audio.FRAME_MS - Date.now()));
+        };
+        tick();
+    }
+
+    stopClock() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    step() {
+        const frame = this.callerQueue.shift() || audio.silence(audio.FRAME_MS);
+        this.callerTrack.push(frame);
+        this.send({
+            event: 'media',
+            sequenceNumber: String(++this.sequence),
+            media: { track: 'inbound', chunk: String(this.ticks + 1), timestamp: String(this.elapsedMs), payload: frame.toString('base64') },
+            streamSid: this.streamSid
+        });
+        this.ticks++;
+        this.playOutbound();
+        while (this.cues.length && this.cues[0].atMs <= this.elapsedMs && !this.stopped) this.cues.shift().fn();
+    }
+
+    // Play one agent frame, echoing any marks that are now reached
+    playOutbound() {
+        this.echoMarks();
+        const next = this.outbound.shift();
+        if (next) {
+            if (!this.agentSpeaking) this.emit('agent-audio', { atMs: this.elapsedMs });
+            this.agentSpeaking = true;
+            this.agentTrack.push(next.frame);
+            this.agentFrames++;
+        } else {
+            this.agentSpeaking = false;
+            this.agentTrack.push(audio.silence(audio.FRAME_MS));
+        }
+        this.echoMarks();
+    }
+
+    echoMarks() {
+        while (this.outbound.length && this.outbound[0].mark) {
+            this.echoMark(this.outbound.shift().mark);
+        }
+    }
+
+    echoMark(name) {
+        this.marksEchoed++;
+        this.send({ event: 'mark', sequenceNumber: String(++this.sequence), streamSid: this.streamSid, mark: { name } });
+    }
+
+    onMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            this.emit('error', new Error('server sent a non-JSON frame (Twilio rejects these with error 31951)'));
+            return;
+        }
+        if (['media', 'mark', 'clear'].includes(message.event) && message.streamSid !== this.streamSid) {
+            this.emit('error', new Error(`server sent '${message.event}' for unknown streamSid ${message.streamSid}`));
+            return;
+        }
+        if (message.event === 'media') {
+            const payload = message.media && message.media.payload;
+            if (!payload) return;
+            const muLaw = Buffer.from(payload, 'base64');
+            for (let offset = 0; offset < muLaw.length; offset += audio.FRAME_BYTES) {
+                const frame = Buffer.alloc(audio.FRAME_BYTES, audio.MULAW_SILENCE);
+                muLaw.copy(frame, 0, offset, Math.min(offset + audio.FRAME_BYTES, muLaw.length));
+                this.outbound.push({ frame });
+            }
+        } else if (message.event === 'mark') {
+            const name = message.mark && message.mark.name;
+            // Nothing left to play: Twilio echoes right away
+            if (!this.outbound.some(item => item.frame)) this.echoMark(name);
+            else this.outbound.push({ mark: name });
+        } else if (message.event === 'clear') {
+            this.clears++;
+            const marks = this.outbound.filter(item => item.mark).map(item => item.mark);
+            this.outbound = [];
+            marks.forEach(name => this.echoMark(name));
+        }
+    }
+
+    // Caller (left) and agent (right) audio as it was heard on the call
+    tracks() {
+        return [Buffer.concat(this.callerTrack), Buffer.concat(this.agentTrack)];
+    }
+}
+
+module.exports = { MediaStreamClient, sid };
@@ -0,0 +1,462 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const fetch = require('node-fetch');
+
+const audio = require('./audio');
+const { createTwilioStub } = require('./twilio-stub');
+
+// Offline end-to-end call simulator.
+//
+// Runs a scenario against the real server with no network: the server is
+// started as a child process with the mock STT/TTS/LLM providers and its
+// Twilio client pointed at the stub (twilio-stub.js), which places the call,
+// fetches /twiml and streams audio to /audio like Twilio does. Afterwards the
+// call record, the dashboard events and the captured audio are checked
+// against the scenario's expectations.
+//
+//   node sim/run.js [--out dir] [--verbose] [scenario.json | dir ...]
+//
+// With no paths every scenario in sim/scenarios is run. --out keeps each
+// call's server log, its GET /calls/:sid detail and a stereo WAV (left = lead,
+// right = agent). The exit code is 1 if any scenario fails. runScenario() can
+// be required from a test runner instead.
+//
+// Scenario (JSON):
+//   name        shown in the report (default: the file name)
+//   lead        { name, phone, company, title, notes, customFields }
+//   answer      'human' (default) | 'machine' | 'no-answer' | 'busy' | 'failed'
+//   caller      what the lead does, in order; afterMs counts from the end of
+//               the previous entry (default STT_MOCK_GAP_MS for speech, else 0):
+//                 { say: 'text', afterMs, confidence } heard by the mock STT
+//                 { wav: 'file.wav', afterMs, say } streamed audio (8 kHz mono);
+//                                                  `say` is what the mock STT
+//                                                  hears as the clip ends
+//                 { dtmf: '9', afterMs }           keypad press
+//                 { hangup: true, afterMs }        the lead hangs up
+//   agent       LLM_MOCK_SCRIPT entries (strings or { text, delayMs, error })
+//   extraction  the JSON outcome extraction returns (LLM_MOCK_OUTCOME);
+//               omitted = the regex fallback runs
+//   dial        result of a <Dial>/<Enqueue> the call is redirected to
+//               ('completed' default, 'no-answer', 'busy', 'failed')
+//   env         extra server environment (e.g. TRANSFER_TARGET)
+//   timeoutSeconds  give up after this long (default 60)
+//   expect      checks on the finished call:
+//                 status, hangupReason, answeredBy   exact values
+//                 outcome      type string, or an object matched field by field
+//                 agentSaid    substrings of what the agent said
+//                 heard        substrings of the lead's final transcripts
+//                 dnc          true if the lead must be on the do-not-call list
+//                 redirect     'Dial' | 'Enqueue' | null (where Twilio was sent)
+//                 interrupted  true if the agent must have been cut off (barge-in)
+//                 transcript   the speakers of the stored transcript in
+//                              order, e.g. ['agent', 'lead', 'agent']
+//                 recording    true if GET /calls/:sid/recording must serve a
+//                              stereo WAV with audio (needs RECORDING_ENABLED
+//                              in env), false if there must be none
+
+const SERVER_DIR = path.join(__dirname, '..');
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const SERVER_START_TIMEOUT_MS = 15000;
+// How long the call record may take to settle after Twilio reports completed
+const SETTLE_TIMEOUT_MS = 3000;
+const DEFAULT_TIMEOUT_SECONDS = 60;
+// Mock STT pacing (stt/mock.js): one word per 250 ms of caller audio
+const MOCK_MS_PER_WORD = 250;
+const DEFAULT_SPEECH_GAP_MS = 2000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const srv = net.createServer();
+        srv.once('error', reject);
+        srv.listen(0, '127.0.0.1', () => {
+            const { port } = srv.address();
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Lay the caller entries out on the call's audio timeline. Returns the audio
+// to stream, the mock STT script (its afterMs is measured from the previous
+// utterance's end) and the timed dtmf/hangup cues.
+function buildCallerTimeline(entries, baseDir) {
+    let audioOut = Buffer.alloc(0);
+    const sttScript = [];
+    const cues = [];
+    let cursorMs = 0;       // end of the previous entry
+    let lastHeardEndMs = 0; // end of the previous utterance, as the mock STT counts
+
+    const placeAudio = (startMs, muLaw) => {
+        const startByte = Math.round((startMs / 1000) * audio.SAMPLE_RATE);
+        if (audioOut.length < startByte) audioOut = Buffer.concat([audioOut, audio.silence(((startByte - audioOut.length) / audio.SAMPLE_RATE) * 1000)]);
+        audioOut = Buffer.concat([audioOut.slice(0, startByte), muLaw, audioOut.slice(startByte + muLaw.length)]);
+    };
+    const addUtterance = (text, heardAtMs, confidence) => {
+        const words = text.split(/\s+/).filter(Boolean).length;
+        const heardAt = Math.max(heardAtMs, lastHeardEndMs);
+        sttScript.push({ text, afterMs: heardAt - lastHeardEndMs, ...(confidence != null ? { confidence } : {}) });
+        lastHeardEndMs = heardAt + words * MOCK_MS_PER_WORD;
+        return { heardAt, endMs: lastHeardEndMs };
+    };
+
+    (entries || []).forEach((entry, i) => {
+        const where = `caller[${i}]`;
+        if (entry.wav) {
+            const clip = audio.readWav(path.resolve(baseDir, entry.wav));
+            const startMs = cursorMs + (entry.afterMs || 0);
+            const endMs = startMs + (clip.length / audio.SAMPLE_RATE) * 1000;
+            placeAudio(startMs, clip);
+            if (entry.say) {
+                const words = entry.say.split(/\s+/).filter(Boolean).length;
+                addUtterance(entry.say, endMs - words * MOCK_MS_PER_WORD, entry.confidence);
+            }
+            cursorMs = Math.max(endMs, lastHeardEndMs);
+        } else if (entry.say) {
+            const startMs = cursorMs + (entry.afterMs != null ? entry.afterMs : DEFAULT_SPEECH_GAP_MS);
+            const { heardAt, endMs } = addUtterance(entry.say, startMs, entry.confidence);
+            placeAudio(heardAt, audio.tone(endMs - heardAt));
+            cursorMs = endMs;
+        } else if (entry.dtmf != null) {
+            cursorMs += entry.afterMs || 0;
+            cues.push({ atMs: cursorMs, type: 'dtmf', digit: String(entry.dtmf) });
+        } else if (entry.hangup) {
+            cursorMs += entry.afterMs || 0;
+            cues.push({ atMs: cursorMs, type: 'hangup' });
+        } else {
+            throw new Error(`${where} needs say, wav, dtmf or hangup`);
+        }
+    });
+    return { audio: audioOut, sttScript, cues };
+}
+
+// Read the dashboard event stream (/events) into an array
+function collectEvents(baseUrl) {
+    const collected = [];
+    const req = http.get(`${baseUrl}/events`, (res) => {
+        res.setEncoding('utf8');
+        let buffer = '';
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n\n')) >= 0) {
+                const block = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                const type = (block.match(/^event: (.*)$/m) || [])[1];
+                const data = (block.match(/^data: (.*)$/m) || [])[1];
+                if (type && data) {
+                    try { collected.push({ type, data: JSON.parse(data) }); } catch (e) { }
+                }
+            }
+        });
+    });
+    req.on('error', () => { });
+    return { events: collected, close: () => req.destroy() };
+}
+
+async function waitForServer(baseUrl, child) {
+    const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) throw new Error(`server exited during startup (code ${child.exitCode})`);
+        try {
+            const resp = await fetch(`${baseUrl}/calls-status`);
+            if (resp.ok) return;
+        } catch (e) { }
+        await delay(200);
+    }
+    throw new Error('server did not start in time');
+}
+
+async function api(baseUrl, method, route, body, headers = {}) {
+    const resp = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: Object.assign(body ? { 'Content-Type': 'application/json' } : {}, headers),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(`${method} ${route} failed with ${resp.status}: ${data && data.error ? data.error : ''}`);
+    return data;
+}
+
+function includesAll(haystack, needles) {
+    const text = haystack.join(' \n ').toLowerCase();
+    return [].concat(needles).filter(n => !text.includes(String(n).toLowerCase()));
+}
+
+function checkExpectations(expect, result) {
+    const failures = [];
+    const call = result.call || {};
+    const fail = (what, expected, actual) => failures.push(`${what}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+
+    ['status', 'hangupReason', 'answeredBy'].forEach((key) => {
+        if (key in expect && (call[key] || null) !== expect[key]) fail(key, expect[key], call[key] || null);
+    });
+    if ('outcome' in expect) {
+        const outcome = call.outcome || null;
+        if (expect.outcome === null || typeof expect.outcome === 'string') {
+            const type = outcome ? outcome.type : null;
+            if (type !== expect.outcome) fail('outcome.type', expect.outcome, type);
+        } else {
+            Object.entries(expect.outcome).forEach(([key, value]) => {
+                const actual = outcome ? outcome[key] : undefined;
+                if (JSON.stringify(actual) !== JSON.stringify(value)) fail(`outcome.${key}`, value, actual === undefined ? null : actual);
+            });
+        }
+    }
+    if (expect.agentSaid) {
+        includesAll(result.agentLines, expect.agentSaid).forEach(n => failures.push(`agent never said "${n}"`));
+    }
+    if (expect.heard) {
+        includesAll(result.heard, expect.heard).forEach(n => failures.push(`lead transcript never had "${n}"`));
+    }
+    if ('dnc' in expect && result.onDnc !== expect.dnc) fail('dnc', expect.dnc, result.onDnc);
+    if ('redirect' in expect) {
+        const verb = result.redirects.length ? result.redirects[0].verb : null;
+        if (verb !== expect.redirect) fail('redirect', expect.redirect, verb);
+    }
+    if ('interrupted' in expect && (result.clears > 0) !== expect.interrupted) fail('interrupted', expect.interrupted, result.clears > 0);
+    if (expect.transcript) {
+        const speakers = ((result.detail && result.detail.transcript) || []).map(turn => turn.speaker);
+        if (JSON.stringify(speakers) !== JSON.stringify(expect.transcript)) fail('transcript speakers', expect.transcript, speakers);
+    }
+    if ('recording' in expect) {
+        const recording = result.recording || {};
+        if (!expect.recording && recording.status !== 404) fail('recording download status', 404, recording.status);
+        if (expect.recording) {
+            if (recording.status !== 200) fail('recording download status', 200, recording.status);
+            else if (!recording.wav || recording.wav.channels !== 2 || !recording.wav.dataBytes) fail('recording', 'a stereo WAV with audio', recording.wav);
+            if (recording.unauthorizedStatus !== 401) fail('recording download without the token', 401, recording.unauthorizedStatus);
+        }
+    }
+    return failures;
+}
+
+// Download a call's recording: { status, unauthorizedStatus, wav: { channels, sampleRate, dataBytes } }.
+// Retried while the server still reports it as being written (409).
+async function fetchRecording(baseUrl, callSid, token) {
+    const url = `${baseUrl}/calls/${callSid}/recording`;
+    const settleBy = Date.now() + SETTLE_TIMEOUT_MS;
+    let resp;
+    do {
+        resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+        if (resp.status !== 409) break;
+        await delay(200);
+    } while (Date.now() < settleBy);
+    const result = { status: resp.status, unauthorizedStatus: (await fetch(url)).status, wav: null };
+    if (resp.status === 200) {
+        const buf = await resp.buffer();
+        if (buf.length >= 44 && buf.toString('ascii', 0, 4) === 'RIFF') {
+            result.wav = { channels: buf.readUInt16LE(22), sampleRate: buf.readUInt32LE(24), dataBytes: buf.readUInt32LE(40) };
+        }
+    }
+    return result;
+}
+
+// Run one scenario end to end. Returns { name, passed, failures, call, ... }.
+// options: { baseDir (for relative wav paths), outDir, verbose }
+async function runScenario(scenario, options = {}) {
+    const name = scenario.name || 'scenario';
+    const baseDir = options.baseDir || process.cwd();
+    const timeline = buildCallerTimeline(scenario.caller, baseDir);
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-sim-'));
+    const accountSid = `AC${crypto.randomBytes(16).toString('hex')}`;
+    const recordingToken = crypto.randomBytes(16).toString('hex');
+
+    const stub = createTwilioStub({
+        accountSid,
+        answer: scenario.answer || 'human',
+        amdDelayMs: scenario.amdDelayMs,
+        dial: scenario.dial || 'completed'
+    });
+    const stubErrors = [];
+    stub.on('error', err => stubErrors.push(err.message));
+    const stubUrl = await stub.listen();
+    const port = await freePort();
+    const baseUrl = `http://127.0.0.1:${port}`;
+
+    fs.writeFileSync(path.join(workDir, 'stt-script.json'), JSON.stringify(timeline.sttScript));
+    fs.writeFileSync(path.join(workDir, 'llm-script.json'), JSON.stringify(scenario.agent || []));
+    const env = {
+        ...process.env,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        PUBLIC_BASE_URL: baseUrl,
+        DATA_DIR: path.join(workDir, 'data'),
+        TWILIO_API_BASE_URL: stubUrl,
+        TWILIO_ACCOUNT_SID: accountSid,
+        TWILIO_AUTH_TOKEN: 'simulator',
+        TWILIO_CALLER_NUMBER: '+15005550006',
+        STT_PROVIDER: 'mock',
+        STT_MOCK_SCRIPT: path.join(workDir, 'stt-script.json'),
+        TTS_PROVIDER: 'mock',
+        LLM_PROVIDER: 'mock',
+        LLM_MOCK_SCRIPT: path.join(workDir, 'llm-script.json'),
+        LLM_MOCK_OUTCOME: scenario.extraction ? JSON.stringify(scenario.extraction) : '',
+        // Dial any time, and keep settings from server/.env out of the run
+        CALLING_WINDOW_START: '00:00',
+        CALLING_WINDOW_END: '23:59',
+        CALLING_BLOCKED_DAYS: '',
+        CALENDAR_MANAGERS_FILE: '',
+        TRANSFER_TARGET: '',
+        SUPERVISOR_ACCESS_TOKEN: '',
+        SUPERVISOR_PHONE: '',
+        RECORDING_ENABLED: 'false',
+        RECORDING_ACCESS_TOKEN: recordingToken,
+        ...(scenario.env || {})
+    };
+
+    const logChunks = [];
+    const child = spawn(process.execPath, ['index.js'], { cwd: SERVER_DIR, env, stdio: ['ignore', 'pipe', 'pipe'] });
+    child.stdout.on('data', chunk => logChunks.push(chunk));
+    child.stderr.on('data', chunk => logChunks.push(chunk));
+    const exited = new Promise(resolve => child.once('exit', resolve));
+
+    let client = null;
+    let events = null;
+    const result = { name, passed: false, failures: [], call: null, detail: null, agentLines: [], heard: [], redirects: [], whispers: [], onDnc: false, clears: 0, agentMs: 0, durationMs: 0 };
+    const started = Date.now();
+    try {
+        await waitForServer(baseUrl, child);
+        events = collectEvents(baseUrl);
+
+        const lead = { name: 'Jane Smith', phone: '+12125550123', company: 'Acme', title: 'Head of Sales', ...(scenario.lead || {}) };
+        const [stored] = await api(baseUrl, 'POST', '/leads', { leads: [lead] });
+
+        stub.on('stream', (call, streamClient) => {
+            client = streamClient;
+            streamClient.play(timeline.audio);
+            timeline.cues.forEach(cue => streamClient.schedule(cue.atMs, () => {
+                if (cue.type === 'dtmf') streamClient.dtmf(cue.digit);
+                else stub.hangUp(call.sid);
+            }));
+            streamClient.on('error', err => stubErrors.push(err.message));
+        });
+        const ended = new Promise(resolve => stub.once('ended', resolve));
+        const { callSid } = await api(baseUrl, 'POST', '/start-call', { leadId: stored.id });
+
+        const timeoutMs = (scenario.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+        const call = await Promise.race([ended, delay(timeoutMs).then(() => null)]);
+        if (!call) {
+            result.failures.push(`call did not end within ${timeoutMs / 1000} s`);
+            stub.hangUp(callSid);
+            await Promise.race([ended, delay(2000)]);
+        }
+
+        // Outcome extraction and webhooks may still be landing
+        const settleBy = Date.now() + SETTLE_TIMEOUT_MS;
+        let record = null;
+        do {
+            const list = await api(baseUrl, 'GET', '/calls-status');
+            record = list.find(c => c.sid === callSid) || null;
+            if (record && record.outcome && ['completed', 'no-answer', 'busy', 'failed', 'canceled'].includes(record.status)) break;
+            await delay(200);
+        } while (Date.now() < settleBy);
+
+        const stubCall = stub.calls.get(callSid);
+        result.call = record;
+        result.detail = await api(baseUrl, 'GET', `/calls/${callSid}`, null, { Authorization: `Bearer ${recordingToken}` });
+        result.redirects = stubCall ? stubCall.redirects : [];
+        result.whispers = stubCall ? stubCall.whispers : [];
+        result.log = stubCall ? stubCall.log : [];
+        result.agentLines = events.events.filter(e => e.type === 'agent').map(e => e.data.text);
+        result.heard = events.events.filter(e => e.type === 'transcript' && e.data.isFinal).map(e => e.data.text);
+        const dncList = await api(baseUrl, 'GET', '/dnc');
+        const digits = String(lead.phone).replace(/\D/g, '');
+        result.onDnc = dncList.some(entry => String(entry.phone).replace(/\D/g, '') === digits);
+        if ('recording' in (scenario.expect || {})) result.recording = await fetchRecording(baseUrl, callSid, recordingToken);
+        if (client) {
+            result.clears = client.clears;
+            result.agentMs = client.agentFrames * audio.FRAME_MS;
+        }
+        result.failures.push(...checkExpectations(scenario.expect || {}, result));
+        result.failures.push(...stubErrors.map(e => `simulator: ${e}`));
+    } catch (err) {
+        result.failures.push(err.message);
+    } finally {
+        result.durationMs = Date.now() - started;
+        if (events) events.close();
+        await stub.close();
+        if (child.exitCode === null) child.kill('SIGTERM');
+        await Promise.race([exited, delay(3000)]);
+        if (child.exitCode === null && child.signalCode === null) child.kill('SIGKILL');
+
+        result.serverLog = Buffer.concat(logChunks).toString('utf8');
+        if (options.outDir) {
+            const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            fs.mkdirSync(options.outDir, { recursive: true });
+            fs.writeFileSync(path.join(options.outDir, `${slug}.log`), result.serverLog);
+            if (result.detail) fs.writeFileSync(path.join(options.outDir, `${slug}.json`), JSON.stringify(result.detail, null, 2));
+            if (client) audio.writeWav(path.join(options.outDir, `${slug}.wav`), client.tracks());
+        }
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    result.passed = result.failures.length === 0;
+    return result;
+}
+
+function loadScenarios(paths) {
+    const files = [];
+    (paths.length ? paths : [SCENARIO_DIR]).forEach((p) => {
+        const full = path.resolve(p);
+        if (fs.statSync(full).isDirectory()) {
+            fs.readdirSync(full).filter(f => f.endsWith('.json')).sort().forEach(f => files.push(path.join(full, f)));
+        } else {
+            files.push(full);
+        }
+    });
+    return files.map((file) => {
+        const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { file, scenario: { name: path.basename(file, '.json'), ...scenario } };
+    });
+}
+
+async function main(argv) {
+    const args = argv.slice(2);
+    const options = { verbose: false, outDir: null };
+    const paths = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--verbose' || args[i] === '-v') options.verbose = true;
+        else if (args[i] === '--out') options.outDir = path.resolve(args[++i]);
+        else paths.push(args[i]);
+    }
+
+    const scenarios = loadScenarios(paths);
+    let failed = 0;
+    for (const { file, scenario } of scenarios) {
+        const result = await runScenario(scenario, { ...options, baseDir: path.dirname(file) });
+        const seconds = (result.durationMs / 1000).toFixed(1);
+        console.log(`[SIM] ${result.name}: ${result.passed ? 'PASS' : 'FAIL'} (${seconds} s, agent spoke ${(result.agentMs / 1000).toFixed(1)} s)`);
+        result.failures.forEach(f => console.log(`    - ${f}`));
+        if (options.verbose) {
+            result.agentLines.forEach(line => console.log(`    agent: ${line}`));
+            result.heard.forEach(line => console.log(`    lead:  ${line}`));
+            (result.log || []).forEach(entry => console.log(`    ${String(entry.atMs).padStart(6)} ms ${entry.type} ${JSON.stringify({ ...entry, atMs: undefined, type: undefined })}`));
+        }
+        if (!result.passed) {
+            failed++;
+            if (!options.outDir) {
+                console.log('    server log (last 30 lines):');
+                result.serverLog.trim().split('\n').slice(-30).forEach(line => console.log(`    | ${line}`));
+            }
+        }
+    }
+    console.log(`[SIM] ${scenarios.length - failed}/${scenarios.length} scenario(s) passed`);
+    return failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv).then(code => process.exit(code), (err) => {
+        console.error('[SIM]', err && err.message ? err.message : err);
+        process.exit(1);
+    });
+}
+
+module.exports = { runScenario, loadScenarios, buildCallerTimeline, checkExpectations };
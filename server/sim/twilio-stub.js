@@ -0,0 +1,338 @@
+const { EventEmitter } = require('events');
+const http = require('http');
+const express = require('express');
+const fetch = require('node-fetch');
+
+const { MediaStreamClient, sid } = require('./media-client');
+
+// A stand-in for Twilio's REST API and call flow, for offline runs.
+//
+// The server's Twilio client is pointed here with TWILIO_API_BASE_URL. The
+// stub answers Calls.json create/update/fetch and then plays Twilio's part of
+// the call: status callbacks, the async AMD callback, fetching the TwiML URL
+// and executing it. <Connect><Stream> opens a MediaStreamClient to the
+// server; <Dial>, <Enqueue>, <Say>, <Pause> and <Hangup> are followed far
+// enough for the server's webhooks to see realistic results.
+//
+// Per-call behaviour comes from the options:
+//   answer       'human' | 'machine' | 'no-answer' | 'busy' | 'failed'
+//   amdDelayMs   when the AMD result is posted after the call is answered
+//   dial         result of a <Dial>/<Enqueue> the call is sent to:
+//                'completed' | 'no-answer' | 'busy' | 'failed'
+//
+// Events: 'call' (call), 'stream' (call, client), 'ended' (call).
+
+const RING_MS = 300;
+
+// Minimal XML reader for TwiML: elements with attributes, text and children
+function parseXml(xml) {
+    const root = { name: '#root', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const re = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let m;
+    while ((m = re.exec(xml))) {
+        const top = stack[stack.length - 1];
+        if (m[1]) {
+            if (stack.length > 1) stack.pop();
+        } else if (m[2]) {
+            const attrs = {};
+            (m[3] || '').replace(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (all, key, dq, sq) => {
+                attrs[key] = unescapeXml(dq !== undefined ? dq : sq);
+            });
+            const node = { name: m[2], attrs, children: [], text: '' };
+            top.children.push(node);
+            if (!m[4]) stack.push(node);
+        } else if (m[5]) {
+            top.text += unescapeXml(m[5]);
+        }
+    }
+    return root;
+}
+
+function unescapeXml(str) {
+    return str.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function verbsOf(xml) {
+    const response = parseXml(xml).children.find(n => n.name === 'Response');
+    if (!response) throw new Error(`TwiML has no <Response>: ${String(xml).slice(0, 200)}`);
+    return response.children;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+const TERMINAL = ['completed', 'no-answer', 'busy', 'failed', 'canceled'];
+
+function createTwilioStub({ accountSid, answer = 'human', amdDelayMs = 1500, dial = 'completed' } = {}) {
+    const stub = new EventEmitter();
+    const calls = new Map();
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    let baseUrl = null;
+    let server = null;
+
+    // Everything that happened on a call, for reports
+    function log(call, type, detail = {}) {
+        call.log.push({ atMs: Date.now() - call.createdAt, type, ...detail });
+    }
+
+    function view(call) {
+        return {
+            sid: call.sid,
+            account_sid: accountSid,
+            to: call.to,
+            from: call.from,
+            status: call.status,
+            direction: 'outbound-api',
+            duration: call.answeredAt ? String(Math.round(((call.endedAt || Date.now()) - call.answeredAt) / 1000)) : null,
+            date_created: new Date(call.createdAt).toUTCString(),
+            uri: `/2010-04-01/Accounts/${accountSid}/Calls/${call.sid}.json`
+        };
+    }
+
+    function authorized(req) {
+        const header = req.get('authorization') || '';
+        const [user] = Buffer.from(header.replace(/^Basic\s+/i, ''), 'base64').toString('utf8').split(':');
+        return user === accountSid && req.params.accountSid === accountSid;
+    }
+
+    // Form-encoded webhook, like Twilio's. Returns the response body (TwiML).
+    async function webhook(call, url, params, method = 'POST') {
+        const body = new URLSearchParams({ AccountSid: accountSid, CallSid: call.sid, From: call.from, To: call.to, Direction: 'outbound-api', ...params });
+        const target = method === 'GET' ? `${url}${url.includes('?') ? '&' : '?'}${body}` : url;
+        try {
+            const resp = await fetch(target, method === 'GET' ? {} : { method: 'POST', body });
+            const text = await resp.text();
+            log(call, 'webhook', { url: url.replace(/\?.*$/, ''), status: resp.status });
+            if (!resp.ok) throw new Error(`${url} returned ${resp.status}`);
+            return text;
+        } catch (err) {
+            log(call, 'webhook-error', { url: url.replace(/\?.*$/, ''), error: err.message });
+            stub.emit('error', err);
+            return '';
+        }
+    }
+
+    async function setStatus(call, status, extra = {}) {
+        call.status = status;
+        log(call, 'status', { status });
+        const event = status === 'in-progress' ? 'answered' : (TERMINAL.includes(status) ? 'completed' : status);
+        if (!call.statusCallback || !call.statusEvents.includes(event)) return;
+        await webhook(call, call.statusCallback, { CallStatus: status, ...extra }, call.statusCallbackMethod);
+    }
+
+    async function finish(call, status = 'completed') {
+        if (call.done) return;
+        call.done = true;
+        call.endedAt = Date.now();
+        const duration = call.answeredAt ? Math.round((call.endedAt - call.answeredAt) / 1000) : 0;
+        await setStatus(call, status, { CallDuration: String(duration) });
+        stub.emit('ended', call);
+    }
+
+    // <Connect><Stream>: resolves when the media stream ends
+    async function stream(call, node) {
+        const streamNode = node.children.find(n => n.name === 'Stream');
+        if (!streamNode) return;
+        const customParameters = {};
+        streamNode.children.filter(n => n.name === 'Parameter').forEach(p => { customParameters[p.attrs.name] = p.attrs.value; });
+        const client = new MediaStreamClient({ url: streamNode.attrs.url, accountSid, callSid: call.sid, customParameters });
+        call.client = client;
+        const closed = new Promise(resolve => client.once('closed', resolve));
+        try {
+            await client.connect();
+        } catch (err) {
+            log(call, 'stream-error', { error: err.message });
+            stub.emit('error', err);
+            return;
+        }
+        log(call, 'stream', { url: streamNode.attrs.url });
+        stub.emit('stream', call, client);
+        const { code, reason } = await closed;
+        log(call, 'stream-closed', { code, reason });
+    }
+
+    // <Dial> or <Enqueue>: reports options.dial on the action URL and runs
+    // the TwiML it returns
+    async function bridge(call, node) {
+        const connected = dial === 'completed';
+        const noun = node.children.find(n => ['Number', 'Sip', 'Client', 'Queue'].includes(n.name));
+        call.redirects.push({ verb: node.name, noun: noun ? noun.name : null, target: (noun ? noun.text : node.text).trim(), result: dial });
+        log(call, node.name.toLowerCase(), { target: (noun ? noun.text : node.text).trim(), result: dial });
+
+        // The called party hears the noun's url TwiML before being connected
+        if (connected && noun && noun.attrs.url) {
+            const twiml = await webhook(call, noun.attrs.url, {}, noun.attrs.method || 'POST');
+            const say = twiml ? verbsOf(twiml).filter(v => v.name === 'Say').map(v => v.text.trim()).join(' ') : '';
+            if (say) call.whispers.push(say);
+        }
+        if (!node.attrs.action) return [];
+        const params = node.name === 'Enqueue'
+            ? { QueueResult: connected ? 'bridged' : 'hangup', QueueTime: '1' }
+            : { DialCallStatus: dial, DialCallDuration: connected ? '1' : '0', DialCallSid: sid('CA') };
+        const twiml = await webhook(call, node.attrs.action, params, node.attrs.method || 'POST');
+        return twiml ? verbsOf(twiml) : [];
+    }
+
+    // Execute TwiML until it runs out, the call hangs up or an update replaces it
+    async function execute(call, xml) {
+        let verbs = verbsOf(xml);
+        while (verbs.length && !call.hungUp) {
+            const verb = verbs.shift();
+            if (verb.name === 'Connect') {
+                await stream(call, verb);
+            } else if (verb.name === 'Say') {
+                call.said.push(verb.text.trim());
+                log(call, 'say', { text: verb.text.trim() });
+            } else if (verb.name === 'Pause') {
+                await delay(Number(verb.attrs.length || 1) * 1000);
+            } else if (verb.name === 'Hangup') {
+                break;
+            } else if (verb.name === 'Dial' || verb.name === 'Enqueue') {
+                verbs = await bridge(call, verb);
+            } else {
+                log(call, 'unsupported-verb', { verb: verb.name });
+            }
+            if (call.redirect) {
+                verbs = verbsOf(call.redirect);
+                call.redirect = null;
+            }
+        }
+    }
+
+    async function run(call) {
+        await setStatus(call, 'initiated');
+        await delay(RING_MS);
+        if (call.hungUp) return finish(call, 'canceled');
+        await setStatus(call, 'ringing');
+        await delay(RING_MS);
+        if (['no-answer', 'busy', 'failed'].includes(answer)) return finish(call, answer);
+        if (call.hungUp) return finish(call, 'canceled');
+
+        call.answeredAt = Date.now();
+        await setStatus(call, 'in-progress');
+        if (call.amdCallback) {
+            setTimeout(() => {
+                if (call.done) return;
+                webhook(call, call.amdCallback, {
+                    AnsweredBy: answer === 'machine' ? 'machine_end_beep' : 'human',
+                    MachineDetectionDuration: String(amdDelayMs)
+                }, call.amdCallbackMethod);
+            }, amdDelayMs);
+        }
+        const twiml = await webhook(call, call.url, { CallStatus: 'in-progress' }, call.method);
+        if (twiml) await execute(call, twiml);
+        await finish(call, 'completed');
+    }
+
+    const callsPath = '/2010-04-01/Accounts/:accountSid/Calls';
+
+    app.post(`${callsPath}.json`, (req, res) => {
+        if (!authorized(req)) return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+        const p = req.body;
+        if (!p.To || !p.From || !(p.Url || p.Twiml)) {
+            return res.status(400).json({ code: 21205, message: 'To, From and Url are required', status: 400 });
+        }
+        const events = [].concat(p.StatusCallbackEvent || []).flatMap(e => String(e).split(/[\s,]+/)).filter(Boolean);
+        const call = {
+            sid: sid('CA'),
+            to: p.To,
+            from: p.From,
+            url: p.Url,
+            method: p.Method || 'POST',
+            statusCallback: p.StatusCallback || null,
+            statusCallbackMethod: p.StatusCallbackMethod || 'POST',
+            statusEvents: events.length ? events : ['completed'],
+            amdCallback: p.AsyncAmd === 'true' ? p.AsyncAmdStatusCallback : null,
+            amdCallbackMethod: p.AsyncAmdStatusCallbackMethod || 'POST',
+            params: p,
+            status: 'queued',
+            createdAt: Date.now(),
+            answeredAt: null,
+            endedAt: null,
+            client: null,
+            redirect: null,
+            redirects: [],
+            updates: [],
+            said: [],
+            whispers: [],
+            hungUp: false,
+            hungUpBy: null,
+            done: false,
+            log: []
+        };
+        calls.set(call.sid, call);
+        stub.emit('call', call);
+        res.status(201).json(view(call));
+        run(call).catch(err => {
+            log(call, 'error', { error: err.message });
+            stub.emit('error', err);
+            finish(call, 'failed');
+        });
+    });
+
+    app.get(`${callsPath}/:sid.json`, (req, res) => {
+        if (!authorized(req)) return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+        const call = calls.get(req.params.sid);
+        if (!call) return res.status(404).json({ code: 20404, message: 'The requested resource was not found', status: 404 });
+        res.json(view(call));
+    });
+
+    // Call update: Status=completed|canceled hangs up, Twiml/Url redirects
+    app.post(`${callsPath}/:sid.json`, (req, res) => {
+        if (!authorized(req)) return res.status(401).json({ code: 20003, message: 'Authenticate', status: 401 });
+        const call = calls.get(req.params.sid);
+        if (!call) return res.status(404).json({ code: 20404, message: 'The requested resource was not found', status: 404 });
+        if (call.done) return res.status(400).json({ code: 21220, message: 'Call is not in-progress. Cannot redirect.', status: 400 });
+        const p = req.body;
+        call.updates.push(p);
+        log(call, 'update', { fields: Object.keys(p) });
+        if (p.Status === 'completed' || p.Status === 'canceled') {
+            hangUp(call, 'api');
+        } else if (p.Twiml) {
+            call.redirect = p.Twiml;
+            if (call.client) call.client.stop();
+        }
+        res.json(view(call));
+    });
+
+    function hangUp(call, by) {
+        if (call.hungUp || call.done) return;
+        call.hungUp = true;
+        call.hungUpBy = by;
+        log(call, 'hangup', { by });
+        if (call.client) call.client.stop();
+    }
+
+    stub.calls = calls;
+    stub.url = () => baseUrl;
+
+    // The lead hangs up
+    stub.hangUp = (callSid) => {
+        const call = calls.get(callSid);
+        if (call) hangUp(call, 'lead');
+    };
+
+    stub.listen = (port = 0) => new Promise((resolve, reject) => {
+        server = http.createServer(app);
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve(baseUrl);
+        });
+    });
+
+    stub.close = () => new Promise((resolve) => {
+        calls.forEach(call => { if (call.client) call.client.stop(); });
+        if (!server) return resolve();
+        server.close(() => resolve());
+        if (server.closeAllConnections) server.closeAllConnections();
+    });
+
+    return stub;
+}
+
+module.exports = { createTwilioStub, parseXml };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const config = require('./config');
+
+// File-backed storage for calls, sessions, leads, outcomes, campaigns, the
+// do-not-call list, calendar holds, call scripts and call transcripts.
+//
+// Everything lives in one JSON document (DATA_DIR/store.json) that is loaded
+// once at startup, kept in memory, and written back atomically (write to a temp
+// file, then rename) shortly after each change. This keeps the server usable
+// offline with no native dependencies while surviving restarts.
+//
+// store.onChange(listener) is called as listener(collection, key, record) after
+// every write (record is null when removed); the dashboard event stream uses it.
+//
+// The document carries a `schemaVersion`; `migrations[i]` upgrades a document
+// from version i to i + 1. Add new migrations to the end, never edit old ones.
+
+const migrations = [
+    // 0 -> 1: initial collections
+    (data) => {
+        data.calls = data.calls || {};
+        data.sessions = data.sessions || {};
+        data.leads = data.leads || {};
+        data.outcomes = data.outcomes || {};
+    },
+    // 1 -> 2: server-side campaigns
+    (data) => {
+        data.campaigns = data.campaigns || {};
+    },
+    // 2 -> 3: concurrent dialing (settings, several active leads per campaign)
+    (data) => {
+        Object.values(data.campaigns).forEach(c => {
+            c.settings = c.settings || { concurrency: 1, callsPerMinute: 0 };
+            c.activeLeadIds = c.currentLeadId != null ? [c.currentLeadId] : [];
+            delete c.currentLeadId;
+        });
+    },
+    // 3 -> 4: do-not-call registry
+    (data) => {
+        data.dnc = data.dnc || {};
+    },
+    // 4 -> 5: per-lead time zones for calling-hours compliance
+    (data) => {
+        const compliance = require('./compliance');
+        Object.values(data.leads).forEach(lead => {
+            if (!lead.timezone) Object.assign(lead, compliance.resolveLeadTimezone(lead.phone));
+        });
+    },
+    // 5 -> 6: calendar holds and booked meetings
+    (data) => {
+        data.holds = data.holds || {};
+    },
+    // 6 -> 7: versioned call scripts (the default one is created on first use)
+    (data) => {
+        data.scripts = data.scripts || {};
+    },
+    // 7 -> 8: per-call transcripts; earlier calls get what their session's
+    // conversation history still held
+    (data) => {
+        data.transcripts = data.transcripts || {};
+        Object.values(data.sessions).forEach(session => {
+            const turns = session.history && session.history.turns;
+            if (!session.callSid || !turns || !turns.length || data.transcripts[session.callSid]) return;
+            data.transcripts[session.callSid] = {
+                callSid: session.callSid,
+                turns: turns.map(turn => ({
+                    speaker: turn.role === 'user' ? 'lead' : 'agent',
+                    text: turn.fullText || turn.text,
+                    at: turn.at,
+                    sessionId: session.id,
+                    confidence: null,
+                    latencyMs: null,
+                    ...(turn.interrupted ? { interrupted: true, heardText: turn.text } : {})
+                })),
+                createdAt: session.endedAt || session.startedAt,
+                updatedAt: session.endedAt || session.startedAt
+            };
+        });
+    },
+    // 8 -> 9: do-not-call numbers keyed in E.164 (10-digit North American
+    // numbers used to be kept without +1, so they never matched leads)
+    (data) => {
+        const { normalizePhone } = require('./compliance');
+        const rekeyed = {};
+        Object.values(data.dnc).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))).forEach(entry => {
+            const key = normalizePhone(entry.phone) || entry.phone;
+            if (!rekeyed[key]) rekeyed[key] = Object.assign({}, entry, { phone: key });
+        });
+        data.dnc = rekeyed;
+    },
+    // 9 -> 10: a session's turns live in its call's transcript; drop the copy
+    // kept in the session's conversation history (the recap stays)
+    (data) => {
+        Object.values(data.sessions).forEach(session => {
+            if (session.callSid && data.transcripts[session.callSid] && session.history) session.history.turns = [];
+        });
+    }
+];
+
+const SAVE_DELAY_MS = 200;
+
+const dataDir = config.DATA_DIR;
+const dataFile = path.join(dataDir, 'store.json');
+
+let data = { schemaVersion: 0 };
+let saveTimer = null;
+const changeListeners = [];
+
+function notifyChange(collection, key, record) {
+    changeListeners.forEach(listener => {
+        try {
+            listener(collection, key, record);
+        } catch (err) {
+            console.error('[STORE] change listener failed:', err && err.message ? err.message : err);
+        }
+    });
+}
+
+function load() {
+    try {
+        if (fs.existsSync(dataFile)) {
+            data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+            console.log('[STORE] loaded', dataFile, 'schemaVersion=', data.schemaVersion);
+        }
+    } catch (err) {
+        // Don't silently start over on top of a corrupt file: keep a copy aside.
+        const backup = `${dataFile}.corrupt-${Date.now()}`;
+        console.error('[STORE] failed to read', dataFile, '- moving it to', backup, err && err.message ? err.message : err);
+        try { fs.renameSync(dataFile, backup); } catch (e) { }
+        data = { schemaVersion: 0 };
+    }
+    migrate();
+}
+
+function migrate() {
+    const from = data.schemaVersion || 0;
+    if (from > migrations.length) {
+        throw new Error(`store.json schemaVersion ${from} is newer than this server supports (${migrations.length})`);
+    }
+    for (let v = from; v < migrations.length; v++) {
+        migrations[v](data);
+        data.schemaVersion = v + 1;
+        console.log('[STORE] migrated to schemaVersion', data.schemaVersion);
+    }
+    if (from !== data.schemaVersion) saveNow();
+}
+
+function saveNow() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    }
+    try {
+        fs.mkdirSync(dataDir, { recursive: true });
+        const tmp = `${dataFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data));
+        fs.renameSync(tmp, dataFile);
+    } catch (err) {
+        console.error('[STORE] failed to write', dataFile, err && err.message ? err.message : err);
+    }
+}
+
+function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(saveNow, SAVE_DELAY_MS);
+}
+
+// Small repository over one keyed collection of plain objects. Returned records
+// are copies, so callers must go through upsert/update to change anything.
+function createCollection(name, keyField) {
+    const items = () => data[name];
+    const copy = (item) => item ? JSON.parse(JSON.stringify(item)) : null;
+
+    return {
+        get(key) {
+            return copy(items()[key]);
+        },
+        has(key) {
+            return Object.prototype.hasOwnProperty.call(items(), key);
+        },
+        list(filter) {
+            const all = Object.values(items()).map(copy);
+            return filter ? all.filter(filter) : all;
+        },
+        // Create or merge into an existing record (undefined fields are ignored).
+        // Generates a key if missing.
+        upsert(record) {
+            const key = record[keyField] || uuidv4();
+            const now = new Date().toISOString();
+            const existing = items()[key];
+            const defined = Object.fromEntries(Object.entries(record).filter(([, v]) => v !== undefined));
+            const merged = Object.assign({}, existing || { createdAt: now }, defined, { [keyField]: key, updatedAt: now });
+            items()[key] = merged;
+            scheduleSave();
+            if (changeListeners.length) notifyChange(name, key, copy(merged));
+            return copy(merged);
+        },
+        // Update an existing record; returns null if it does not exist.
+        update(key, patch) {
+            if (!items()[key]) return null;
+            return this.upsert(Object.assign({}, patch, { [keyField]: key }));
+        },
+        remove(key) {
+            const existed = !!items()[key];
+            delete items()[key];
+            if (existed) {
+                scheduleSave();
+                notifyChange(name, key, null);
+            }
+            return existed;
+        }
+    };
+}
+
+load();
+
+const store = {
+    calls: createCollection('calls', 'sid'),
+    sessions: createCollection('sessions', 'id'),
+    leads: createCollection('leads', 'id'),
+    outcomes: createCollection('outcomes', 'id'),
+    campaigns: createCollection('campaigns', 'id'),
+    dnc: createCollection('dnc', 'phone'),
+    holds: createCollection('holds', 'id'),
+    scripts: createCollection('scripts', 'id'),
+    transcripts: createCollection('transcripts', 'callSid'),
+    flush: saveNow,
+    onChange: (listener) => { changeListeners.push(listener); }
+};
+
+// Make sure a pending debounced write isn't lost on shutdown.
+process.on('exit', () => { if (saveTimer) saveNow(); });
+['SIGINT', 'SIGTERM'].forEach(sig => process.once(sig, () => {
+    if (saveTimer) saveNow();
+    process.exit(0);
+}));
+
+module.exports = store;
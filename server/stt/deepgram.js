@@ -0,0 +1,71 @@
+const { EventEmitter } = require('events');
+const WebSocket = require('ws');
+const config = require('../config');
+
+// Deepgram live transcription over its streaming WebSocket API
+
+const LISTEN_URL = 'wss://api.deepgram.com/v1/listen';
+// Audio frames kept while the socket is still connecting (~5 s of 20 ms frames)
+const MAX_QUEUED_FRAMES = 250;
+
+function createStream(options) {
+    if (!config.DEEPGRAM_API_KEY) throw new Error('Missing DEEPGRAM_API_KEY');
+
+    const params = new URLSearchParams({
+        encoding: 'linear16',
+        sample_rate: String(options.sampleRateHertz),
+        channels: '1',
+        language: options.languageCode,
+        model: config.DEEPGRAM_MODEL,
+        interim_results: String(!!options.interimResults),
+        punctuate: 'true'
+    });
+    const socket = new WebSocket(`${LISTEN_URL}?${params}`, {
+        headers: { Authorization: `Token ${config.DEEPGRAM_API_KEY}` }
+    });
+
+    const stream = new EventEmitter();
+    const queued = [];
+    let ending = false;
+
+    const closeStream = () => socket.send(JSON.stringify({ type: 'CloseStream' }));
+
+    socket.on('open', () => {
+        queued.splice(0).forEach(frame => socket.send(frame));
+        if (ending) closeStream();
+    });
+    socket.on('message', (data) => {
+        let msg;
+        try {
+            msg = JSON.parse(data.toString());
+        } catch (err) {
+            return;
+        }
+        if (msg.type !== 'Results') return;
+        const alternative = msg.channel && msg.channel.alternatives && msg.channel.alternatives[0];
+        if (!alternative) return;
+        const confidence = typeof alternative.confidence === 'number' ? alternative.confidence : null;
+        stream.emit('transcript', { text: alternative.transcript || '', isFinal: !!msg.is_final, confidence });
+    });
+    socket.on('error', err => stream.emit('error', err));
+    socket.on('close', () => stream.emit('end'));
+
+    stream.write = (pcm16) => {
+        if (ending) return;
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(pcm16);
+        } else if (socket.readyState === WebSocket.CONNECTING) {
+            queued.push(pcm16);
+            if (queued.length > MAX_QUEUED_FRAMES) queued.shift();
+        }
+    };
+    // Deepgram flushes its final results and then closes the socket
+    stream.end = () => {
+        if (ending) return;
+        ending = true;
+        if (socket.readyState === WebSocket.OPEN) closeStream();
+    };
+    return stream;
+}
+
+module.exports = { name: 'deepgram', createStream };
@@ -0,0 +1,46 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+
+// Google Cloud Speech-to-Text streaming recognition
+
+let client = null;
+function getClient() {
+    if (!client) {
+        const speech = require('@google-cloud/speech');
+        if (!config.GOOGLE_APPLICATION_CREDENTIALS) {
+            console.warn('GOOGLE_APPLICATION_CREDENTIALS not set; Google STT will fail until configured.');
+        }
+        client = new speech.SpeechClient();
+    }
+    return client;
+}
+
+function createStream(options) {
+    const stream = new EventEmitter();
+    const recognizeStream = getClient().streamingRecognize({
+        config: {
+            encoding: 'LINEAR16',
+            sampleRateHertz: options.sampleRateHertz,
+            languageCode: options.languageCode
+        },
+        interimResults: options.interimResults
+    });
+
+    recognizeStream
+        .on('error', err => stream.emit('error', err))
+        .on('end', () => stream.emit('end'))
+        .on('data', (data) => {
+            const result = data.results && data.results[0];
+            const alternative = result && result.alternatives && result.alternatives[0];
+            if (!alternative) return;
+            // Google only scores final results (interim ones report 0)
+            const confidence = result.isFinal && alternative.confidence ? alternative.confidence : null;
+            stream.emit('transcript', { text: alternative.transcript || '', isFinal: !!result.isFinal, confidence });
+        });
+
+    stream.write = (pcm16) => recognizeStream.write(pcm16);
+    stream.end = () => recognizeStream.end();
+    return stream;
+}
+
+module.exports = { name: 'google', createStream };
@@ -0,0 +1,34 @@
+const config = require('../config');
+
+// Speech-to-text providers.
+//
+// STT_PROVIDER picks the implementation. Each provider exports
+// createStream(options) and returns an STT stream: an EventEmitter with
+//   write(pcm16)  feed 16-bit little-endian PCM at options.sampleRateHertz
+//   end()         no more audio; the provider flushes and closes
+// that emits
+//   'transcript'  { text, isFinal, confidence } for interim and final results
+//                 (confidence 0..1 of final results, null when unknown)
+//   'error'       Error
+//   'end'         the provider closed the stream
+//
+// options: { sampleRateHertz, languageCode, interimResults }
+
+const PROVIDERS = {
+    google: () => require('./google'),
+    deepgram: () => require('./deepgram'),
+    mock: () => require('./mock')
+};
+
+// Throws for an unknown STT_PROVIDER so a typo fails at startup, not on the first call
+function getProvider(name = config.STT_PROVIDER) {
+    const load = PROVIDERS[name];
+    if (!load) throw new Error(`Unknown STT_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    return load();
+}
+
+function createStream(options = {}) {
+    return getProvider().createStream(Object.assign({ sampleRateHertz: 8000, languageCode: 'en-US', interimResults: true }, options));
+}
+
+module.exports = { PROVIDERS, getProvider, createStream };
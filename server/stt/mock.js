@@ -0,0 +1,89 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Deterministic speech-to-text for offline runs and tests.
+//
+// Nothing is recognized from the audio. Scripted utterances are "heard" once
+// enough caller audio has streamed in, so results depend only on the audio
+// timeline, never on the wall clock or the network. For each utterance an
+// interim result (the first half of the words) is emitted when its turn comes,
+// then the final result after MS_PER_WORD of audio per word.
+//
+// STT_MOCK_SCRIPT is a path to a JSON file or inline utterances separated by
+// '|'. JSON entries are strings or { text, afterMs, confidence }, where afterMs
+// is the audio time since the previous utterance (default STT_MOCK_GAP_MS) and
+// confidence is reported with the final result (default none). Give the
+// first entry a long afterMs to let the greeting finish, or a short one to
+// test barge-in.
+
+const MS_PER_WORD = 250;
+
+function loadScript(source) {
+    if (Array.isArray(source)) return source;
+    if (!source) return [];
+    const file = path.resolve(source);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+    return source.split('|').map(s => s.trim()).filter(Boolean);
+}
+
+function normalizeEntries(entries) {
+    return entries.map((entry) => {
+        const e = typeof entry === 'string' ? { text: entry } : entry;
+        return {
+            text: String(e.text || ''),
+            afterMs: e.afterMs != null ? Number(e.afterMs) : config.STT_MOCK_GAP_MS,
+            confidence: e.confidence != null ? Number(e.confidence) : null
+        };
+    });
+}
+
+// options.script overrides STT_MOCK_SCRIPT (array of entries, file path or inline text)
+function createStream(options) {
+    const stream = new EventEmitter();
+    const script = normalizeEntries(loadScript(options.script !== undefined ? options.script : config.STT_MOCK_SCRIPT));
+    const bytesPerMs = (options.sampleRateHertz * 2) / 1000;
+
+    let audioMs = 0;      // caller audio received so far
+    let markMs = 0;       // audio time the current utterance is measured from
+    let index = 0;
+    let interimSent = false;
+    let ended = false;
+
+    const advance = () => {
+        while (index < script.length) {
+            const entry = script[index];
+            const words = entry.text.split(/\s+/).filter(Boolean);
+            const heardAt = markMs + entry.afterMs;
+            const finalAt = heardAt + words.length * MS_PER_WORD;
+
+            if (!interimSent) {
+                if (audioMs < heardAt) return;
+                interimSent = true;
+                if (options.interimResults && words.length > 1) {
+                    stream.emit('transcript', { text: words.slice(0, Math.ceil(words.length / 2)).join(' '), isFinal: false, confidence: null });
+                }
+            }
+            if (audioMs < finalAt) return;
+            stream.emit('transcript', { text: entry.text, isFinal: true, confidence: entry.confidence });
+            markMs = finalAt;
+            index++;
+            interimSent = false;
+        }
+    };
+
+    stream.write = (pcm16) => {
+        if (ended || !pcm16) return;
+        audioMs += pcm16.length / bytesPerMs;
+        advance();
+    };
+    stream.end = () => {
+        if (ended) return;
+        ended = true;
+        setImmediate(() => stream.emit('end'));
+    };
+    return stream;
+}
+
+module.exports = { name: 'mock', createStream };
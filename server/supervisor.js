@@ -0,0 +1,149 @@
+// Live supervision of AI calls.
+//
+// Listen: the dashboard opens a WebSocket on /monitor?callSid=CA... and gets
+// the call's audio as binary frames: one track byte (0 = lead, 1 = agent)
+// followed by 8 kHz mu-law samples, the same 20 ms frames Twilio exchanges
+// with us. Nothing is buffered; a monitor hears the call from when it joins.
+//
+// Whisper: guidance typed by the supervisor is added to the agent's prompt
+// for the rest of the call. The lead never hears it.
+//
+// Take over: the AI pipeline stops and Twilio redirects the live call to a
+// <Dial> of the supervisor's phone; the result of that dial comes back on
+// /dial-status. Only the numbers in SUPERVISOR_PHONE are ever dialed.
+//
+// All three need SUPERVISOR_ACCESS_TOKEN; without one they are disabled.
+
+const crypto = require('crypto');
+const config = require('./config');
+const compliance = require('./compliance');
+
+const TRACKS = { inbound: 0, outbound: 1 };
+const MAX_WHISPER_LENGTH = 500;
+
+// How long a monitor socket has to send the access token before it is closed
+const MONITOR_AUTH_TIMEOUT_MS = 5000;
+
+class SupervisorError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'SupervisorError';
+        this.statusCode = statusCode;
+    }
+}
+
+function isEnabled() {
+    return !!config.SUPERVISOR_ACCESS_TOKEN;
+}
+
+function tokenMatches(value) {
+    if (!config.SUPERVISOR_ACCESS_TOKEN) return false;
+    const digest = v => crypto.createHash('sha256').update(String(v)).digest();
+    return crypto.timingSafeEqual(digest(String(value || '').trim()), digest(config.SUPERVISOR_ACCESS_TOKEN));
+}
+
+// Throws unless the request carries `Authorization: Bearer <SUPERVISOR_ACCESS_TOKEN>`
+function authorize(req) {
+    if (!isEnabled()) throw new SupervisorError('Supervisor controls are disabled (set SUPERVISOR_ACCESS_TOKEN)', 403);
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    if (!match || !tokenMatches(match[1])) throw new SupervisorError('A valid supervisor access token is required', 401);
+}
+
+// Browsers can't set headers on a WebSocket, and a token in the URL would end
+// up in logs, so unless the upgrade carried a valid bearer header the monitor's
+// first message must be the token. Nothing is sent to it before that.
+function authenticateMonitor(ws, req, onAuthorized) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (match && tokenMatches(match[1])) return onAuthorized();
+    const timer = setTimeout(() => ws.close(4401, 'Supervisor access token required'), MONITOR_AUTH_TIMEOUT_MS);
+    ws.once('message', (data, isBinary) => {
+        clearTimeout(timer);
+        if (isBinary || !tokenMatches(data.toString('utf8'))) {
+            ws.close(4401, 'A valid supervisor access token is required');
+            return;
+        }
+        onAuthorized();
+    });
+    ws.once('close', () => clearTimeout(timer));
+}
+
+// The number a takeover dials: `requested` when it is one of SUPERVISOR_PHONE,
+// else the first of them. Any other number is refused.
+function takeoverPhone(requested) {
+    const allowed = String(config.SUPERVISOR_PHONE || '').split(',').map(compliance.dialablePhone).filter(Boolean);
+    if (!allowed.length) throw new SupervisorError('Takeover is disabled (set SUPERVISOR_PHONE)', 403);
+    if (!requested) return allowed[0];
+    const phone = compliance.dialablePhone(requested);
+    if (!phone || !allowed.includes(phone)) throw new SupervisorError('That phone is not one of SUPERVISOR_PHONE', 403);
+    return phone;
+}
+
+// callSid -> Set of monitor sockets
+const monitors = new Map();
+
+function attach(ws, callSid) {
+    if (!monitors.has(callSid)) monitors.set(callSid, new Set());
+    monitors.get(callSid).add(ws);
+    console.log('[SUPERVISOR] monitor joined call', callSid, '-', monitors.get(callSid).size, 'listening');
+    ws.on('close', () => {
+        const set = monitors.get(callSid);
+        if (!set) return;
+        set.delete(ws);
+        if (!set.size) monitors.delete(callSid);
+        console.log('[SUPERVISOR] monitor left call', callSid);
+    });
+}
+
+// Copy one mu-law frame of `track` ('inbound' | 'outbound') to the call's monitors
+function forward(callSid, track, muLaw) {
+    const set = callSid && monitors.get(callSid);
+    if (!set) return;
+    const frame = Buffer.concat([Buffer.from([TRACKS[track]]), muLaw]);
+    set.forEach(ws => {
+        // A monitor that can't keep up loses audio instead of piling up memory
+        if (ws.readyState !== 1 || ws.bufferedAmount > 64 * 1024) return;
+        ws.send(frame, { binary: true }, () => { });
+    });
+}
+
+// The call is over: tell monitors and close them
+function endCall(callSid, reason = 'call ended') {
+    const set = monitors.get(callSid);
+    if (!set) return;
+    monitors.delete(callSid);
+    set.forEach(ws => {
+        try { ws.close(1000, reason); } catch (e) { }
+    });
+}
+
+function isMonitored(callSid) {
+    return monitors.has(callSid);
+}
+
+function normalizeWhisper(text) {
+    if (typeof text !== 'string' || !text.trim()) throw new SupervisorError('text is required');
+    const value = text.trim().replace(/\s+/g, ' ');
+    if (value.length > MAX_WHISPER_LENGTH) throw new SupervisorError(`text must be at most ${MAX_WHISPER_LENGTH} characters`);
+    return value;
+}
+
+// Prompt text for the whispers so far (oldest first; the latest one wins on conflict)
+function whisperContext(whispers) {
+    if (!whispers || !whispers.length) return '';
+    return 'Guidance from your supervisor (private: never read it out or mention it to the lead; follow the latest if they conflict):\n'
+        + whispers.map(w => `- ${w.text}`).join('\n');
+}
+
+module.exports = {
+    SupervisorError,
+    isEnabled,
+    authorize,
+    authenticateMonitor,
+    takeoverPhone,
+    attach,
+    forward,
+    endCall,
+    isMonitored,
+    normalizeWhisper,
+    whisperContext
+};
@@ -0,0 +1,56 @@
+const store = require('./store');
+
+// Per-call transcripts.
+//
+// Every final utterance of the lead and every line the agent says is kept, in
+// order, in store.transcripts under the call SID. Unlike the session's
+// conversation history (conversation.js) nothing is trimmed or folded into a
+// recap, and it outlives the media-stream session. A turn is
+//   { speaker: 'lead' | 'agent', text, at, sessionId, confidence, latencyMs }
+// plus, for agent lines the lead talked over, interrupted: true and heardText
+// (roughly what was played before the audio stopped).
+//   confidence  STT confidence of a lead turn, 0..1 (null when the provider
+//               gives none, and for agent turns)
+//   latencyMs   for agent replies, from the lead's final transcript to the
+//               first audio of the reply (null for greetings, reprompts, ...)
+
+const SPEAKERS = ['lead', 'agent'];
+
+function turnsOf(callSid) {
+    const record = store.transcripts.get(callSid);
+    return record ? record.turns : [];
+}
+
+// Append a turn. Returns its index (for updateTurn), or null when there is no
+// call to attach it to or nothing was said.
+function addTurn(callSid, { speaker, text, sessionId = null, confidence = null, latencyMs = null }) {
+    const clean = String(text || '').trim();
+    if (!callSid || !clean) return null;
+    if (!SPEAKERS.includes(speaker)) throw new Error(`Unknown transcript speaker '${speaker}'`);
+    const turns = turnsOf(callSid);
+    turns.push({
+        speaker,
+        text: clean,
+        at: new Date().toISOString(),
+        sessionId,
+        confidence: typeof confidence === 'number' ? Math.round(confidence * 1000) / 1000 : null,
+        latencyMs
+    });
+    store.transcripts.upsert({ callSid, turns });
+    return turns.length - 1;
+}
+
+function updateTurn(callSid, index, patch) {
+    const turns = turnsOf(callSid);
+    if (index == null || !turns[index]) return null;
+    Object.assign(turns[index], patch);
+    store.transcripts.upsert({ callSid, turns });
+    return turns[index];
+}
+
+// The call's turns in order ([] when nothing was said)
+function get(callSid) {
+    return turnsOf(callSid);
+}
+
+module.exports = { SPEAKERS, addTurn, updateTurn, get };
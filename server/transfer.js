@@ -0,0 +1,104 @@
+const config = require('./config');
+const compliance = require('./compliance');
+const conversation = require('./conversation');
+
+// Warm transfer to a human.
+//
+// When the lead asks for a real person (or for details the agent can't give,
+// like exact pricing), the model ends its reply with the TRANSFER control
+// token. The agent says its transfer closing line, then the live call is
+// redirected with TwiML built here to TRANSFER_TARGET:
+//
+//   +15551234567      an on-call phone number (<Dial><Number>)
+//   sip:desk@pbx.com  a SIP endpoint (<Dial><Sip>)
+//   queue:Sales       a Twilio queue (<Enqueue>); agents dequeue with
+//                     <Dial><Queue url="{PUBLIC_BASE_URL}/transfer-summary">
+//
+// Before the human is connected they hear a short summary of the call
+// (/transfer-summary). Whether the transfer connected comes back on
+// /dial-status (DialCallStatus or QueueResult) and is recorded on the call.
+
+const SUMMARY_TURNS = 2;
+const MAX_QUOTE_LENGTH = 160;
+
+// TRANSFER_TARGET -> { type: 'number' | 'sip' | 'queue', value }, or null when
+// transfers are off. Throws at startup on a malformed target.
+function parseTarget(raw = config.TRANSFER_TARGET) {
+    const target = String(raw || '').trim();
+    if (!target) return null;
+    if (/^queue:/i.test(target)) {
+        const name = target.slice(6).trim();
+        if (!name) throw new Error('TRANSFER_TARGET queue name is empty (use queue:<name>)');
+        return { type: 'queue', value: name };
+    }
+    if (/^sips?:/i.test(target)) return { type: 'sip', value: target };
+    const number = compliance.dialablePhone(target);
+    if (!number) {
+        throw new Error(`TRANSFER_TARGET '${target}' is not a phone number, sip: address or queue:<name>`);
+    }
+    return { type: 'number', value: number };
+}
+
+const target = parseTarget();
+
+function isEnabled() {
+    return !!target;
+}
+
+// Where the call went, for the call record and dashboard (no phone number)
+function describeTarget() {
+    if (!target) return null;
+    return target.type === 'queue' ? `queue ${target.value}` : (target.type === 'sip' ? 'SIP desk' : 'on-call number');
+}
+
+function xmlEscape(str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+// TwiML that moves the live call to the transfer target. The result is posted
+// to /dial-status?kind=transfer.
+function transferTwiml({ baseUrl, callSid, callerId }) {
+    const action = xmlEscape(`${baseUrl}/dial-status?kind=transfer`);
+    const summaryUrl = xmlEscape(`${baseUrl}/transfer-summary?callSid=${encodeURIComponent(callSid)}`);
+    let verb;
+    if (target.type === 'queue') {
+        verb = `<Enqueue action="${action}" method="POST">${xmlEscape(target.value)}</Enqueue>`;
+    } else {
+        const noun = target.type === 'sip'
+            ? `<Sip url="${summaryUrl}" method="POST">${xmlEscape(target.value)}</Sip>`
+            : `<Number url="${summaryUrl}" method="POST">${xmlEscape(target.value)}</Number>`;
+        verb = `<Dial callerId="${xmlEscape(callerId)}" timeout="${config.TRANSFER_TIMEOUT_SECONDS}" action="${action}" method="POST">${noun}</Dial>`;
+    }
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${verb}</Response>`;
+}
+
+// What the human hears before being connected to the lead
+function summaryTwiml(summary) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response><Say>${xmlEscape(summary || 'Incoming transfer from the AI sales agent.')}</Say></Response>`;
+}
+
+function quote(text) {
+    const t = String(text || '').trim();
+    return t.length > MAX_QUOTE_LENGTH ? `${t.slice(0, MAX_QUOTE_LENGTH - 3)}...` : t;
+}
+
+// A few spoken sentences: who the lead is, what they said last, call history
+function buildSummary(lead, history) {
+    const role = [lead.title, lead.company].filter(Boolean).join(' at ');
+    const parts = [`Transfer from the AI agent: ${lead.name || 'a lead'}${role ? `, ${role}` : ''}.`];
+    const said = conversation.turnsByRole(history, 'user').slice(-SUMMARY_TURNS).map(quote).filter(Boolean);
+    if (said.length) parts.push(`They said: ${said.join(' ... ')}.`);
+    const earlier = (lead.priorAttempts || []).length;
+    parts.push(earlier ? `We have called them ${earlier} time${earlier === 1 ? '' : 's'} before.` : 'This was our first call to them.');
+    parts.push('No meeting is booked yet. Connecting you now.');
+    return parts.join(' ');
+}
+
+module.exports = {
+    parseTarget,
+    isEnabled,
+    describeTarget,
+    transferTwiml,
+    summaryTwiml,
+    buildSummary
+};
@@ -0,0 +1,42 @@
+const config = require('../config');
+
+// Google Cloud Text-to-Speech
+
+let client = null;
+function getClient() {
+    if (!client) {
+        const textToSpeech = require('@google-cloud/text-to-speech');
+        if (!config.GOOGLE_APPLICATION_CREDENTIALS) {
+            console.warn('GOOGLE_APPLICATION_CREDENTIALS not set; Google TTS will fail until configured.');
+        }
+        client = new textToSpeech.TextToSpeechClient();
+    }
+    return client;
+}
+
+// LINEAR16 responses are WAV files; return just the samples of the data chunk
+function stripWavHeader(buf) {
+    if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return buf;
+    let offset = 12;
+    while (offset + 8 <= buf.length) {
+        const id = buf.toString('ascii', offset, offset + 4);
+        const size = buf.readUInt32LE(offset + 4);
+        if (id === 'data') return buf.slice(offset + 8, Math.min(buf.length, offset + 8 + size));
+        offset += 8 + size + (size % 2);
+    }
+    return buf;
+}
+
+async function synthesize(text, voice) {
+    const request = {
+        input: { text },
+        voice: { languageCode: voice.languageCode, ssmlGender: voice.gender },
+        audioConfig: { audioEncoding: 'LINEAR16', sampleRateHertz: voice.sampleRateHertz, speakingRate: voice.speakingRate }
+    };
+    if (voice.name) request.voice.name = voice.name;
+
+    const [response] = await getClient().synthesizeSpeech(request);
+    return stripWavHeader(Buffer.from(response.audioContent, 'base64'));
+}
+
+module.exports = { name: 'google', synthesize, stripWavHeader };
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const metrics = require('../metrics');
+
+// Text-to-speech providers and the on-disk phrase cache.
+//
+// TTS_PROVIDER picks the implementation. Each provider exports
+// synthesize(text, voice) resolving to raw 16-bit little-endian mono PCM at
+// voice.sampleRateHertz (8 kHz for Twilio), with no WAV header.
+//
+// voice: { languageCode, name, gender, speakingRate, sampleRateHertz }
+//
+// Phrases synthesized with { cache: true } (the script's greeting, reprompts,
+// closings, voicemail message) are cached in DATA_DIR/tts-cache, addressed by a
+// hash of provider + voice + text, so they are synthesized once and reused
+// across calls (and restarts). Generated replies are never cached: they rarely
+// repeat and would only churn the cache.
+
+const PROVIDERS = {
+    google: () => require('./google'),
+    mock: () => require('./mock')
+};
+
+const CACHE_DIR = path.join(config.DATA_DIR, 'tts-cache');
+
+// Same text requested twice before the first synthesis finishes shares one request
+const inflight = new Map();
+
+// Phrases on disk, counted once at the first write and then kept up to date in
+// memory, so the directory is only scanned when it has actually outgrown
+// TTS_CACHE_MAX_ENTRIES
+let cachedEntries = null;
+let pruning = null;
+
+// Throws for an unknown TTS_PROVIDER so a typo fails at startup, not on the first call
+function getProvider(name = config.TTS_PROVIDER) {
+    const load = PROVIDERS[name];
+    if (!load) throw new Error(`Unknown TTS_PROVIDER '${name}' (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    return load();
+}
+
+function defaultVoice() {
+    return {
+        languageCode: config.TTS_LANGUAGE,
+        name: config.TTS_VOICE || null,
+        gender: config.TTS_GENDER,
+        speakingRate: config.TTS_SPEAKING_RATE,
+        sampleRateHertz: 8000
+    };
+}
+
+function cacheKey(providerName, voice, text) {
+    return crypto.createHash('sha256').update(JSON.stringify({ provider: providerName, voice, text })).digest('hex');
+}
+
+async function readCache(file) {
+    try {
+        const pcm = await fs.promises.readFile(file);
+        // Bump the mtime so pruning drops the least recently used phrases first
+        const now = new Date();
+        fs.promises.utimes(file, now, now).catch(() => { });
+        return pcm;
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.warn('[TTS-CACHE] read failed:', err.message);
+        return null;
+    }
+}
+
+async function writeCache(file, pcm) {
+    try {
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmp, pcm);
+        await fs.promises.rename(tmp, file);
+        if (cachedEntries === null) cachedEntries = await countCache();
+        else cachedEntries++;
+        if (cachedEntries > config.TTS_CACHE_MAX_ENTRIES && !pruning) {
+            pruning = pruneCache()
+                .catch(err => console.warn('[TTS-CACHE] prune failed:', err.message))
+                .finally(() => { pruning = null; });
+        }
+    } catch (err) {
+        console.warn('[TTS-CACHE] write failed:', err.message);
+    }
+}
+
+async function countCache() {
+    return (await fs.promises.readdir(CACHE_DIR)).filter(n => n.endsWith('.pcm')).length;
+}
+
+// Keep at most TTS_CACHE_MAX_ENTRIES phrases, dropping the least recently used
+async function pruneCache() {
+    const names = (await fs.promises.readdir(CACHE_DIR)).filter(n => n.endsWith('.pcm'));
+    cachedEntries = names.length;
+    if (names.length <= config.TTS_CACHE_MAX_ENTRIES) return;
+    const entries = await Promise.all(names.map(async (name) => {
+        const stat = await fs.promises.stat(path.join(CACHE_DIR, name)).catch(() => null);
+        return { name, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    entries.sort((a, b) => a.mtime - b.mtime);
+    const excess = entries.slice(0, entries.length - config.TTS_CACHE_MAX_ENTRIES);
+    await Promise.all(excess.map(e => fs.promises.unlink(path.join(CACHE_DIR, e.name)).catch(() => { })));
+    cachedEntries = config.TTS_CACHE_MAX_ENTRIES;
+}
+
+// Synthesize `text` to 8 kHz PCM16. `voiceOverrides` is merged over the
+// configured voice; `cache: true` marks a fixed phrase worth keeping on disk.
+function synthesize(text, voiceOverrides = {}, { cache = false } = {}) {
+    const provider = getProvider();
+    const voice = Object.assign(defaultVoice(), voiceOverrides);
+
+    return metrics.timed('tts', async () => {
+        if (!config.TTS_CACHE_ENABLED || !cache) return provider.synthesize(text, voice);
+
+        const key = cacheKey(provider.name, voice, text);
+        if (inflight.has(key)) return inflight.get(key);
+
+        const file = path.join(CACHE_DIR, `${key}.pcm`);
+        const pending = (async () => {
+            const cached = await readCache(file);
+            if (cached) return cached;
+            const pcm = await provider.synthesize(text, voice);
+            await writeCache(file, pcm);
+            return pcm;
+        })();
+        inflight.set(key, pending);
+        try {
+            return await pending;
+        } finally {
+            inflight.delete(key);
+        }
+    });
+}
+
+module.exports = { PROVIDERS, getProvider, synthesize, cacheKey };
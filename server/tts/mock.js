@@ -0,0 +1,36 @@
+// Offline text-to-speech stand-in for local runs and tests.
+//
+// Produces deterministic audio instead of speech: a short tone per word and a
+// pause after each sentence, so the same text always gives the same samples
+// and playback length still grows with the text (barge-in and playback timing
+// behave as they would with a real voice).
+
+const WORD_MS = 180;
+const GAP_MS = 60;
+const SENTENCE_PAUSE_MS = 250;
+const AMPLITUDE = 6000;
+
+function samples(ms, sampleRate) {
+    return Math.round((ms / 1000) * sampleRate);
+}
+
+async function synthesize(text, voice) {
+    const sampleRate = voice.sampleRateHertz;
+    const words = String(text || '').split(/\s+/).filter(Boolean);
+    const chunks = [];
+
+    words.forEach((word) => {
+        // Pitch varies with word length so different phrases sound different
+        const freq = 300 + (word.length % 8) * 40;
+        const tone = Buffer.alloc(samples(WORD_MS, sampleRate) * 2);
+        for (let i = 0; i < tone.length / 2; i++) {
+            tone.writeInt16LE(Math.round(AMPLITUDE * Math.sin((2 * Math.PI * freq * i) / sampleRate)), i * 2);
+        }
+        chunks.push(tone);
+        const pause = /[.!?]$/.test(word) ? SENTENCE_PAUSE_MS : GAP_MS;
+        chunks.push(Buffer.alloc(samples(pause, sampleRate) * 2));
+    });
+    return Buffer.concat(chunks);
+}
+
+module.exports = { name: 'mock', synthesize };